@@ -1,19 +1,65 @@
-from flask import Flask, render_template, request, jsonify, session
+from flask import Flask, render_template, request, jsonify, session, url_for, redirect
 import requests
 import uuid
 import os
 import json
 import datetime
+import ipaddress
+import re
+import math
+from urllib.parse import urlsplit
+from collections import Counter, defaultdict
 from functools import wraps
+import firebase_admin
+from firebase_admin import auth as firebase_auth
 
-app = Flask(__name__)
+# The folder is named Static, but it's served under /static like Flask's default
+app = Flask(__name__, static_folder='Static', static_url_path='/static')
 app.secret_key = 'mw25-analytics-tracking-key'  # Used for session management
 
+# A session ends after 30 minutes without activity (mirrored in visitor-identity.js)
+SESSION_TIMEOUT = datetime.timedelta(minutes=30)
+app.permanent_session_lifetime = datetime.timedelta(days=30)
+
 # Create logs directory if it doesn't exist
 if not os.path.exists('logs'):
     os.makedirs('logs')
 
 ANALYTICS_LOG_FILE = os.path.join('logs', 'user_analytics.log')
+# Events that failed validation, kept with the reasons so they can be fixed and replayed
+QUARANTINE_LOG_FILE = os.path.join('logs', 'quarantined_events.log')
+
+# Hero slides and featured businesses edited in the content manager, both lists
+# in display order (see homepage-content.js for the item fields)
+if not os.path.exists('content'):
+    os.makedirs('content')
+
+CONTENT_FILE = os.path.join('content', 'homepage.json')
+
+# Event catalog shared with event-schema.js; see the file's description
+EVENT_SCHEMA_FILE = os.path.join(app.static_folder, 'data', 'event-schema.json')
+with open(EVENT_SCHEMA_FILE) as schema_file:
+    EVENT_SCHEMA = json.load(schema_file)
+
+# Cookie written by consent-manager.js, e.g. "essential.analytics.strict"
+CONSENT_COOKIE = 'tracking_consent'
+
+# Cookie written by visitor-identity.js holding the persistent visitor ID
+VISITOR_COOKIE = 'visitor_id'
+
+# Cookie written by auth-manager.js with the signed-in user's Firebase ID token,
+# scoped to /content-manager so page loads there can be checked like API calls
+ID_TOKEN_COOKIE = 'id_token'
+
+# Map provider for the finder: 'google' (Maps + Places) or 'local' (Leaflet with
+# Static/data/venues.geojson, no API key needed)
+MAP_PROVIDERS = ('google', 'local')
+MAP_PROVIDER = os.environ.get('MAP_PROVIDER', 'google')
+
+# Firebase project whose ID tokens admin endpoints accept. Verifying a token only
+# needs the project ID; Google's public signing keys are fetched as needed.
+FIREBASE_PROJECT_ID = os.environ.get('FIREBASE_PROJECT_ID')
+firebase_admin.initialize_app(options={'projectId': FIREBASE_PROJECT_ID} if FIREBASE_PROJECT_ID else None)
 
 # Helper function to get client IP address
 def get_client_ip():
@@ -26,50 +72,123 @@ def get_client_ip():
         print(f"Error getting client IP: {e}")
         return 'unknown'
 
+# Read the visitor's tracking consent. Without the cookie nothing is tracked;
+# Do-Not-Track / Global Privacy Control always force strict mode.
+def get_tracking_consent():
+    flags = set(filter(None, request.cookies.get(CONSENT_COOKIE, '').split('.')))
+    privacy_signal = request.headers.get('DNT') == '1' or request.headers.get('Sec-GPC') == '1'
+    return {
+        'analytics': 'analytics' in flags,
+        'personalization': 'personalization' in flags,
+        'strict': 'strict' in flags or privacy_signal
+    }
+
+# Zero the host part of an IP (last octet for IPv4, last five groups for IPv6)
+def truncate_ip(ip):
+    try:
+        return str(ipaddress.ip_network(f"{ip}/{48 if ':' in ip else 24}", strict=False).network_address)
+    except ValueError:
+        return ip
+
+# IP as it may appear in the analytics log for this request
+def get_logged_ip(consent):
+    client_ip = get_client_ip()
+    return truncate_ip(client_ip) if consent['strict'] else client_ip
+
+# Return the current session ID, starting a new session when there is none or
+# the last activity is older than SESSION_TIMEOUT
+def ensure_session():
+    now = datetime.datetime.now()
+    last_activity = session.get('last_activity')
+    
+    expired = True
+    if last_activity:
+        try:
+            expired = now - datetime.datetime.fromisoformat(last_activity) > SESSION_TIMEOUT
+        except ValueError:
+            expired = True
+    
+    if 'session_id' not in session or expired:
+        session['session_id'] = str(uuid.uuid4())
+        session['session_start'] = now.isoformat()
+        if 'first_visit' not in session:
+            session['first_visit'] = now.isoformat()
+    
+    session['last_activity'] = now.isoformat()
+    session.permanent = True
+    return session['session_id']
+
+# Persistent visitor ID from the visitor_id cookie, None if missing or malformed
+def get_visitor_id():
+    visitor_id = request.cookies.get(VISITOR_COOKIE)
+    try:
+        return str(uuid.UUID(visitor_id)) if visitor_id else None
+    except ValueError:
+        return None
+
+# Provider for this request; ?map_provider=local switches a single page over
+def get_map_provider():
+    requested = request.args.get('map_provider')
+    return requested if requested in MAP_PROVIDERS else MAP_PROVIDER
+
+UNKNOWN_LOCATION = {
+    "country": "Unknown",
+    "region": "Unknown",
+    "city": "Unknown",
+    "latitude": 0,
+    "longitude": 0
+}
+
+# Successful lookups by IP, so pageview logging and the dashboard don't look up
+# the same address over and over. Failures aren't kept and get retried next time.
+GEOLOCATION_CACHE = {}
+GEOLOCATION_CACHE_SIZE = 1024
+
 # Get geolocation data from IP
 def get_geolocation(ip):
+    if ip in GEOLOCATION_CACHE:
+        return dict(GEOLOCATION_CACHE[ip])
+    if ip == 'unknown' or ip == '127.0.0.1':
+        return dict(UNKNOWN_LOCATION)
+    
     try:
-        if ip == 'unknown' or ip == '127.0.0.1':
-            return {
-                "country": "Unknown",
-                "region": "Unknown",
-                "city": "Unknown",
-                "latitude": 0,
-                "longitude": 0
-            }
         # Free IP geolocation API - consider upgrading to a paid service for production
         response = requests.get(f'https://ipapi.co/{ip}/json/', timeout=5)
-        if response.status_code == 200:
-            data = response.json()
-            return {
+        data = response.json() if response.status_code == 200 else {}
+        # ipapi.co answers rate limits and reserved ranges with {"error": true, ...}
+        if data and not data.get('error'):
+            location = {
                 "country": data.get('country_name', 'Unknown'),
                 "region": data.get('region', 'Unknown'),
                 "city": data.get('city', 'Unknown'),
                 "latitude": data.get('latitude', 0),
                 "longitude": data.get('longitude', 0)
             }
+            if len(GEOLOCATION_CACHE) >= GEOLOCATION_CACHE_SIZE:
+                # Dicts keep insertion order, so this drops the oldest entry
+                del GEOLOCATION_CACHE[next(iter(GEOLOCATION_CACHE))]
+            GEOLOCATION_CACHE[ip] = location
+            return dict(location)
     except Exception as e:
         print(f"Geolocation error: {e}")
     
-    return {
-        "country": "Unknown",
-        "region": "Unknown",
-        "city": "Unknown",
-        "latitude": 0,
-        "longitude": 0
-    }
+    return dict(UNKNOWN_LOCATION)
 
 # Session tracking decorator
 def track_session(f):
     @wraps(f)
     def decorated_function(*args, **kwargs):
-        # Generate or retrieve session ID
-        if 'session_id' not in session:
-            session['session_id'] = str(uuid.uuid4())
-            session['first_visit'] = datetime.datetime.now().isoformat()
+        # Generate, renew or retrieve session ID
+        session_id = ensure_session()
+        
+        # Pageviews are only logged with analytics consent
+        consent = get_tracking_consent()
+        if not consent['analytics']:
+            return f(*args, **kwargs)
         
         # Get user info
-        client_ip = get_client_ip()
+        client_ip = get_logged_ip(consent)
+        country = get_geolocation(get_client_ip())['country']
         user_agent = request.headers.get('User-Agent', 'Unknown')
         referrer = request.referrer or 'Direct'
         path = request.path
@@ -77,8 +196,10 @@ def track_session(f):
         # Log the pageview
         log_user_activity({
             'event_type': 'pageview',
-            'session_id': session['session_id'],
+            'session_id': session_id,
+            'visitor_id': get_visitor_id(),
             'ip': client_ip,
+            'country': country,
             'user_agent': user_agent,
             'referrer': referrer,
             'path': path,
@@ -88,20 +209,794 @@ def track_session(f):
         return f(*args, **kwargs)
     return decorated_function
 
-# Log user activity to file and/or database
+# Check a Firebase ID token for a verified admin account.
+# Returns None when it passes, otherwise (error message, status code).
+def check_admin_token(token):
+    if not token:
+        return "Sign in required", 401
+    
+    try:
+        claims = firebase_auth.verify_id_token(token)
+    except Exception as e:
+        print(f"Rejected ID token: {e}")
+        return "Your sign-in has expired. Please sign in again.", 401
+    
+    if not (claims.get('admin') is True or claims.get('role') == 'admin'):
+        return "Admin access required", 403
+    if not claims.get('email_verified'):
+        return "Verify your email address to use admin tools", 403
+    return None
+
+# Admin-only endpoints need "Authorization: Bearer <Firebase ID token>" from an
+# account with a verified email and the admin custom claim (see auth-manager.js)
+def require_admin(f):
+    @wraps(f)
+    def decorated_function(*args, **kwargs):
+        header = request.headers.get('Authorization', '')
+        token = header[len('Bearer '):] if header.startswith('Bearer ') else None
+        
+        failure = check_admin_token(token)
+        if failure:
+            error, status = failure
+            return jsonify({"success": False, "error": error}), status
+        
+        return f(*args, **kwargs)
+    return decorated_function
+
+# Pages render the catalog inline for event-schema.js, so the client and server
+# always validate against the same version
+@app.context_processor
+def inject_event_schema():
+    return {'event_schema': EVENT_SCHEMA}
+
+# Field aliases are renamed unless the canonical field is already set; dotted
+# aliases ("geo.country") copy a nested value up without removing the object
+def apply_field_aliases(event, aliases):
+    for alias, field in aliases.items():
+        if '.' in alias:
+            parent, child = alias.split('.', 1)
+            nested = event.get(parent)
+            if field not in event and isinstance(nested, dict) and nested.get(child) not in (None, ''):
+                event[field] = nested[child]
+        elif alias in event:
+            value = event.pop(alias)
+            event.setdefault(field, value)
+
+def field_specs(event_type):
+    spec = EVENT_SCHEMA['events'].get(event_type) if isinstance(event_type, str) else None
+    fields = dict(EVENT_SCHEMA['common'])
+    if spec:
+        fields.update(spec['fields'])
+    return {name: field if isinstance(field, dict) else {'type': field} for name, field in fields.items()}
+
+NUMBER_PATTERN = re.compile(r'^-?\d+(\.\d+)?$')
+
+# Brings an event from any producer or schema version to the current shape:
+# canonical field and event names, numbers sent as strings parsed, and empty
+# numeric fields dropped. Mirrors EventSchema.normalize() in event-schema.js.
+def normalize_event(data):
+    event = dict(data)
+    apply_field_aliases(event, EVENT_SCHEMA['fieldAliases'])
+    
+    event_type = event.get('event_type')
+    if isinstance(event_type, str) and event_type in EVENT_SCHEMA['eventAliases']:
+        event['migrated_from'] = event_type
+        event['event_type'] = event_type = EVENT_SCHEMA['eventAliases'][event_type]
+    
+    spec = EVENT_SCHEMA['events'].get(event_type) if isinstance(event_type, str) else None
+    if spec and spec.get('fieldAliases'):
+        apply_field_aliases(event, spec['fieldAliases'])
+    
+    for name, field in field_specs(event_type).items():
+        value = event.get(name)
+        if field['type'] == 'number' and isinstance(value, str):
+            if value.strip() == '':
+                del event[name]
+            elif NUMBER_PATTERN.match(value.strip()):
+                event[name] = float(value) if '.' in value else int(value)
+        elif field['type'] == 'boolean' and value in ('true', 'false'):
+            event[name] = value == 'true'
+    
+    event['schema_version'] = EVENT_SCHEMA['version']
+    return event
+
+def matches_type(value, field_type):
+    if field_type == 'string':
+        return isinstance(value, str)
+    if field_type == 'number':
+        return isinstance(value, (int, float)) and not isinstance(value, bool) and math.isfinite(value)
+    if field_type == 'boolean':
+        return isinstance(value, bool)
+    if field_type == 'array':
+        return isinstance(value, list)
+    if field_type == 'object':
+        return isinstance(value, dict)
+    if field_type == 'timestamp':
+        return isinstance(value, (str, int, float, dict)) and not isinstance(value, bool)
+    return True
+
+# Reasons a normalized event doesn't fit the catalog; empty when it does
+def validate_event(event):
+    event_type = event.get('event_type')
+    if not isinstance(event_type, str) or not event_type:
+        return ['event_type is required']
+    if event_type not in EVENT_SCHEMA['events']:
+        return [f'unknown event type "{event_type}"']
+    
+    errors = []
+    for name, field in field_specs(event_type).items():
+        value = event.get(name)
+        if value is None or value == '':
+            if field.get('required'):
+                errors.append(f'{name} is required')
+            continue
+        if not matches_type(value, field['type']):
+            errors.append(f'{name} should be a {field["type"]}')
+        elif 'enum' in field and value not in field['enum']:
+            errors.append(f'{name} should be one of {", ".join(map(str, field["enum"]))}')
+    return errors
+
+def quarantine_event(data, errors):
+    with open(QUARANTINE_LOG_FILE, 'a') as f:
+        f.write(json.dumps({
+            'received_at': datetime.datetime.now().isoformat(),
+            'errors': errors,
+            'event': data
+        }, default=str) + '\n')
+    print(f"Quarantined event: {'; '.join(errors)}")
+
+# Log user activity to file and/or database. Events are normalized to the
+# catalog first; ones that still don't fit are quarantined instead. Returns
+# the validation errors, empty when the event was logged.
 def log_user_activity(data):
+    event = normalize_event(data)
+    errors = validate_event(event)
+    if errors:
+        quarantine_event(data, errors)
+        return errors
+    
     # Add timestamp if not present
-    if 'timestamp' not in data:
-        data['timestamp'] = datetime.datetime.now().isoformat()
+    if 'timestamp' not in event:
+        event['timestamp'] = datetime.datetime.now().isoformat()
     
     # Write to log file
     with open(ANALYTICS_LOG_FILE, 'a') as f:
-        f.write(json.dumps(data) + '\n')
+        f.write(json.dumps(event) + '\n')
     
     # In production, you would also write to a database here
-    # For example: firebase_db.collection('user_logs').add(data)
+    # For example: firebase_db.collection('user_logs').add(event)
+    
+    print(f"Logged event: {event['event_type']}")
+    return []
+
+# Parse an ISO timestamp into an aware datetime. Log timestamps are written in
+# server local time without an offset; the dashboard sends UTC.
+def parse_timestamp(value):
+    try:
+        parsed = datetime.datetime.fromisoformat(str(value).replace('Z', '+00:00'))
+    except (TypeError, ValueError):
+        return None
+    return parsed if parsed.tzinfo else parsed.astimezone()
+
+# Same buckets as getDeviceInfo() in user-analytics.js
+def get_device_type(user_agent):
+    user_agent = user_agent or ''
+    if any(token in user_agent for token in ('iPad', 'Tablet', 'PlayBook')):
+        return 'tablet'
+    if any(token in user_agent for token in ('Android', 'webOS', 'iPhone', 'iPod', 'BlackBerry', 'IEMobile', 'Opera Mini')):
+        return 'mobile'
+    return 'desktop'
+
+# Yield every event in the analytics log, skipping lines that don't parse.
+# Lines written before the event catalog are normalized as they are read.
+def read_analytics_log():
+    if not os.path.exists(ANALYTICS_LOG_FILE):
+        return
+    with open(ANALYTICS_LOG_FILE) as f:
+        for line in f:
+            try:
+                event = json.loads(line)
+            except ValueError:
+                continue
+            if isinstance(event, dict):
+                yield event if event.get('schema_version') == EVENT_SCHEMA['version'] else normalize_event(event)
+
+# Funnel steps the dashboard offers by name. Any logged event type can also be
+# a step, written "event:<type>". Extra keys must match the event's fields.
+FUNNEL_STEPS = {
+    'landing': {'label': 'Landing', 'event_type': 'pageview'},
+    'search': {'label': 'Search', 'event_type': 'search'},
+    'venue_details': {
+        'label': 'Venue details',
+        'event_type': 'venue_interaction',
+        'interactionType': ('details_view', 'result_list_click', 'card_details_click')
+    },
+    'get_directions': {
+        'label': 'Get directions',
+        'event_type': 'venue_interaction',
+        'interactionType': ('get_directions',)
+    }
+}
+DEFAULT_FUNNEL = ['landing', 'search', 'venue_details', 'get_directions']
+
+# (upper bound, label) buckets; None means unbounded
+DURATION_BUCKETS = [(10, '0-10s'), (30, '10-30s'), (60, '30s-1m'), (180, '1-3m'),
+                    (600, '3-10m'), (1800, '10-30m'), (None, '30m+')]
+DEPTH_BUCKETS = [(1, '1'), (2, '2'), (4, '3-4'), (9, '5-9'), (None, '10+')]
+RETENTION_WEEKS = 8
+MAX_PATH_LENGTH = 4
+
+def resolve_funnel_step(key):
+    if not isinstance(key, str):
+        return None
+    if key in FUNNEL_STEPS:
+        return dict(FUNNEL_STEPS[key], key=key)
+    if key.startswith('event:') and len(key) > len('event:'):
+        event_type = key[len('event:'):]
+        return {'key': key, 'label': event_type, 'event_type': event_type}
+    return None
+
+def funnel_step_matches(step, event):
+    if event.get('event_type') != step['event_type']:
+        return False
+    return all(event.get(field) in allowed for field, allowed in step.items()
+               if field not in ('key', 'label', 'event_type'))
+
+def bucket_label(value, buckets):
+    for limit, label in buckets:
+        if limit is None or value <= limit:
+            return label
+
+# Monday of the timestamp's week, used for retention cohorts
+def week_start(timestamp):
+    return (timestamp - datetime.timedelta(days=timestamp.weekday())).date()
+
+# Turns per-session stats from aggregate_analytics into funnel, path,
+# duration/depth and cohort retention figures for the behavior tab
+def summarize_behavior(session_stats, funnel_steps, first_seen, visitor_weeks, start, end, max_paths=10):
+    reached = [0] * len(funnel_steps)
+    paths = Counter()
+    durations = Counter()
+    depths = Counter()
+    total_duration = 0
+    total_events = 0
+    
+    for stats in session_stats.values():
+        for i in range(stats['funnel']):
+            reached[i] += 1
+        if stats['path']:
+            paths[' → '.join(stats['path'])] += 1
+        duration = (stats['last'] - stats['first']).total_seconds()
+        total_duration += duration
+        total_events += stats['events']
+        durations[bucket_label(duration, DURATION_BUCKETS)] += 1
+        depths[bucket_label(stats['events'], DEPTH_BUCKETS)] += 1
+    
+    funnel = []
+    for i, step in enumerate(funnel_steps):
+        previous = reached[i - 1] if i > 0 else reached[i]
+        funnel.append({
+            "key": step['key'],
+            "label": step['label'],
+            "sessions": reached[i],
+            "conversion": round(reached[i] / previous * 100, 1) if previous else 0,
+            "overall": round(reached[i] / reached[0] * 100, 1) if reached and reached[0] else 0
+        })
+    
+    # Cohorts are visitors whose first visit falls in the range; their activity
+    # is followed for RETENTION_WEEKS weeks, up to the current week
+    current_week = week_start(datetime.datetime.now().astimezone())
+    cohorts = defaultdict(list)
+    for visitor, seen in first_seen.items():
+        if start <= seen <= end:
+            cohorts[week_start(seen)].append(visitor)
+    
+    retention = []
+    for cohort_week in sorted(cohorts):
+        members = cohorts[cohort_week]
+        weeks = []
+        for offset in range(RETENTION_WEEKS):
+            week = cohort_week + datetime.timedelta(weeks=offset)
+            if week > current_week:
+                weeks.append(None)
+                continue
+            active = sum(1 for visitor in members if week in visitor_weeks.get(visitor, ()))
+            weeks.append(round(active / len(members) * 100, 1))
+        retention.append({"week": cohort_week.isoformat(), "visitors": len(members), "retention": weeks})
+    
+    session_count = len(session_stats)
+    return {
+        "funnel": funnel,
+        "paths": [{"path": path, "sessions": count} for path, count in paths.most_common(max_paths)],
+        "durations": {label: durations[label] for _, label in DURATION_BUCKETS},
+        "depths": {label: depths[label] for _, label in DEPTH_BUCKETS},
+        "averageDuration": round(total_duration / session_count) if session_count else 0,
+        "averageEvents": round(total_events / session_count, 1) if session_count else 0,
+        "retention": retention
+    }
+
+# Popular searches suggested in the search box. A term is only shared once
+# several different visitors have searched for it, so one person's query never
+# shows up for everyone else.
+POPULAR_SEARCH_DAYS = 30
+POPULAR_SEARCH_MIN_VISITORS = 3
+POPULAR_SEARCH_LIMIT = 10
+POPULAR_SEARCH_CACHE_TTL = datetime.timedelta(minutes=10)
+_popular_searches_cache = {'expires': None, 'searches': []}
+
+def get_popular_searches():
+    now = datetime.datetime.now().astimezone()
+    if _popular_searches_cache['expires'] and now < _popular_searches_cache['expires']:
+        return _popular_searches_cache['searches']
     
-    print(f"Logged event: {data['event_type']}")
+    since = now - datetime.timedelta(days=POPULAR_SEARCH_DAYS)
+    terms = {}
+    for event in read_analytics_log():
+        if event.get('event_type') != 'search':
+            continue
+        term = ' '.join(str(event.get('query') or '').split())
+        visitor = event.get('visitor_id') or event.get('user_key') or event.get('ip')
+        timestamp = parse_timestamp(event.get('timestamp'))
+        if not term or len(term) > 60 or not visitor or not timestamp or timestamp < since:
+            continue
+        entry = terms.setdefault(term.lower(), {'term': term, 'count': 0, 'visitors': set()})
+        entry['count'] += 1
+        entry['visitors'].add(visitor)
+    
+    popular = sorted(
+        (entry for entry in terms.values() if len(entry['visitors']) >= POPULAR_SEARCH_MIN_VISITORS),
+        key=lambda entry: entry['count'], reverse=True
+    )[:POPULAR_SEARCH_LIMIT]
+    searches = [{"term": entry['term'], "count": entry['count']} for entry in popular]
+    
+    _popular_searches_cache.update(expires=now + POPULAR_SEARCH_CACHE_TTL, searches=searches)
+    return searches
+
+# Events from page-telemetry.js, summarized for the reliability tab
+TELEMETRY_EVENT_TYPES = ('page_engagement', 'scroll_depth', 'web_vital', 'map_error', 'js_error')
+SCROLL_MILESTONES = (25, 50, 75, 100)
+WEB_VITAL_METRICS = ('LCP', 'CLS', 'INP')
+MAX_TELEMETRY_ERRORS = 20
+
+def new_telemetry_stats():
+    return {
+        'pages': {},
+        'vitals': {metric: {'values': [], 'ratings': Counter()} for metric in WEB_VITAL_METRICS},
+        'map_errors': {},
+        'js_errors': {},
+        'error_days': defaultdict(Counter)
+    }
+
+def is_number(value):
+    return isinstance(value, (int, float)) and not isinstance(value, bool)
+
+def record_telemetry(stats, event, timestamp):
+    event_type = event.get('event_type')
+    page = event.get('page') or event.get('path') or 'unknown'
+    session_id = event.get('session_id')
+    
+    if event_type in ('page_engagement', 'scroll_depth'):
+        entry = stats['pages'].setdefault(str(page), {'views': set(), 'seconds': 0, 'milestones': defaultdict(set)})
+        view = str(event.get('viewId') or session_id)
+        entry['views'].add(view)
+        if event_type == 'page_engagement' and is_number(event.get('activeSeconds')):
+            entry['seconds'] += max(0, event['activeSeconds'])
+        elif event_type == 'scroll_depth' and event.get('depth') in SCROLL_MILESTONES:
+            entry['milestones'][event['depth']].add(view)
+    elif event_type == 'web_vital':
+        vital = stats['vitals'].get(str(event.get('metric')))
+        if vital is not None and is_number(event.get('value')):
+            vital['values'].append(event['value'])
+            vital['ratings'][str(event.get('rating') or 'unknown')] += 1
+    else:
+        if event_type == 'map_error':
+            # Fields are client-supplied, so keys are built from their string forms
+            key = tuple(str(event.get(field) or '') for field in ('provider', 'operation', 'status'))
+            entry = stats['map_errors'].setdefault(key, {
+                'provider': key[0], 'operation': key[1], 'status': key[2], 'message': '',
+                'count': 0, 'sessions': set(), 'pages': Counter(), 'lastSeen': timestamp
+            })
+        else:
+            key = tuple(str(event.get(field) or '') for field in ('kind', 'message', 'source', 'line'))
+            entry = stats['js_errors'].setdefault(key, {
+                'kind': key[0], 'message': key[1], 'source': key[2], 'line': key[3],
+                'stack': '', 'count': 0, 'sessions': set(), 'pages': Counter(), 'lastSeen': timestamp
+            })
+        entry['count'] += 1
+        entry['pages'][str(page)] += 1
+        entry['lastSeen'] = max(entry['lastSeen'], timestamp)
+        if session_id:
+            entry['sessions'].add(session_id)
+        # Keep the newest stack/message, which reflects the code currently deployed
+        if event_type == 'js_error' and event.get('stack'):
+            entry['stack'] = str(event['stack'])
+        if event_type == 'map_error' and event.get('message'):
+            entry['message'] = str(event['message'])
+        stats['error_days'][timestamp.date().isoformat()]['map' if event_type == 'map_error' else 'js'] += 1
+
+def percentile(values, fraction):
+    ordered = sorted(values)
+    return ordered[max(0, math.ceil(len(ordered) * fraction) - 1)]
+
+# Turns the telemetry collected by aggregate_analytics into per-page engagement,
+# Web Vitals at the 75th percentile (what Google reports on) and error groups
+def summarize_telemetry(stats):
+    pages = []
+    for page, entry in stats['pages'].items():
+        views = len(entry['views'])
+        pages.append({
+            "page": page,
+            "views": views,
+            "averageActiveSeconds": round(entry['seconds'] / views) if views else 0,
+            "scroll": {str(milestone): round(len(entry['milestones'][milestone]) / views * 100, 1) if views else 0
+                       for milestone in SCROLL_MILESTONES}
+        })
+    pages.sort(key=lambda item: item['views'], reverse=True)
+    
+    vitals = []
+    for metric in WEB_VITAL_METRICS:
+        values = stats['vitals'][metric]['values']
+        ratings = stats['vitals'][metric]['ratings']
+        vitals.append({
+            "metric": metric,
+            "samples": len(values),
+            "p75": round(percentile(values, 0.75), 3) if values else None,
+            "ratings": {rating: round(ratings[rating] / len(values) * 100, 1) if values else 0
+                        for rating in ('good', 'needs-improvement', 'poor')}
+        })
+    
+    def error_list(errors, fields):
+        ranked = sorted(errors.values(), key=lambda entry: entry['count'], reverse=True)[:MAX_TELEMETRY_ERRORS]
+        return [dict({field: entry[field] for field in fields},
+                     count=entry['count'],
+                     sessions=len(entry['sessions']),
+                     pages=dict(entry['pages'].most_common(3)),
+                     lastSeen=entry['lastSeen'].isoformat())
+                for entry in ranked]
+    
+    return {
+        "pages": pages,
+        "webVitals": vitals,
+        "mapErrors": error_list(stats['map_errors'], ('provider', 'operation', 'status', 'message')),
+        "jsErrors": error_list(stats['js_errors'], ('kind', 'message', 'source', 'line', 'stack')),
+        "errorsByDay": {day: {"js": counts['js'], "map": counts['map']} for day, counts in sorted(stats['error_days'].items())}
+    }
+
+# A/B experiments from experiments.js. A visitor counts towards the variant they
+# were first exposed to, and converts on a metric (a funnel step) when a
+# matching event of theirs follows that exposure.
+EXPERIMENT_METRICS = ('search', 'venue_details', 'get_directions')
+CONFIDENCE_Z = 1.96  # 95%
+
+def new_experiment_stats():
+    return defaultdict(lambda: defaultdict(lambda: {'visitors': set(), 'conversions': defaultdict(set)}))
+
+def record_experiment(stats, assignments, visitor, event):
+    if event.get('event_type') == 'experiment_exposure':
+        experiment_id, variant = event.get('experimentId'), event.get('variant')
+        if experiment_id and variant and experiment_id not in assignments:
+            assignments[experiment_id] = variant
+            stats[experiment_id][variant]['visitors'].add(visitor)
+        return
+    
+    for key in EXPERIMENT_METRICS:
+        if funnel_step_matches(FUNNEL_STEPS[key], event):
+            for experiment_id, variant in assignments.items():
+                stats[experiment_id][variant]['conversions'][key].add(visitor)
+
+# Wilson score interval, which stays sensible for small samples and rates near 0
+def wilson_interval(successes, trials, z=CONFIDENCE_Z):
+    if not trials:
+        return 0.0, 0.0
+    rate = successes / trials
+    denominator = 1 + z * z / trials
+    centre = (rate + z * z / (2 * trials)) / denominator
+    margin = z * math.sqrt(rate * (1 - rate) / trials + z * z / (4 * trials * trials)) / denominator
+    return max(0.0, centre - margin), min(1.0, centre + margin)
+
+# Difference between two rates in percentage points, with its normal-approximation interval
+def compare_rates(converted, visitors, control_converted, control_visitors, z=CONFIDENCE_Z):
+    if not visitors or not control_visitors:
+        return None
+    rate = converted / visitors
+    control_rate = control_converted / control_visitors
+    error = math.sqrt(rate * (1 - rate) / visitors + control_rate * (1 - control_rate) / control_visitors)
+    difference = rate - control_rate
+    low, high = difference - z * error, difference + z * error
+    return {
+        "difference": round(difference * 100, 2),
+        "low": round(low * 100, 2),
+        "high": round(high * 100, 2),
+        "significant": low > 0 or high < 0
+    }
+
+# Per-variant conversion for the experiments tab. Variants are compared with the
+# one named "control", or the largest when none is.
+def summarize_experiments(stats):
+    experiments = []
+    for experiment_id, variants in sorted(stats.items()):
+        control = 'control' if 'control' in variants else max(variants, key=lambda name: len(variants[name]['visitors']))
+        control_entry = variants[control]
+        
+        results = []
+        for name in sorted(variants, key=lambda name: (name != control, name)):
+            entry = variants[name]
+            visitors = len(entry['visitors'])
+            metrics = {}
+            for key in EXPERIMENT_METRICS:
+                converted = len(entry['conversions'][key])
+                low, high = wilson_interval(converted, visitors)
+                metrics[key] = {
+                    "conversions": converted,
+                    "rate": round(converted / visitors * 100, 2) if visitors else 0,
+                    "low": round(low * 100, 2),
+                    "high": round(high * 100, 2),
+                    "vsControl": None if name == control else compare_rates(
+                        converted, visitors,
+                        len(control_entry['conversions'][key]), len(control_entry['visitors']))
+                }
+            results.append({"name": name, "visitors": visitors, "metrics": metrics})
+        
+        experiments.append({
+            "id": experiment_id,
+            "control": control,
+            "visitors": sum(result['visitors'] for result in results),
+            "variants": results
+        })
+    return experiments
+
+# Aggregate the analytics log over [start, end]. Visitors are counted by
+# visitor ID, falling back to the user record key and then the IP for events
+# logged before visitor IDs existed.
+def aggregate_analytics(start, end, max_searches=20, funnel=None):
+    funnel_steps = [step for step in map(resolve_funnel_step, funnel or DEFAULT_FUNNEL) if step]
+    session_stats = {}
+    visitor_weeks = defaultdict(set)
+    event_types = Counter()
+    visitors = {}
+    first_seen = {}
+    registered = set()
+    pageviews = 0
+    pages = Counter()
+    searches = {}
+    campaigns = {}
+    telemetry = new_telemetry_stats()
+    experiments = new_experiment_stats()
+    experiment_assignments = defaultdict(dict)
+    
+    for event in read_analytics_log():
+        timestamp = parse_timestamp(event.get('timestamp'))
+        if not timestamp:
+            continue
+        
+        visitor = event.get('visitor_id') or event.get('user_key') or event.get('ip')
+        if visitor and (visitor not in first_seen or timestamp < first_seen[visitor]):
+            first_seen[visitor] = timestamp
+        if visitor:
+            visitor_weeks[visitor].add(week_start(timestamp))
+        
+        if timestamp < start or timestamp > end:
+            continue
+        
+        event_types[event.get('event_type') or 'unknown'] += 1
+        if event.get('session_id'):
+            stats = session_stats.setdefault(event['session_id'], {
+                'first': timestamp, 'last': timestamp, 'events': 0, 'path': [], 'funnel': 0
+            })
+            stats['first'] = min(stats['first'], timestamp)
+            stats['last'] = max(stats['last'], timestamp)
+            stats['events'] += 1
+            path = event.get('path')
+            if event.get('event_type') == 'pageview' and path and len(stats['path']) < MAX_PATH_LENGTH:
+                if not stats['path'] or stats['path'][-1] != path:
+                    stats['path'].append(path)
+            # The log is appended in time order, so each session's steps arrive in sequence
+            if stats['funnel'] < len(funnel_steps) and funnel_step_matches(funnel_steps[stats['funnel']], event):
+                stats['funnel'] += 1
+        
+        if visitor:
+            info = visitors.setdefault(visitor, {'country': None, 'device': None})
+            if event.get('country') and event['country'] != 'Unknown':
+                info['country'] = event['country']
+            if event.get('user_agent'):
+                info['device'] = get_device_type(event['user_agent'])
+            elif event.get('device') in ('desktop', 'mobile', 'tablet'):
+                info['device'] = info['device'] or event['device']
+        
+        if event.get('user_id'):
+            registered.add(event['user_id'])
+        
+        if visitor:
+            record_experiment(experiments, experiment_assignments[visitor], visitor, event)
+        
+        event_type = event.get('event_type')
+        if event_type == 'pageview':
+            pageviews += 1
+            pages[event.get('path') or 'unknown'] += 1
+        elif event_type == 'search':
+            term = str(event.get('query') or '').strip()
+            if not term:
+                continue
+            entry = searches.setdefault(term.lower(), {
+                'term': term, 'count': 0, 'types': Counter(), 'categories': Counter()
+            })
+            entry['count'] += 1
+            entry['types'][event.get('search_type') or 'unspecified'] += 1
+            if event.get('category'):
+                entry['categories'][event['category']] += 1
+        elif event_type in ('ad_impression', 'ad_click'):
+            campaign_id = event.get('campaignId')
+            if not campaign_id:
+                continue
+            entry = campaigns.setdefault(campaign_id, {
+                'name': event.get('campaignName') or campaign_id,
+                'advertiser': event.get('advertiser') or '',
+                'impressions': 0, 'clicks': 0, 'reach': set(), 'slots': {}
+            })
+            slot = entry['slots'].setdefault(event.get('slot') or 'unknown', {'impressions': 0, 'clicks': 0})
+            if event_type == 'ad_impression':
+                entry['impressions'] += 1
+                slot['impressions'] += 1
+                if visitor:
+                    entry['reach'].add(visitor)
+            else:
+                entry['clicks'] += 1
+                slot['clicks'] += 1
+        elif event_type in TELEMETRY_EVENT_TYPES:
+            record_telemetry(telemetry, event, timestamp)
+    
+    countries = Counter()
+    devices = Counter()
+    visitor_types = Counter()
+    for visitor, info in visitors.items():
+        # Country is stamped when an event is logged; the report never looks up
+        # IPs itself, so older events without one count as Unknown
+        countries[info['country'] or 'Unknown'] += 1
+        devices[info['device'] or 'unknown'] += 1
+        visitor_types['returning' if first_seen[visitor] < start else 'new'] += 1
+    
+    top_searches = sorted(searches.values(), key=lambda s: s['count'], reverse=True)[:max_searches]
+    
+    return {
+        "visitors": {
+            "total": len(session_stats),
+            "unique": len(visitors),
+            "registered": len(registered),
+            "pageviews": pageviews,
+            "new": visitor_types['new'],
+            "returning": visitor_types['returning']
+        },
+        "countries": dict(countries.most_common()),
+        "devices": dict(devices.most_common()),
+        "pages": dict(pages.most_common(10)),
+        "searches": [
+            {
+                "term": entry['term'],
+                "count": entry['count'],
+                "type": entry['types'].most_common(1)[0][0],
+                "category": entry['categories'].most_common(1)[0][0] if entry['categories'] else ''
+            }
+            for entry in top_searches
+        ],
+        "eventTypes": dict(event_types.most_common()),
+        "behavior": summarize_behavior(session_stats, funnel_steps, first_seen, visitor_weeks, start, end),
+        "campaigns": [
+            {
+                "id": campaign_id,
+                "name": entry['name'],
+                "advertiser": entry['advertiser'],
+                "impressions": entry['impressions'],
+                "clicks": entry['clicks'],
+                "ctr": round(entry['clicks'] / entry['impressions'] * 100, 2) if entry['impressions'] else 0,
+                "reach": len(entry['reach']),
+                "slots": entry['slots']
+            }
+            for campaign_id, entry in sorted(campaigns.items(), key=lambda item: item[1]['impressions'], reverse=True)
+        ],
+        "telemetry": summarize_telemetry(telemetry),
+        "experiments": summarize_experiments(experiments)
+    }
+
+# Content manager. Items are drafts until published, and published ones only
+# show between their start and end dates and in the regions they target.
+CONTENT_KINDS = {
+    'slides': {'fields': ('title', 'caption', 'imageUrl'), 'required': ('imageUrl',)},
+    'featured': {'fields': ('name', 'description', 'imageUrl', 'linkUrl', 'placeId'), 'required': ('name',)}
+}
+CONTENT_STATUSES = ('draft', 'published')
+CONTENT_URL_FIELDS = ('imageUrl', 'linkUrl')
+CONTENT_IMAGE_TYPES = ('png', 'jpg', 'jpeg', 'gif', 'webp')
+MAX_CONTENT_IMAGE_BYTES = 5 * 1024 * 1024
+
+# Reads the image format from the file's leading bytes, so a renamed file
+# can't pass for an image; returns None for anything else
+def sniff_image_type(data):
+    if data.startswith(b'\x89PNG\r\n\x1a\n'):
+        return 'png'
+    if data.startswith(b'\xff\xd8\xff'):
+        return 'jpeg'
+    if data[:6] in (b'GIF87a', b'GIF89a'):
+        return 'gif'
+    if data[:4] == b'RIFF' and data[8:12] == b'WEBP':
+        return 'webp'
+    return None
+
+def read_content():
+    try:
+        with open(CONTENT_FILE) as f:
+            content = json.load(f)
+    except FileNotFoundError:
+        content = {}
+    return {kind: content.get(kind, []) for kind in CONTENT_KINDS}
+
+# Written to a temporary file first, so a failed save never leaves half a file
+def write_content(content):
+    temp_file = CONTENT_FILE + '.tmp'
+    with open(temp_file, 'w') as f:
+        json.dump(content, f, indent=2)
+    os.replace(temp_file, CONTENT_FILE)
+
+# Images and links are site paths or http(s) URLs, never javascript: and the like.
+# Browsers read "\" as "/" and drop tabs and newlines, so "/\evil.example" is
+# checked as the "//evil.example" it turns into.
+def is_safe_content_url(url):
+    normalized = re.sub(r'[\t\r\n]', '', url).replace('\\', '/')
+    parts = urlsplit(normalized)
+    if parts.scheme:
+        return parts.scheme in ('http', 'https') and bool(parts.netloc)
+    return normalized.startswith('/') and not normalized.startswith('//') and not parts.netloc
+
+# Returns the item as stored and the reasons it can't be saved, if any
+def clean_content_item(kind, data):
+    spec = CONTENT_KINDS[kind]
+    item = {}
+    errors = []
+    for field in spec['fields']:
+        value = data.get(field)
+        item[field] = value.strip() if isinstance(value, str) else ''
+    for field in spec['required']:
+        if not item[field]:
+            errors.append(f'{field} is required')
+    for field in CONTENT_URL_FIELDS:
+        if item.get(field) and not is_safe_content_url(item[field]):
+            errors.append(f'{field} should be a site path or an http(s) URL')
+    
+    item['status'] = data.get('status') or 'draft'
+    if item['status'] not in CONTENT_STATUSES:
+        errors.append(f'status should be one of {", ".join(CONTENT_STATUSES)}')
+    
+    for field in ('startDate', 'endDate'):
+        item[field] = data.get(field) or None
+        if item[field] and not parse_timestamp(item[field]):
+            errors.append(f'{field} should be a date')
+    start, end = parse_timestamp(item['startDate']), parse_timestamp(item['endDate'])
+    if start and end and end <= start:
+        errors.append('endDate should be after startDate')
+    
+    regions = data.get('regions') or []
+    if not isinstance(regions, list) or not all(isinstance(region, str) for region in regions):
+        errors.append('regions should be a list of names')
+        regions = []
+    item['regions'] = [region.strip() for region in regions if region.strip()]
+    return item, errors
+
+# Same rules as isContentLive() and matchesContentRegion() in homepage-content.js
+def is_content_live(item, now):
+    start, end = parse_timestamp(item.get('startDate')), parse_timestamp(item.get('endDate'))
+    return item.get('status') == 'published' and (not start or start <= now) and (not end or end > now)
+
+def matches_content_region(item, geo):
+    regions = {region.casefold() for region in item.get('regions') or []}
+    if not regions:
+        return True
+    return any(str(geo.get(field) or '').casefold() in regions for field in ('country', 'region'))
+
+# What the homepage shows this visitor; lists the editor hasn't filled stay empty
+# and the page falls back to its defaults
+def get_published_content(geo):
+    now = datetime.datetime.now().astimezone()
+    return {kind: [item for item in items if is_content_live(item, now) and matches_content_region(item, geo)]
+            for kind, items in read_content().items()}
 
 @app.route("/", methods=["GET"])
 @track_session
@@ -113,7 +1008,9 @@ def index():
         "index.html", 
         client_ip=client_ip,
         geo_data=geo_data,
-        session_id=session.get('session_id', 'unknown')
+        session_id=session.get('session_id', 'unknown'),
+        map_provider=get_map_provider(),
+        homepage_content=get_published_content(geo_data)
     )
 
 @app.route("/mw", methods=["GET"])
@@ -123,24 +1020,28 @@ def mw():
     geo_data = get_geolocation(client_ip)
     
     # Log search parameters if present
+    consent = get_tracking_consent()
     search_query = request.args.get('query')
-    if search_query:
+    if search_query and consent['analytics']:
         log_user_activity({
             'event_type': 'search',
             'session_id': session.get('session_id', 'unknown'),
-            'ip': client_ip,
-            'search_query': search_query,
-            'search_type': request.args.get('searchType', 'unspecified'),
+            'visitor_id': get_visitor_id(),
+            'ip': get_logged_ip(consent),
+            'query': search_query,
+            'search_type': request.args.get('searchType') or 'unspecified',
             'category': request.args.get('category', ''),
             'rating': request.args.get('rating', ''),
-            'radius': request.args.get('radius', '')
+            'radius': request.args.get('radius', ''),
+            'hours': request.args.get('hours', '')
         })
     
     return render_template(
         "mw.html", 
         client_ip=client_ip,
         geo_data=geo_data,
-        session_id=session.get('session_id', 'unknown')
+        session_id=session.get('session_id', 'unknown'),
+        map_provider=get_map_provider()
     )
 
 @app.route("/get-ip", methods=["GET"])
@@ -152,27 +1053,51 @@ def get_ip():
         return jsonify({
             "ip": client_ip,
             "geo": geo_data,
-            "session_id": session.get('session_id', 'unknown')
+            "session_id": ensure_session()
         })
     except Exception as e:
         print(f"Error in get_ip: {e}")
         return jsonify({"ip": "unknown", "error": str(e)})
 
 # New endpoint to log client-side events
+# Accepts a single event or a batch as {"events": [...]}. Beacons sent while the
+# page unloads arrive as text/plain, so the body is parsed regardless of type.
 @app.route("/log-event", methods=["POST"])
 def log_event():
     try:
-        data = request.json
-        client_ip = get_client_ip()
+        consent = get_tracking_consent()
+        if not consent['analytics']:
+            return jsonify({"success": False, "error": "Analytics consent not given"}), 403
         
-        # Add session and IP data
-        data['session_id'] = session.get('session_id', 'unknown')
-        data['ip'] = client_ip
+        data = request.get_json(force=True, silent=True)
+        if not isinstance(data, dict):
+            return jsonify({"success": False, "error": "Invalid event payload"})
         
-        # Log the event
-        log_user_activity(data)
+        events = data['events'] if isinstance(data.get('events'), list) else [data]
+        client_ip = get_logged_ip(consent)
+        session_id = ensure_session()
+        visitor_id = get_visitor_id()
         
-        return jsonify({"success": True})
+        logged = 0
+        rejected = []
+        for index, event in enumerate(events):
+            if not isinstance(event, dict):
+                rejected.append({"index": index, "errors": ["event should be an object"]})
+                continue
+            
+            # Add session, visitor and IP data
+            event['session_id'] = session_id
+            event['visitor_id'] = visitor_id
+            event['ip'] = client_ip
+            
+            # Log the event; malformed ones are quarantined, not retried
+            errors = log_user_activity(event)
+            if errors:
+                rejected.append({"index": index, "errors": errors})
+            else:
+                logged += 1
+        
+        return jsonify({"success": True, "logged": logged, "rejected": rejected})
     except Exception as e:
         print(f"Error logging event: {e}")
         return jsonify({"success": False, "error": str(e)})
@@ -191,44 +1116,148 @@ def analytics_dashboard():
     )
 
 @app.route("/admin/analytics-data", methods=["POST"])
+@require_admin
 def get_analytics_data():
-    # This would be protected by authentication in production
     try:
-        data = request.json
-        start_date = data.get('startDate')
-        end_date = data.get('endDate')
+        data = request.get_json(silent=True) or {}
+        
+        # Default to the last 7 days, like the dashboard
+        end = parse_timestamp(data['endDate']) if data.get('endDate') else datetime.datetime.now().astimezone()
+        start = parse_timestamp(data['startDate']) if data.get('startDate') else end - datetime.timedelta(days=7)
+        if not start or not end or start > end:
+            return jsonify({"success": False, "error": "Invalid date range"}), 400
+        
+        funnel = data.get('funnel')
+        if funnel is not None and (not isinstance(funnel, list) or not 2 <= len(funnel) <= 8
+                                   or not all(resolve_funnel_step(step) for step in funnel)):
+            return jsonify({"success": False, "error": "A funnel needs 2 to 8 known steps"}), 400
         
-        # In a real implementation, you'd query your database here
-        # For now, we'll return sample data
         return jsonify({
             "success": True,
-            "data": {
-                "visitors": {
-                    "total": 256,
-                    "unique": 187,
-                    "registered": 42,
-                    "pageviews": 1243
-                },
-                "countries": {
-                    "United States": 120,
-                    "Canada": 45,
-                    "United Kingdom": 32,
-                    "Australia": 18,
-                    "Germany": 15,
-                    "Other": 26
-                },
-                "searches": [
-                    {"term": "restaurants near me", "count": 45, "type": "Business"},
-                    {"term": "coffee shops", "count": 32, "type": "Business"},
-                    {"term": "New York", "count": 28, "type": "Location"},
-                    {"term": "hotels", "count": 24, "type": "Business"},
-                    {"term": "California", "count": 19, "type": "State"}
-                ]
-            }
+            "range": {"start": start.isoformat(), "end": end.isoformat()},
+            "funnelSteps": {key: step['label'] for key, step in FUNNEL_STEPS.items()},
+            "data": aggregate_analytics(start, end, funnel=funnel)
         })
     except Exception as e:
         return jsonify({"success": False, "error": str(e)})
 
+@app.route("/content-manager", methods=["GET"])
+def content_manager():
+    # Page loads don't carry an Authorization header, so the token comes from the
+    # cookie; anyone else is sent to the dashboard, which has the sign-in
+    if check_admin_token(request.cookies.get(ID_TOKEN_COOKIE)):
+        return redirect(url_for('analytics_dashboard'))
+    return render_template("content-manager.html")
+
+@app.route("/admin/content", methods=["GET"])
+@require_admin
+def list_content():
+    return jsonify({"success": True, "content": read_content()})
+
+@app.route("/admin/content/<kind>", methods=["POST"])
+@require_admin
+def create_content_item(kind):
+    if kind not in CONTENT_KINDS:
+        return jsonify({"success": False, "error": "Unknown content type"}), 404
+    
+    item, errors = clean_content_item(kind, request.get_json(silent=True) or {})
+    if errors:
+        return jsonify({"success": False, "error": "; ".join(errors)}), 400
+    
+    item['id'] = str(uuid.uuid4())
+    item['updatedAt'] = datetime.datetime.now().astimezone().isoformat()
+    content = read_content()
+    content[kind].append(item)
+    write_content(content)
+    return jsonify({"success": True, "item": item})
+
+@app.route("/admin/content/<kind>/<item_id>", methods=["PUT", "DELETE"])
+@require_admin
+def update_content_item(kind, item_id):
+    if kind not in CONTENT_KINDS:
+        return jsonify({"success": False, "error": "Unknown content type"}), 404
+    
+    content = read_content()
+    index = next((i for i, item in enumerate(content[kind]) if item.get('id') == item_id), None)
+    if index is None:
+        return jsonify({"success": False, "error": "Item not found"}), 404
+    
+    if request.method == 'DELETE':
+        content[kind].pop(index)
+        write_content(content)
+        return jsonify({"success": True})
+    
+    item, errors = clean_content_item(kind, request.get_json(silent=True) or {})
+    if errors:
+        return jsonify({"success": False, "error": "; ".join(errors)}), 400
+    
+    item['id'] = item_id
+    item['updatedAt'] = datetime.datetime.now().astimezone().isoformat()
+    content[kind][index] = item
+    write_content(content)
+    return jsonify({"success": True, "item": item})
+
+# Body: {"ids": [...]} with every item of the kind, in the new order
+@app.route("/admin/content/<kind>/order", methods=["POST"])
+@require_admin
+def reorder_content(kind):
+    if kind not in CONTENT_KINDS:
+        return jsonify({"success": False, "error": "Unknown content type"}), 404
+    
+    content = read_content()
+    ids = (request.get_json(silent=True) or {}).get('ids')
+    items = {item['id']: item for item in content[kind]}
+    if not isinstance(ids, list) or sorted(map(str, ids)) != sorted(items):
+        return jsonify({"success": False, "error": "The order must list every item once"}), 400
+    
+    content[kind] = [items[item_id] for item_id in ids]
+    write_content(content)
+    return jsonify({"success": True, "content": content})
+
+# Multipart upload with an "image" file; returns the URL to put in imageUrl
+@app.route("/admin/content/images", methods=["POST"])
+@require_admin
+def upload_content_image():
+    image = request.files.get('image')
+    if not image or not image.filename:
+        return jsonify({"success": False, "error": "Choose an image to upload"}), 400
+    
+    extension = image.filename.rsplit('.', 1)[-1].lower() if '.' in image.filename else ''
+    if extension not in CONTENT_IMAGE_TYPES:
+        return jsonify({"success": False, "error": f"Images must be {', '.join(CONTENT_IMAGE_TYPES)}"}), 400
+    
+    data = image.read(MAX_CONTENT_IMAGE_BYTES + 1)
+    if len(data) > MAX_CONTENT_IMAGE_BYTES:
+        return jsonify({"success": False, "error": "Images can be at most 5 MB"}), 400
+    if sniff_image_type(data) != ('jpeg' if extension == 'jpg' else extension):
+        return jsonify({"success": False, "error": f"The file isn't a valid {extension} image"}), 400
+    
+    upload_dir = os.path.join(app.static_folder, 'uploads', 'content')
+    os.makedirs(upload_dir, exist_ok=True)
+    filename = f"{uuid.uuid4().hex}.{extension}"
+    with open(os.path.join(upload_dir, filename), 'wb') as f:
+        f.write(data)
+    return jsonify({"success": True, "url": url_for('static', filename=f'uploads/content/{filename}')})
+
+# Public, unlike the dashboard data: only aggregate, widely searched terms
+@app.route("/popular-searches", methods=["GET"])
+def popular_searches():
+    try:
+        return jsonify({"success": True, "searches": get_popular_searches()})
+    except Exception as e:
+        return jsonify({"success": False, "error": str(e), "searches": []})
+
+# Touches the session and reports its ID; visitor-identity.js calls this to keep
+# the session alive and to pick up a new ID after a timeout
+@app.route("/session", methods=["GET"])
+def get_session():
+    session_id = ensure_session()
+    return jsonify({
+        "session_id": session_id,
+        "started_at": session.get('session_start'),
+        "visitor_id": get_visitor_id()
+    })
+
 @app.route("/get_user_ip", methods=["GET"])
 def get_user_ip():
     client_ip = request.headers.get('X-Forwarded-For', request.remote_addr)
@@ -240,8 +1269,47 @@ def get_user_ip():
     return jsonify({
         "ip": client_ip,
         "geo": geo_data,
+        "session_id": ensure_session(),
         "timestamp": datetime.datetime.now().isoformat()
     })
 
+# Rewrites the analytics log in the current event schema, e.g. after the
+# catalog's version changes: `flask --app Main migrate-event-log`. Lines that
+# can't be migrated go to the quarantine log; the original file is kept as .bak
+@app.cli.command('migrate-event-log')
+def migrate_event_log():
+    if not os.path.exists(ANALYTICS_LOG_FILE):
+        print("No analytics log to migrate")
+        return
+    
+    backup_file = ANALYTICS_LOG_FILE + '.bak'
+    os.replace(ANALYTICS_LOG_FILE, backup_file)
+    migrated = renamed = quarantined = 0
+    with open(backup_file) as source, open(ANALYTICS_LOG_FILE, 'w') as target:
+        for line in source:
+            try:
+                data = json.loads(line)
+            except ValueError:
+                quarantine_event(line.strip(), ['line is not valid JSON'])
+                quarantined += 1
+                continue
+            if not isinstance(data, dict):
+                quarantine_event(data, ['event should be an object'])
+                quarantined += 1
+                continue
+            
+            event = normalize_event(data)
+            errors = validate_event(event)
+            if errors:
+                quarantine_event(data, errors)
+                quarantined += 1
+                continue
+            if 'migrated_from' in event:
+                renamed += 1
+            target.write(json.dumps(event) + '\n')
+            migrated += 1
+    
+    print(f"Migrated {migrated} events ({renamed} renamed), quarantined {quarantined}; original kept at {backup_file}")
+
 if __name__ == "__main__":
     app.run(debug=True, use_reloader=False)
\ No newline at end of file
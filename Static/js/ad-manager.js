@@ -0,0 +1,394 @@
+/**
+ * Ad Manager
+ * Sponsored placements: loads campaigns, picks one per slot (feed, carousel,
+ * map pin highlight) by targeting and frequency caps, and reports viewable
+ * impressions and clicks through UserAnalytics.logEvent.
+ *
+ * Campaigns live in the ad_campaigns collection:
+ *   {
+ *     name, advertiser, status: 'active' | 'paused', startDate, endDate,
+ *     slots: ['feed', 'carousel', 'map_pin'],
+ *     priority,                       // relative weight when several campaigns qualify
+ *     placeId,                        // venue promoted by carousel cards and highlighted pins
+ *     creative: { headline, body, imageUrl, linkUrl, cta },
+ *     targeting: {
+ *       locations: [{ lat, lng, radiusMiles }],
+ *       categories: ['poker'],        // venue categories the visitor is browsing
+ *       interests: ['casino'],        // stored casino preferences (needs personalization consent)
+ *       amenities: ['pool']
+ *     },
+ *     frequencyCap: { impressions: 3, periodHours: 24 }
+ *   }
+ */
+
+const AD_SLOTS = ['feed', 'carousel', 'map_pin'];
+
+// An impression counts once at least half the ad has been on screen for a second
+const VIEWABLE_RATIO = 0.5;
+const VIEWABLE_MS = 1000;
+
+function resolveAdDistance() {
+    if (typeof distanceInMeters === 'function') return distanceInMeters;
+    if (typeof require === 'function') return require('./map-providers.js').distanceInMeters;
+    return null;
+}
+
+function toAdDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+class AdManager {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.loadCampaigns] - () => Promise of campaign objects with an id
+     * @param {Function} [options.getContext] - () => {location, category, profile, personalization}
+     * @param {Function} [options.logEvent] - (eventType, details), normally UserAnalytics.logEvent
+     * @param {Function} [options.onVenueClick] - Called with a placeId when a venue campaign is clicked
+     * @param {string} [options.storageKey='adFrequency'] - localStorage key for frequency cap counters
+     */
+    constructor(options = {}) {
+        this.loadCampaigns = options.loadCampaigns || (() => this.loadFromFirestore());
+        this.getContext = options.getContext || (() => ({}));
+        this.logEvent = options.logEvent || (() => {});
+        this.onVenueClick = options.onVenueClick || null;
+        this.storageKey = options.storageKey || 'adFrequency';
+
+        this.campaigns = [];
+        this.loaded = false;
+        this.impressions = this.loadFrequency();
+        // Impressions already counted on this page, keyed by campaign and slot
+        this.viewed = new Set();
+        this.trackedPins = new Map();
+        this.observer = null;
+    }
+
+    async load() {
+        try {
+            const campaigns = await this.loadCampaigns();
+            this.campaigns = (campaigns || []).filter(campaign => campaign && campaign.id);
+        } catch (error) {
+            console.warn("Failed to load ad campaigns:", error);
+            this.campaigns = [];
+        }
+        this.loaded = true;
+        return this.campaigns;
+    }
+
+    async loadFromFirestore() {
+        const snapshot = await firebase.firestore().collection('ad_campaigns')
+            .where('status', '==', 'active')
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    // --- Frequency caps -----------------------------------------------------------
+
+    loadFrequency() {
+        try {
+            return typeof localStorage !== 'undefined'
+                ? JSON.parse(localStorage.getItem(this.storageKey) || '{}')
+                : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveFrequency() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.impressions));
+            }
+        } catch (e) {
+            console.warn("Failed to save ad frequency counters:", e);
+        }
+    }
+
+    isCapped(campaign, now = Date.now()) {
+        const cap = campaign.frequencyCap;
+        if (!cap || !cap.impressions) return false;
+
+        const since = now - (cap.periodHours || 24) * 3600 * 1000;
+        const recent = (this.impressions[campaign.id] || []).filter(time => time > since);
+        return recent.length >= cap.impressions;
+    }
+
+    countImpression(campaign, now = Date.now()) {
+        const periodMs = ((campaign.frequencyCap && campaign.frequencyCap.periodHours) || 24) * 3600 * 1000;
+        const recent = (this.impressions[campaign.id] || []).filter(time => time > now - periodMs);
+        recent.push(now);
+        this.impressions[campaign.id] = recent;
+        this.saveFrequency();
+    }
+
+    // --- Selection ----------------------------------------------------------------
+
+    isLive(campaign, now = new Date()) {
+        const start = toAdDate(campaign.startDate);
+        const end = toAdDate(campaign.endDate);
+        return campaign.status === 'active' && (!start || start <= now) && (!end || end >= now);
+    }
+
+    matchesTargeting(campaign, context) {
+        const targeting = campaign.targeting || {};
+
+        if (targeting.locations && targeting.locations.length > 0) {
+            if (!context.location) return false;
+            const distance = resolveAdDistance();
+            const inArea = targeting.locations.some(area =>
+                distance(context.location, area) <= (area.radiusMiles || 25) * 1609.34);
+            if (!inArea) return false;
+        }
+
+        if (targeting.categories && targeting.categories.length > 0) {
+            if (!context.category || !targeting.categories.includes(context.category)) return false;
+        }
+
+        // Preference targeting relies on stored behavior, so it needs personalization consent
+        const wantsInterests = targeting.interests && targeting.interests.length > 0;
+        const wantsAmenities = targeting.amenities && targeting.amenities.length > 0;
+        if (wantsInterests || wantsAmenities) {
+            if (!context.personalization || !context.profile) return false;
+            const interests = Object.keys(context.profile.categories || {});
+            const amenities = Object.keys(context.profile.amenities || {});
+            if (wantsInterests && !targeting.interests.some(interest => interests.includes(interest))) return false;
+            if (wantsAmenities && !targeting.amenities.some(amenity => amenities.includes(amenity))) return false;
+        }
+
+        return true;
+    }
+
+    getEligible(slot, context = this.getContext()) {
+        return this.campaigns.filter(campaign =>
+            (campaign.slots || []).includes(slot) &&
+            this.isLive(campaign) &&
+            !this.isCapped(campaign) &&
+            this.matchesTargeting(campaign, context));
+    }
+
+    // Weighted random pick by priority so qualifying campaigns rotate
+    select(slot, excludeIds = []) {
+        const eligible = this.getEligible(slot).filter(campaign => !excludeIds.includes(campaign.id));
+        if (eligible.length === 0) return null;
+
+        const total = eligible.reduce((sum, campaign) => sum + (campaign.priority || 1), 0);
+        let pick = Math.random() * total;
+        for (const campaign of eligible) {
+            pick -= campaign.priority || 1;
+            if (pick <= 0) return campaign;
+        }
+        return eligible[eligible.length - 1];
+    }
+
+    // --- Tracking -----------------------------------------------------------------
+
+    eventDetails(campaign, slot) {
+        return {
+            campaignId: campaign.id,
+            campaignName: campaign.name || campaign.id,
+            advertiser: campaign.advertiser || null,
+            slot,
+            placeId: campaign.placeId || null
+        };
+    }
+
+    recordImpression(campaign, slot) {
+        const key = `${campaign.id}:${slot}`;
+        if (this.viewed.has(key)) return;
+        this.viewed.add(key);
+
+        this.countImpression(campaign);
+        this.logEvent('ad_impression', this.eventDetails(campaign, slot));
+    }
+
+    recordClick(campaign, slot) {
+        this.logEvent('ad_click', this.eventDetails(campaign, slot));
+    }
+
+    // Counts an impression once the element has been viewable long enough
+    observe(element, campaign, slot) {
+        if (typeof IntersectionObserver === 'undefined') {
+            this.recordImpression(campaign, slot);
+            return;
+        }
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    const target = entry.target;
+                    if (entry.isIntersecting && entry.intersectionRatio >= VIEWABLE_RATIO) {
+                        target._adTimer = target._adTimer || setTimeout(() => {
+                            this.recordImpression(target._adCampaign, target._adSlot);
+                            this.observer.unobserve(target);
+                        }, VIEWABLE_MS);
+                    } else if (target._adTimer) {
+                        clearTimeout(target._adTimer);
+                        target._adTimer = null;
+                    }
+                });
+            }, { threshold: [0, VIEWABLE_RATIO, 1] });
+        }
+
+        element._adCampaign = campaign;
+        element._adSlot = slot;
+        this.observer.observe(element);
+    }
+
+    handleClick(campaign, slot) {
+        this.recordClick(campaign, slot);
+
+        const creative = campaign.creative || {};
+        if (creative.linkUrl) {
+            window.open(creative.linkUrl, '_blank', 'noopener');
+        } else if (campaign.placeId && this.onVenueClick) {
+            this.onVenueClick(campaign.placeId);
+        }
+    }
+
+    // --- Rendering ----------------------------------------------------------------
+
+    createCreative(campaign, slot, className) {
+        const creative = campaign.creative || {};
+        const element = document.createElement('div');
+        element.className = className;
+
+        const label = document.createElement('div');
+        label.className = 'sponsored-tag';
+        label.textContent = 'Sponsored';
+        element.appendChild(label);
+
+        if (creative.imageUrl) {
+            const image = document.createElement('div');
+            image.className = slot === 'carousel' ? 'business-image' : 'ad-image';
+            image.style.backgroundImage = `url('${encodeURI(creative.imageUrl)}')`;
+            element.appendChild(image);
+        }
+
+        const info = document.createElement('div');
+        info.className = slot === 'carousel' ? 'business-info' : 'ad-info';
+
+        const headline = document.createElement('div');
+        headline.className = slot === 'carousel' ? 'business-name' : 'ad-headline';
+        headline.textContent = creative.headline || campaign.name || '';
+        info.appendChild(headline);
+
+        if (creative.body) {
+            const body = document.createElement('div');
+            body.className = slot === 'carousel' ? 'business-description' : 'ad-body';
+            body.textContent = creative.body;
+            info.appendChild(body);
+        }
+
+        const cta = document.createElement('button');
+        cta.type = 'button';
+        cta.className = slot === 'carousel' ? 'business-cta' : 'ad-cta';
+        cta.textContent = creative.cta || 'Learn more';
+        info.appendChild(cta);
+        element.appendChild(info);
+
+        element.addEventListener('click', () => this.handleClick(campaign, slot));
+        this.observe(element, campaign, slot);
+        return element;
+    }
+
+    // Feed slot; falls back to a house ad when no campaign qualifies
+    createFeedAd(slotIndex) {
+        const shown = Array.from(document.querySelectorAll('.ad[data-campaign-id]'))
+            .map(element => element.getAttribute('data-campaign-id'));
+        const campaign = this.select('feed', shown);
+
+        if (!campaign) {
+            const house = document.createElement('div');
+            house.className = 'ad ad-house';
+            house.textContent = 'Advertise your venue here';
+            return house;
+        }
+
+        const element = this.createCreative(campaign, 'feed', 'ad');
+        element.setAttribute('data-campaign-id', campaign.id);
+        element.setAttribute('data-ad-slot', slotIndex);
+        return element;
+    }
+
+    // Puts one sponsored card second in the carousel, after the top pick
+    fillCarousel(carousel) {
+        if (!carousel) return;
+        carousel.querySelectorAll('.sponsored-card').forEach(card => card.remove());
+
+        const campaign = this.select('carousel');
+        if (!campaign) return;
+
+        const card = this.createCreative(campaign, 'carousel', 'business-card sponsored-card');
+        card.setAttribute('data-campaign-id', campaign.id);
+        carousel.insertBefore(card, carousel.children[1] || null);
+    }
+
+    // Campaign highlighting this venue's map pin, if any
+    getPinCampaign(placeId) {
+        if (!placeId) return null;
+        return this.getEligible('map_pin').find(campaign => campaign.placeId === placeId) || null;
+    }
+
+    trackPin(campaign, marker, position) {
+        this.trackedPins.set(campaign.id, { campaign, marker, position });
+    }
+
+    // Pins count as viewed when the map settles with them drawn inside the viewport
+    // bounds. Pins hidden by a filter stay tracked so they count once shown again.
+    checkPinViewability(provider) {
+        this.trackedPins.forEach(({ campaign, marker, position }) => {
+            if (marker.isVisible() && provider.containsPosition(position)) {
+                this.recordImpression(campaign, 'map_pin');
+            }
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.adManager = new AdManager({
+        getContext: () => {
+            const lat = parseFloat(document.getElementById('lat')?.value);
+            const lng = parseFloat(document.getElementById('lng')?.value);
+            let location = isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+            if (!location && window.mapProvider && window.mapProvider.map) {
+                location = window.mapProvider.getCenter();
+            }
+
+            const category = document.getElementById('selectedCategory')?.value || null;
+            return {
+                location,
+                category: category && category !== 'all' ? category : null,
+                profile: window.userAnalytics ? window.userAnalytics.getPreferenceProfile() : null,
+                personalization: !window.consentManager || window.consentManager.isGranted('personalization')
+            };
+        },
+        logEvent: logAnalyticsEvent,
+        onVenueClick: placeId => {
+            const venue = window.venueResults && window.venueResults.getVenue(placeId);
+            if (venue && typeof focusVenue === 'function') focusVenue(venue);
+        }
+    });
+
+    // Campaigns come from Firestore, so they load once the page has initialized Firebase
+    document.addEventListener('DOMContentLoaded', () => {
+        const started = Date.now();
+        const waitForFirebase = () => {
+            if (typeof firebase !== 'undefined' && firebase.apps.length > 0) {
+                window.adManager.load().then(() => {
+                    window.adManager.fillCarousel(document.getElementById('businessCarousel'));
+                    if (window.socialFeed) window.socialFeed.refreshAds();
+                });
+            } else if (Date.now() - started < 10000) {
+                setTimeout(waitForFirebase, 200);
+            }
+        };
+        waitForFirebase();
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdManager, AD_SLOTS };
+}
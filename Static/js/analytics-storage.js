@@ -0,0 +1,582 @@
+/**
+ * Analytics Storage Adapters
+ * Pluggable persistence backends for UserAnalytics (Firestore, Flask endpoint,
+ * localStorage, in-memory). Every adapter exposes the same async methods, so the
+ * tracker never has to know where its data ends up.
+ */
+
+// Describes how a preference of the given type is folded into the stored
+// preferences object. Shared by all adapters so they agree on the layout.
+function describePreferenceUpdate(type, value, mostViewedType) {
+    switch (type) {
+        case 'category':
+            return [
+                { op: 'increment', path: ['categories', value] },
+                { op: 'set', path: ['mostViewedType'], value: mostViewedType }
+            ];
+        case 'amenity':
+            return [{ op: 'increment', path: ['amenities', value] }];
+        case 'rating':
+            return [{ op: 'set', path: ['ratingPreference'], value: value }];
+        case 'distance':
+            return [{ op: 'set', path: ['distancePreference'], value: value }];
+        case 'click':
+            return [{ op: 'increment', path: ['clicked', value] }];
+        default:
+            return [];
+    }
+}
+
+// Orders plain dates, ISO strings and Firestore timestamps alike
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+// Adds numeric counters from source into target, recursing into nested maps
+function mergeCounters(target = {}, source = {}) {
+    const merged = { ...target };
+    for (const key in source) {
+        if (typeof source[key] === 'number' && typeof merged[key] === 'number') {
+            merged[key] += source[key];
+        } else if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key]) &&
+                   merged[key] && typeof merged[key] === 'object') {
+            merged[key] = mergeCounters(merged[key], source[key]);
+        } else if (merged[key] === undefined || merged[key] === null) {
+            merged[key] = source[key];
+        }
+    }
+    return merged;
+}
+
+// Folds a legacy IP-keyed user record into a visitor record. Visit counts and
+// preference counters add up, the earliest firstSeen wins and linked users merge.
+function mergeUserRecords(visitor = {}, legacy = {}) {
+    const visitorFirstSeen = toMillis(visitor.firstSeen);
+    const legacyFirstSeen = toMillis(legacy.firstSeen);
+    const linkedUsers = [...new Set([...(visitor.linkedUsers || []), ...(legacy.linkedUsers || [])])];
+
+    return {
+        ...visitor,
+        visitCount: (visitor.visitCount || 0) + (legacy.visitCount || 0),
+        firstSeen: legacyFirstSeen !== null && (visitorFirstSeen === null || legacyFirstSeen < visitorFirstSeen)
+            ? legacy.firstSeen
+            : visitor.firstSeen || null,
+        preferences: mergeCounters(visitor.preferences, legacy.preferences),
+        linkedUsers: linkedUsers,
+        lastUserId: visitor.lastUserId || legacy.lastUserId || null
+    };
+}
+
+/**
+ * Base adapter documenting the storage interface. Reads resolve to empty
+ * results and writes are no-ops, so subclasses only override what they support.
+ */
+class AnalyticsStorageAdapter {
+    // Returns the stored user record for userKey, or null if none exists
+    async getUser(userKey) {
+        return null;
+    }
+
+    // Creates a new user record
+    async createUser(userKey, profile) {}
+
+    // Increments the visit count and refreshes lastVisit on an existing record
+    async recordVisit(userKey) {}
+
+    // Links an authenticated user ID with the user record
+    async linkUser(userId, userKey, details = {}) {}
+
+    // Merges the legacy users_by_ip record for legacyKey into the visitor record.
+    // Each legacy record is migrated once; resolves to true if this call merged it.
+    async mergeLegacyUser(legacyKey, visitorKey) {
+        return false;
+    }
+
+    // Folds a single preference signal into the user's stored preferences
+    async updatePreference(userKey, type, value, mostViewedType = null) {}
+
+    // Appends a detailed event to the user's user_events log
+    async addUserEvent(userKey, event) {}
+
+    // Appends an event to a session's event log
+    async addSessionEvent(userKey, sessionId, event) {}
+
+    // Merges summary fields into a session record
+    async updateSession(userKey, sessionId, summary) {}
+
+    // Appends an entry to the flat activity log written by the page scripts
+    async addActivityLog(event) {}
+
+    // Stores a batch of queued events (see event-queue.js for their shape)
+    async writeEvents(events) {
+        for (const event of events) {
+            if (event.target === 'activity_log') {
+                await this.addActivityLog(event);
+                continue;
+            }
+            if (!event.userKey || !event.sessionId) continue;
+
+            await this.addSessionEvent(event.userKey, event.sessionId, {
+                eventType: event.eventType,
+                clientTimestamp: event.clientTimestamp,
+                ...event.details
+            });
+            if (event.summary) {
+                await this.updateSession(event.userKey, event.sessionId, event.summary);
+            }
+        }
+    }
+}
+
+/**
+ * Firestore adapter. Document layout:
+ *   visitors/{visitorId}, visitors/{visitorId}/sessions/{id}/events,
+ *   visitors/{visitorId}/user_events and user_mappings/{uid}.
+ * Records from the old IP-keyed users_by_ip collection are merged in on demand.
+ */
+class FirestoreStorageAdapter extends AnalyticsStorageAdapter {
+    constructor(firebaseNamespace, options = {}) {
+        super();
+        this.firebase = firebaseNamespace;
+        this.usersCollection = options.usersCollection || 'visitors';
+        this.legacyCollection = options.legacyCollection || 'users_by_ip';
+    }
+
+    // Resolved lazily because the Firebase app is usually initialized after the tracker
+    get db() {
+        return this.firebase.firestore();
+    }
+
+    get FieldValue() {
+        return this.firebase.firestore.FieldValue;
+    }
+
+    userDoc(userKey) {
+        return this.db.collection(this.usersCollection).doc(userKey);
+    }
+
+    sessionDoc(userKey, sessionId) {
+        return this.userDoc(userKey).collection('sessions').doc(sessionId);
+    }
+
+    // Converts Date fields into Firestore timestamps so they sort server-side.
+    // Summaries that went through the event queue carry startTime as an ISO string.
+    toFirestoreFields(data) {
+        const fields = {};
+        for (const key in data) {
+            const isDate = data[key] instanceof Date || (key === 'startTime' && typeof data[key] === 'string');
+            fields[key] = isDate
+                ? this.firebase.firestore.Timestamp.fromDate(new Date(data[key]))
+                : data[key];
+        }
+        return fields;
+    }
+
+    async getUser(userKey) {
+        const userDoc = await this.userDoc(userKey).get();
+        return userDoc.exists ? userDoc.data() : null;
+    }
+
+    async createUser(userKey, profile) {
+        await this.userDoc(userKey).set({
+            firstSeen: this.FieldValue.serverTimestamp(),
+            lastVisit: this.FieldValue.serverTimestamp(),
+            visitCount: 1,
+            preferences: {},
+            ...profile
+        });
+    }
+
+    async recordVisit(userKey) {
+        await this.userDoc(userKey).update({
+            visitCount: this.FieldValue.increment(1),
+            lastVisit: this.FieldValue.serverTimestamp()
+        });
+    }
+
+    async linkUser(userId, userKey, details = {}) {
+        await this.db.collection('user_mappings').doc(userId).set({
+            linkedVisitors: this.FieldValue.arrayUnion(userKey),
+            lastUpdated: this.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        await this.userDoc(userKey).update({
+            linkedUsers: this.FieldValue.arrayUnion(userId),
+            lastUserId: userId,
+            lastUserEmail: details.email || null
+        });
+    }
+
+    async mergeLegacyUser(legacyKey, visitorKey) {
+        const legacyRef = this.db.collection(this.legacyCollection).doc(legacyKey);
+        const visitorRef = this.userDoc(visitorKey);
+
+        // A transaction so two visitors behind the same IP can't both claim the record
+        return this.db.runTransaction(async transaction => {
+            const legacyDoc = await transaction.get(legacyRef);
+            if (!legacyDoc.exists || legacyDoc.data().migratedTo) return false;
+
+            const visitorDoc = await transaction.get(visitorRef);
+            const merged = mergeUserRecords(visitorDoc.exists ? visitorDoc.data() : {}, legacyDoc.data());
+
+            transaction.set(visitorRef, {
+                ...merged,
+                migratedFrom: this.FieldValue.arrayUnion(legacyKey)
+            }, { merge: true });
+            transaction.update(legacyRef, {
+                migratedTo: visitorKey,
+                migratedAt: this.FieldValue.serverTimestamp()
+            });
+            return true;
+        });
+    }
+
+    async updatePreference(userKey, type, value, mostViewedType = null) {
+        const updateObj = {};
+
+        describePreferenceUpdate(type, value, mostViewedType).forEach(change => {
+            const fieldPath = ['preferences', ...change.path].join('.');
+            updateObj[fieldPath] = change.op === 'increment'
+                ? this.FieldValue.increment(1)
+                : change.value;
+        });
+
+        if (Object.keys(updateObj).length > 0) {
+            await this.userDoc(userKey).update(updateObj);
+        }
+    }
+
+    async addUserEvent(userKey, event) {
+        await this.userDoc(userKey).collection('user_events').add({
+            ...event,
+            timestamp: this.FieldValue.serverTimestamp()
+        });
+    }
+
+    async addSessionEvent(userKey, sessionId, event) {
+        await this.sessionDoc(userKey, sessionId).collection('events').add({
+            ...event,
+            timestamp: this.FieldValue.serverTimestamp()
+        });
+    }
+
+    async updateSession(userKey, sessionId, summary) {
+        await this.sessionDoc(userKey, sessionId).set({
+            ...this.toFirestoreFields(summary),
+            lastActivity: this.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    // Writes a queued batch atomically: one event document per event plus the
+    // latest summary for each touched session
+    async writeEvents(events) {
+        const batch = this.db.batch();
+        const summaries = new Map();
+
+        events.forEach(event => {
+            if (event.target === 'activity_log') {
+                const logData = {
+                    event_type: event.eventType,
+                    session_id: event.sessionId,
+                    ip: event.userKey || 'unknown',
+                    client_timestamp: event.clientTimestamp,
+                    ...event.details,
+                    timestamp: this.FieldValue.serverTimestamp()
+                };
+                batch.set(this.db.collection('user_logs').doc(), logData);
+                batch.set(this.db.collection('ip_logs').doc(logData.ip).collection('activities').doc(), logData);
+                return;
+            }
+            if (!event.userKey || !event.sessionId) return;
+
+            const sessionRef = this.sessionDoc(event.userKey, event.sessionId);
+            batch.set(sessionRef.collection('events').doc(), {
+                eventType: event.eventType,
+                clientTimestamp: event.clientTimestamp,
+                ...event.details,
+                timestamp: this.FieldValue.serverTimestamp()
+            });
+            if (event.summary) {
+                summaries.set(sessionRef.path, { ref: sessionRef, summary: event.summary });
+            }
+        });
+
+        summaries.forEach(({ ref, summary }) => {
+            batch.set(ref, {
+                ...this.toFirestoreFields(summary),
+                lastActivity: this.FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+
+        await batch.commit();
+    }
+}
+
+/**
+ * Sends every write to the Flask /log-event endpoint as a JSON event.
+ * The server only appends to its log, so reads come back empty.
+ */
+class ServerStorageAdapter extends AnalyticsStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.endpoint = options.endpoint || '/log-event';
+    }
+
+    async send(eventType, data) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event_type: eventType, ...data })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || `Failed to log ${eventType}`);
+        }
+    }
+
+    async createUser(userKey, profile) {
+        await this.send('user_created', { user_key: userKey, ...profile });
+    }
+
+    async recordVisit(userKey) {
+        await this.send('user_visit', { user_key: userKey });
+    }
+
+    async linkUser(userId, userKey, details = {}) {
+        await this.send('user_linked', { user_key: userKey, user_id: userId, user_email: details.email || null });
+    }
+
+    // The server log can't merge records, but it notes the mapping for offline migration
+    async mergeLegacyUser(legacyKey, visitorKey) {
+        await this.send('visitor_migration', { user_key: visitorKey, legacy_key: legacyKey });
+        return false;
+    }
+
+    async updatePreference(userKey, type, value, mostViewedType = null) {
+        await this.send('preference_update', { user_key: userKey, preferenceType: type, value, mostViewedType });
+    }
+
+    // The event's own type would be read as the log entry's, so it travels as user_event_type
+    async addUserEvent(userKey, event) {
+        const { eventType, ...details } = event;
+        await this.send('user_event', { user_key: userKey, user_event_type: eventType, ...details });
+    }
+
+    async addSessionEvent(userKey, sessionId, event) {
+        // The server stamps its own session_id, so keep ours under a separate name
+        const { eventType, ...details } = event;
+        await this.send(eventType, { user_key: userKey, client_session_id: sessionId, ...details });
+    }
+
+    // Sends the whole batch in one request; /log-event accepts { events: [...] }
+    async writeEvents(events) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                events: events.map(event => ({
+                    event_type: event.eventType,
+                    user_key: event.userKey,
+                    client_session_id: event.sessionId,
+                    client_timestamp: event.clientTimestamp,
+                    ...event.details
+                }))
+            })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to log event batch');
+        }
+    }
+}
+
+/**
+ * Keeps everything in plain objects. Used in tests and as the base for the
+ * localStorage adapter.
+ */
+class MemoryStorageAdapter extends AnalyticsStorageAdapter {
+    constructor(initialState = null) {
+        super();
+        this.state = { users: {}, legacyUsers: {}, userMappings: {}, activityLogs: [], ...initialState };
+    }
+
+    // Hook for subclasses that persist state after each write
+    persist() {}
+
+    ensureUser(userKey) {
+        if (!this.state.users[userKey]) {
+            this.state.users[userKey] = { preferences: {}, sessions: {}, user_events: [] };
+        }
+        return this.state.users[userKey];
+    }
+
+    ensureSession(userKey, sessionId) {
+        const user = this.ensureUser(userKey);
+        if (!user.sessions[sessionId]) {
+            user.sessions[sessionId] = { events: [] };
+        }
+        return user.sessions[sessionId];
+    }
+
+    async getUser(userKey) {
+        const user = this.state.users[userKey];
+        if (!user) return null;
+
+        const { sessions, user_events, ...record } = user;
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    async createUser(userKey, profile) {
+        const now = new Date().toISOString();
+        Object.assign(this.ensureUser(userKey), {
+            firstSeen: now,
+            lastVisit: now,
+            visitCount: 1,
+            ...profile
+        });
+        this.persist();
+    }
+
+    async recordVisit(userKey) {
+        const user = this.ensureUser(userKey);
+        user.visitCount = (user.visitCount || 0) + 1;
+        user.lastVisit = new Date().toISOString();
+        this.persist();
+    }
+
+    async linkUser(userId, userKey, details = {}) {
+        const mapping = this.state.userMappings[userId] || { linkedVisitors: [] };
+        if (!mapping.linkedVisitors.includes(userKey)) mapping.linkedVisitors.push(userKey);
+        mapping.lastUpdated = new Date().toISOString();
+        this.state.userMappings[userId] = mapping;
+
+        const user = this.ensureUser(userKey);
+        user.linkedUsers = user.linkedUsers || [];
+        if (!user.linkedUsers.includes(userId)) user.linkedUsers.push(userId);
+        user.lastUserId = userId;
+        user.lastUserEmail = details.email || null;
+        this.persist();
+    }
+
+    // Legacy IP-keyed records live in state.legacyUsers
+    async mergeLegacyUser(legacyKey, visitorKey) {
+        const legacy = (this.state.legacyUsers || {})[legacyKey];
+        if (!legacy || legacy.migratedTo) return false;
+
+        const visitor = this.ensureUser(visitorKey);
+        const { sessions, user_events, ...record } = visitor;
+        Object.assign(visitor, mergeUserRecords(record, legacy));
+        visitor.migratedFrom = [...(visitor.migratedFrom || []), legacyKey];
+
+        legacy.migratedTo = visitorKey;
+        legacy.migratedAt = new Date().toISOString();
+        this.persist();
+        return true;
+    }
+
+    async updatePreference(userKey, type, value, mostViewedType = null) {
+        const preferences = this.ensureUser(userKey).preferences;
+
+        describePreferenceUpdate(type, value, mostViewedType).forEach(change => {
+            let target = preferences;
+            const path = [...change.path];
+            const field = path.pop();
+
+            path.forEach(segment => {
+                target[segment] = target[segment] || {};
+                target = target[segment];
+            });
+
+            target[field] = change.op === 'increment' ? (target[field] || 0) + 1 : change.value;
+        });
+        this.persist();
+    }
+
+    async addUserEvent(userKey, event) {
+        this.ensureUser(userKey).user_events.push({ ...event, timestamp: new Date().toISOString() });
+        this.persist();
+    }
+
+    async addSessionEvent(userKey, sessionId, event) {
+        this.ensureSession(userKey, sessionId).events.push({ ...event, timestamp: new Date().toISOString() });
+        this.persist();
+    }
+
+    async updateSession(userKey, sessionId, summary) {
+        const session = this.ensureSession(userKey, sessionId);
+        for (const key in summary) {
+            session[key] = summary[key] instanceof Date ? summary[key].toISOString() : summary[key];
+        }
+        session.lastActivity = new Date().toISOString();
+        this.persist();
+    }
+
+    async addActivityLog(event) {
+        this.state.activityLogs.push({
+            event_type: event.eventType,
+            session_id: event.sessionId,
+            ip: event.userKey || 'unknown',
+            client_timestamp: event.clientTimestamp,
+            ...event.details,
+            timestamp: new Date().toISOString()
+        });
+        this.persist();
+    }
+}
+
+/**
+ * Memory adapter that survives reloads by mirroring its state into localStorage.
+ */
+class LocalStorageAdapter extends MemoryStorageAdapter {
+    constructor(options = {}) {
+        const storageKey = options.storageKey || 'userAnalyticsStore';
+        let savedState = null;
+
+        try {
+            savedState = JSON.parse(localStorage.getItem(storageKey) || 'null');
+        } catch (e) {
+            console.warn("Discarding unreadable analytics store:", e);
+        }
+
+        super(savedState);
+        this.storageKey = storageKey;
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            console.warn("Failed to persist analytics store:", e);
+        }
+    }
+}
+
+// Picks Firestore when the SDK is on the page, then localStorage, then memory
+function createDefaultAnalyticsStorage() {
+    if (typeof firebase !== 'undefined' && firebase.firestore) {
+        return new FirestoreStorageAdapter(firebase);
+    }
+    if (typeof localStorage !== 'undefined') {
+        return new LocalStorageAdapter();
+    }
+    return new MemoryStorageAdapter();
+}
+
+const AnalyticsStorage = {
+    AnalyticsStorageAdapter,
+    FirestoreStorageAdapter,
+    ServerStorageAdapter,
+    MemoryStorageAdapter,
+    LocalStorageAdapter,
+    createDefaultAnalyticsStorage,
+    describePreferenceUpdate,
+    mergeUserRecords
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalyticsStorage;
+}
@@ -0,0 +1,457 @@
+/**
+ * Auth Manager
+ * The one sign-in flow for every page: email/password sign-up with email
+ * verification, sign-in with "keep me signed in", password reset and Google
+ * sign-in, in a shared dialog that shows errors inline. Broadcasts
+ * auth_state_changed with the member's role so pages can gate admin UI.
+ *
+ * Roles come from custom claims on the ID token, set with the Admin SDK:
+ *   { admin: true }  or  { role: 'admin' }
+ * Hiding admin UI is only a convenience; the server checks the same claim on
+ * a verified ID token (see require_admin in Main.py). The current token is
+ * also kept in the id_token cookie, scoped to /content-manager, so the server
+ * can check the page load itself.
+ *
+ * Page hooks:
+ *   [data-auth-action="sign-in" | "sign-up" | "sign-out"]  open the dialog or sign out;
+ *                                                          sign-in/up hide while signed in, sign-out shows
+ */
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': "That email address doesn't look right.",
+    'auth/missing-email': 'Enter your email address.',
+    'auth/missing-password': 'Enter your password.',
+    'auth/user-disabled': 'This account has been disabled.',
+    'auth/user-not-found': 'Email or password is incorrect.',
+    'auth/wrong-password': 'Email or password is incorrect.',
+    'auth/invalid-credential': 'Email or password is incorrect.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try signing in instead.',
+    'auth/weak-password': 'Choose a password with at least 6 characters.',
+    'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+    'auth/network-request-failed': "Couldn't reach the sign-in service. Check your connection.",
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/cancelled-popup-request': 'The sign-in window was closed before finishing.',
+    'auth/account-exists-with-different-credential':
+        'This email is registered with a password. Sign in with your email and password instead.',
+    'auth/requires-recent-login': 'Please sign in again to continue.'
+};
+
+// Google's popup can be blocked or unsupported; a full-page redirect still works
+const REDIRECT_FALLBACK_CODES = ['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment'];
+
+function describeAuthError(error) {
+    return AUTH_ERROR_MESSAGES[error && error.code] ||
+        (error && error.message) ||
+        'Something went wrong. Please try again.';
+}
+
+function getUserRole(claims) {
+    if (!claims) return 'member';
+    if (claims.admin === true || claims.role === 'admin') return 'admin';
+    return claims.role || 'member';
+}
+
+// Password accounts need a verified email; Google accounts arrive verified
+function needsVerification(user) {
+    return !!user && !user.emailVerified &&
+        (user.providerData || []).some(provider => provider && provider.providerId === 'password');
+}
+
+const ID_TOKEN_COOKIE = 'id_token';
+
+// Firebase ID tokens last an hour; an empty token clears the cookie
+function writeIdTokenCookie(token) {
+    if (typeof document === 'undefined') return;
+    const secure = location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${ID_TOKEN_COOKIE}=${token || ''}; path=/content-manager; max-age=${token ? 60 * 60 : 0}; SameSite=Strict${secure}`;
+}
+
+class AuthManager {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getAuth] - () => firebase.auth() instance
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options = {}) {
+        this.getAuth = options.getAuth || (() => firebase.auth());
+        this.onEvent = options.onEvent || (() => {});
+
+        this.user = null;
+        this.role = null;
+        this.started = false;
+        this.dialog = null;
+        this.mode = 'sign-in';
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        const auth = this.getAuth();
+        // Surfaces errors from a Google redirect sign-in started on an earlier page load
+        auth.getRedirectResult().catch(error => {
+            this.open('sign-in');
+            this.showError(describeAuthError(error));
+        });
+        auth.onAuthStateChanged(user => this.handleUser(user));
+        // Also fires when Firebase refreshes the token, keeping the cookie current
+        auth.onIdTokenChanged(user => this.storeIdToken(user));
+    }
+
+    async storeIdToken(user) {
+        try {
+            writeIdTokenCookie(user ? await user.getIdToken() : null);
+        } catch (error) {
+            console.warn("Failed to store ID token:", error);
+            writeIdTokenCookie(null);
+        }
+    }
+
+    async handleUser(user) {
+        this.user = user || null;
+        this.role = user ? await this.loadRole(user) : null;
+        this.updatePage();
+
+        document.dispatchEvent(new CustomEvent('auth_state_changed', {
+            detail: { user: this.user, role: this.role, isAdmin: this.isAdmin() }
+        }));
+    }
+
+    async loadRole(user, forceRefresh = false) {
+        try {
+            const result = await user.getIdTokenResult(forceRefresh);
+            return getUserRole(result.claims);
+        } catch (error) {
+            console.warn("Failed to read account role:", error);
+            return 'member';
+        }
+    }
+
+    isAdmin() {
+        return this.role === 'admin';
+    }
+
+    // --- Account actions --------------------------------------------------------
+
+    // "Keep me signed in" keeps the session across browser restarts; otherwise it ends with the tab
+    async setPersistence(remember) {
+        const Persistence = firebase.auth.Auth.Persistence;
+        await this.getAuth().setPersistence(remember ? Persistence.LOCAL : Persistence.SESSION);
+    }
+
+    async signIn(email, password, remember = true) {
+        await this.setPersistence(remember);
+        const credential = await this.getAuth().signInWithEmailAndPassword(email.trim(), password);
+        this.onEvent('sign_in', { method: 'password' });
+        return credential.user;
+    }
+
+    async signUp(email, password, displayName, remember = true) {
+        await this.setPersistence(remember);
+        const credential = await this.getAuth().createUserWithEmailAndPassword(email.trim(), password);
+        const name = (displayName || '').trim();
+        if (name) await credential.user.updateProfile({ displayName: name });
+        await credential.user.sendEmailVerification();
+        this.onEvent('sign_up', { method: 'password' });
+        return credential.user;
+    }
+
+    async signInWithGoogle(remember = true) {
+        await this.setPersistence(remember);
+        const provider = new firebase.auth.GoogleAuthProvider();
+        try {
+            const credential = await this.getAuth().signInWithPopup(provider);
+            this.onEvent('sign_in', { method: 'google' });
+            return credential.user;
+        } catch (error) {
+            if (!REDIRECT_FALLBACK_CODES.includes(error.code)) throw error;
+            await this.getAuth().signInWithRedirect(provider);
+            return null;
+        }
+    }
+
+    async sendPasswordReset(email) {
+        await this.getAuth().sendPasswordResetEmail((email || '').trim());
+        this.onEvent('password_reset_requested', {});
+    }
+
+    async resendVerification() {
+        if (!this.user) throw new Error("Sign in first");
+        await this.user.sendEmailVerification();
+    }
+
+    // Picks up a verification done in another tab, and the claims that come with it
+    async refreshUser() {
+        if (!this.user) return;
+        await this.user.reload();
+        this.user = this.getAuth().currentUser;
+        // A fresh token carries email_verified and any newly granted role
+        await this.user.getIdToken(true);
+        await this.handleUser(this.user);
+    }
+
+    async signOut() {
+        await this.getAuth().signOut();
+        this.onEvent('sign_out', {});
+    }
+
+    async getIdToken(forceRefresh = false) {
+        return this.user ? this.user.getIdToken(forceRefresh) : null;
+    }
+
+    // fetch() with the member's ID token, for endpoints that check it server-side
+    async authorizedFetch(url, options = {}) {
+        const token = await this.getIdToken();
+        if (!token) throw new Error("Sign in required");
+        return fetch(url, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${token}` }
+        });
+    }
+
+    // --- Page hooks ---------------------------------------------------------------
+
+    bindTriggers() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-auth-action]');
+            if (!trigger) return;
+            e.preventDefault();
+
+            const action = trigger.getAttribute('data-auth-action');
+            if (action === 'sign-out') {
+                this.signOut().catch(error => console.error("Sign-out failed:", error));
+            } else {
+                this.open(action);
+            }
+        });
+        this.updatePage();
+    }
+
+    updatePage() {
+        if (typeof document === 'undefined') return;
+        const signedIn = !!this.user;
+
+        document.querySelectorAll('[data-auth-action]').forEach(trigger => {
+            const action = trigger.getAttribute('data-auth-action');
+            const visible = action === 'sign-out' ? signedIn : !signedIn;
+            // Nav links sit inside list items; hide the whole item
+            const target = trigger.parentElement && trigger.parentElement.tagName === 'LI' ? trigger.parentElement : trigger;
+            target.style.display = visible ? '' : 'none';
+        });
+
+        this.updateVerificationNotice();
+        if (signedIn) this.close();
+    }
+
+    updateVerificationNotice() {
+        let notice = document.getElementById('authVerifyNotice');
+        if (!needsVerification(this.user)) {
+            if (notice) notice.remove();
+            return;
+        }
+        if (notice) return;
+
+        notice = document.createElement('div');
+        notice.id = 'authVerifyNotice';
+        notice.className = 'auth-verify-notice';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `
+            <span>Please verify your email address. Check your inbox for the link we sent.</span>
+            <button type="button" data-verify-action="resend">Resend email</button>
+            <button type="button" data-verify-action="refresh">I've verified</button>
+            <span class="auth-verify-status"></span>
+        `;
+        const status = notice.querySelector('.auth-verify-status');
+        notice.querySelector('[data-verify-action="resend"]').addEventListener('click', () => {
+            this.resendVerification()
+                .then(() => { status.textContent = 'Sent.'; })
+                .catch(error => { status.textContent = describeAuthError(error); });
+        });
+        notice.querySelector('[data-verify-action="refresh"]').addEventListener('click', () => {
+            this.refreshUser()
+                .then(() => {
+                    if (needsVerification(this.user)) status.textContent = "Not verified yet.";
+                })
+                .catch(error => { status.textContent = describeAuthError(error); });
+        });
+        document.body.prepend(notice);
+    }
+
+    // --- Dialog -------------------------------------------------------------------
+
+    open(mode = 'sign-in') {
+        if (!this.dialog) this.dialog = this.buildDialog();
+        this.setMode(mode);
+        this.dialog.style.display = 'block';
+        this.overlay.style.display = 'block';
+        const first = this.dialog.querySelector('input:not([type="checkbox"]):not([hidden])');
+        if (first) first.focus();
+    }
+
+    close() {
+        if (!this.dialog) return;
+        this.dialog.style.display = 'none';
+        this.overlay.style.display = 'none';
+    }
+
+    buildDialog() {
+        // Pages share the .overlay backdrop used by their other popups
+        this.overlay = document.getElementById('overlay');
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'overlay';
+            this.overlay.className = 'overlay';
+            document.body.appendChild(this.overlay);
+        }
+        this.overlay.addEventListener('click', () => this.close());
+
+        const dialog = document.createElement('div');
+        dialog.id = 'authDialog';
+        dialog.className = 'popup auth-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.innerHTML = `
+            <form novalidate>
+                <h2 class="auth-title"></h2>
+                <div class="auth-error" role="alert"></div>
+                <div class="auth-message" role="status"></div>
+                <input type="text" name="displayName" placeholder="Username" autocomplete="nickname" data-modes="sign-up">
+                <input type="email" name="email" placeholder="Email" autocomplete="email" data-modes="sign-in sign-up reset">
+                <input type="password" name="password" placeholder="Password" data-modes="sign-in sign-up">
+                <label class="auth-remember" data-modes="sign-in sign-up">
+                    <input type="checkbox" name="remember" checked> Keep me signed in
+                </label>
+                <button type="submit" class="auth-submit"></button>
+                <button type="button" class="auth-google" data-modes="sign-in sign-up">Continue with Google</button>
+                <div class="auth-links">
+                    <a href="#" data-auth-mode="reset" data-modes="sign-in">Forgot password?</a>
+                    <a href="#" data-auth-mode="sign-up" data-modes="sign-in">Create an account</a>
+                    <a href="#" data-auth-mode="sign-in" data-modes="sign-up reset">Back to sign in</a>
+                </div>
+                <button type="button" class="auth-close">Close</button>
+            </form>
+        `;
+
+        const form = dialog.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(form);
+        });
+        dialog.querySelector('.auth-google').addEventListener('click', () => {
+            this.run(form, () => this.signInWithGoogle(form.elements.remember.checked));
+        });
+        dialog.querySelector('.auth-close').addEventListener('click', () => this.close());
+        dialog.querySelectorAll('[data-auth-mode]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setMode(link.getAttribute('data-auth-mode'));
+            });
+        });
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        document.body.appendChild(dialog);
+        return dialog;
+    }
+
+    setMode(mode) {
+        const titles = {
+            'sign-in': ['Sign In', 'Sign In'],
+            'sign-up': ['Create Account', 'Sign Up'],
+            'reset': ['Reset Password', 'Send reset link']
+        };
+        this.mode = titles[mode] ? mode : 'sign-in';
+        const [title, submit] = titles[this.mode];
+
+        this.dialog.querySelector('.auth-title').textContent = title;
+        this.dialog.querySelector('.auth-submit').textContent = submit;
+        this.dialog.querySelector('input[name="password"]').autocomplete =
+            this.mode === 'sign-up' ? 'new-password' : 'current-password';
+        this.dialog.querySelectorAll('[data-modes]').forEach(element => {
+            element.hidden = !element.getAttribute('data-modes').split(' ').includes(this.mode);
+        });
+        this.showError('');
+        this.showMessage('');
+    }
+
+    submit(form) {
+        const email = form.elements.email.value;
+        const password = form.elements.password.value;
+        const remember = form.elements.remember.checked;
+
+        if (this.mode === 'reset') {
+            this.run(form, async () => {
+                await this.sendPasswordReset(email);
+                this.showMessage(`If an account exists for ${email.trim()}, a reset link is on its way.`);
+            });
+        } else if (this.mode === 'sign-up') {
+            this.run(form, async () => {
+                await this.signUp(email, password, form.elements.displayName.value, remember);
+                form.reset();
+            });
+        } else {
+            this.run(form, async () => {
+                await this.signIn(email, password, remember);
+                form.reset();
+            });
+        }
+    }
+
+    // Runs a dialog action with the form locked, showing failures inline
+    async run(form, action) {
+        const controls = form.querySelectorAll('button, input');
+        controls.forEach(control => { control.disabled = true; });
+        this.showError('');
+        try {
+            await action();
+        } catch (error) {
+            console.error("Authentication failed:", error);
+            this.showError(describeAuthError(error));
+        } finally {
+            controls.forEach(control => { control.disabled = false; });
+        }
+    }
+
+    showError(message) {
+        if (!this.dialog) return;
+        const element = this.dialog.querySelector('.auth-error');
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    }
+
+    showMessage(message) {
+        if (!this.dialog) return;
+        const element = this.dialog.querySelector('.auth-message');
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    }
+}
+
+// One auth flow per page; it starts once the page has initialized the Firebase app
+if (typeof window !== 'undefined') {
+    window.authManager = new AuthManager({
+        onEvent: logAnalyticsEvent
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        window.authManager.bindTriggers();
+
+        const started = Date.now();
+        const waitForFirebase = () => {
+            if (typeof firebase !== 'undefined' && firebase.apps.length > 0) {
+                window.authManager.start();
+            } else if (Date.now() - started < 10000) {
+                setTimeout(waitForFirebase, 200);
+            } else {
+                console.warn("Firebase was not initialized; sign-in is unavailable");
+            }
+        };
+        waitForFirebase();
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthManager, describeAuthError, getUserRole, needsVerification };
+}
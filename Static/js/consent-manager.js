@@ -0,0 +1,262 @@
+/**
+ * Consent Management
+ * Stores the visitor's tracking consent per category, honors Do-Not-Track and
+ * Global Privacy Control, renders the consent banner and provides the strict
+ * privacy helpers used to anonymize IP addresses.
+ */
+
+const CONSENT_CATEGORIES = ['essential', 'analytics', 'personalization'];
+
+// Zeroes the host part of an IP: last octet for IPv4, last five groups for IPv6
+function truncateIp(ip) {
+    if (!ip || ip === 'unknown') return ip;
+
+    if (ip.includes(':')) {
+        // Expand "::" so the prefix groups are counted correctly
+        const [head, tail] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const padding = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+        const groups = [...headGroups, ...Array(Math.max(padding, 0)).fill('0'), ...tailGroups];
+        return groups.slice(0, 3).join(':') + '::';
+    }
+
+    const octets = ip.split('.');
+    if (octets.length !== 4) return ip;
+    octets[3] = '0';
+    return octets.join('.');
+}
+
+class ConsentManager {
+    /**
+     * @param {Object} options
+     * @param {string} [options.storageKey='trackingConsent'] - localStorage key for the decision
+     * @param {string} [options.cookieName='tracking_consent'] - Cookie the server reads consent from
+     * @param {number} [options.version=1] - Bump to ask everyone again after the policy changes
+     * @param {string} [options.hashSalt] - Salt mixed into hashed IP keys
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'trackingConsent';
+        this.cookieName = options.cookieName || 'tracking_consent';
+        this.version = options.version || 1;
+        this.hashSalt = options.hashSalt || 'mw25-visitor';
+        this.listeners = [];
+        this.consent = this.load();
+    }
+
+    load() {
+        if (typeof localStorage === 'undefined') return null;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            // A decision made under an older policy version no longer counts
+            if (saved && saved.version === this.version) return saved;
+        } catch (e) {
+            console.warn("Discarding unreadable consent record:", e);
+        }
+        return null;
+    }
+
+    save() {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.consent));
+        }
+
+        // Mirror the decision into a cookie so the Flask server can honor it too
+        if (typeof document !== 'undefined') {
+            const flags = CONSENT_CATEGORIES.filter(category => this.consent.categories[category]);
+            if (this.consent.strictMode) flags.push('strict');
+            document.cookie = `${this.cookieName}=${flags.join('.')}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+        }
+    }
+
+    // True when the browser sends Do-Not-Track or Global Privacy Control
+    hasPrivacySignal() {
+        if (typeof navigator === 'undefined') return false;
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            (typeof window !== 'undefined' && window.doNotTrack === '1');
+    }
+
+    hasDecision() {
+        return !!this.consent;
+    }
+
+    isGranted(category) {
+        if (category === 'essential') return true;
+        return !!(this.consent && this.consent.categories[category]);
+    }
+
+    // Strict mode is forced on whenever the browser sends a privacy signal
+    isStrictMode() {
+        return this.hasPrivacySignal() || !!(this.consent && this.consent.strictMode);
+    }
+
+    getConsent() {
+        return {
+            categories: CONSENT_CATEGORIES.reduce((categories, category) => {
+                categories[category] = this.isGranted(category);
+                return categories;
+            }, {}),
+            strictMode: this.isStrictMode(),
+            decided: this.hasDecision(),
+            privacySignal: this.hasPrivacySignal()
+        };
+    }
+
+    /**
+     * Records a consent decision.
+     * @param {Object} categories - e.g. { analytics: true, personalization: false }
+     * @param {Object} [options]
+     * @param {boolean} [options.strictMode] - Hash/truncate IPs even with consent
+     * @param {string} [options.source='api'] - Where the decision came from (banner, api)
+     */
+    setConsent(categories = {}, options = {}) {
+        const previous = this.getConsent();
+        const current = this.consent ? this.consent.categories : {};
+
+        this.consent = {
+            version: this.version,
+            categories: {
+                ...current,
+                ...categories,
+                essential: true
+            },
+            strictMode: options.strictMode !== undefined
+                ? !!options.strictMode
+                : !!(this.consent && this.consent.strictMode),
+            source: options.source || 'api',
+            decidedAt: new Date().toISOString()
+        };
+
+        // Unknown categories are ignored rather than stored
+        Object.keys(this.consent.categories).forEach(category => {
+            if (!CONSENT_CATEGORIES.includes(category)) delete this.consent.categories[category];
+        });
+
+        this.save();
+        this.hideBanner();
+
+        const next = this.getConsent();
+        this.listeners.forEach(listener => {
+            try {
+                listener(next, previous);
+            } catch (e) {
+                console.error("Consent listener failed:", e);
+            }
+        });
+
+        return next;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    // Turns an IP into something safe to use as a document key in strict mode:
+    // truncated first, then hashed with the site salt
+    async anonymizeIp(ip) {
+        const truncated = truncateIp(ip);
+        if (!truncated || truncated === 'unknown') return truncated;
+
+        const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+        if (!subtle) return truncated;
+
+        const bytes = new TextEncoder().encode(`${this.hashSalt}:${truncated}`);
+        const digest = await subtle.digest('SHA-256', bytes);
+        return 'ip_' + Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('')
+            .substring(0, 32);
+    }
+
+    // Shows the banner unless a decision exists. With a privacy signal and no
+    // decision, tracking simply stays off and the banner is not pushed.
+    showBannerIfNeeded() {
+        if (!this.hasDecision() && !this.hasPrivacySignal()) {
+            this.showBanner();
+        }
+    }
+
+    showBanner() {
+        if (typeof document === 'undefined' || document.getElementById('consentBanner')) return;
+
+        const consent = this.getConsent();
+        const banner = document.createElement('div');
+        banner.id = 'consentBanner';
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Privacy preferences');
+
+        banner.innerHTML = `
+            <div class="consent-text">
+                <strong>Your privacy</strong>
+                <p>We use essential storage to run the site. With your permission we also collect
+                   usage analytics and remember your venue preferences to personalize results.</p>
+                ${consent.privacySignal ? '<p class="consent-signal">Your browser asks not to be tracked, so strict privacy is always on.</p>' : ''}
+            </div>
+            <div class="consent-options">
+                <label><input type="checkbox" data-consent="essential" checked disabled> Essential</label>
+                <label><input type="checkbox" data-consent="analytics" ${consent.categories.analytics ? 'checked' : ''}> Analytics</label>
+                <label><input type="checkbox" data-consent="personalization" ${consent.categories.personalization ? 'checked' : ''}> Personalization</label>
+                <label><input type="checkbox" data-consent-strict ${consent.strictMode ? 'checked' : ''} ${consent.privacySignal ? 'disabled' : ''}> Strict privacy (anonymize my IP)</label>
+            </div>
+            <div class="consent-actions">
+                <button type="button" data-consent-action="reject">Essential only</button>
+                <button type="button" data-consent-action="save">Save choices</button>
+                <button type="button" data-consent-action="accept">Accept all</button>
+            </div>
+        `;
+
+        banner.querySelectorAll('[data-consent-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-consent-action');
+                const strictMode = banner.querySelector('[data-consent-strict]').checked;
+
+                if (action === 'accept') {
+                    this.setConsent({ analytics: true, personalization: true }, { strictMode, source: 'banner' });
+                } else if (action === 'reject') {
+                    this.setConsent({ analytics: false, personalization: false }, { strictMode, source: 'banner' });
+                } else {
+                    this.setConsent({
+                        analytics: banner.querySelector('[data-consent="analytics"]').checked,
+                        personalization: banner.querySelector('[data-consent="personalization"]').checked
+                    }, { strictMode, source: 'banner' });
+                }
+            });
+        });
+
+        document.body.appendChild(banner);
+    }
+
+    hideBanner() {
+        if (typeof document === 'undefined') return;
+        const banner = document.getElementById('consentBanner');
+        if (banner) banner.remove();
+    }
+}
+
+// One consent state per page, shared by every tracking script
+if (typeof window !== 'undefined') {
+    window.consentManager = new ConsentManager();
+
+    document.addEventListener('DOMContentLoaded', () => {
+        window.consentManager.showBannerIfNeeded();
+
+        // Any element with data-open-privacy-settings reopens the banner
+        document.querySelectorAll('[data-open-privacy-settings]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                window.consentManager.showBanner();
+            });
+        });
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsentManager, CONSENT_CATEGORIES, truncateIp };
+}
@@ -0,0 +1,328 @@
+/**
+ * Analytics Event Queue
+ * Persistent client-side queue that batches analytics events, flushes them on a
+ * timer and retries failed batches with exponential backoff. When the page is
+ * hidden or closed, a queue whose backend is the server hands whatever is left
+ * to navigator.sendBeacon; any other queue keeps it in localStorage and sends it
+ * to its own backend on the next load.
+ */
+
+class EventQueue {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - Async function that stores a batch of queued events
+     * @param {string|null} [options.beaconUrl=null] - Server endpoint the queue's events are beaconed to
+     *     when the page is going away; only set it when send() writes to the same place
+     * @param {string} [options.storageKey='analyticsEventQueue'] - localStorage key for pending events
+     * @param {string} [options.legacyKey='activityLogs'] - Old fallback log drained on startup
+     * @param {number} [options.batchSize=20] - Maximum events per batch
+     * @param {number} [options.flushInterval=10000] - Milliseconds between timed flushes
+     * @param {number} [options.maxQueueSize=500] - Oldest events are dropped beyond this size
+     * @param {number} [options.maxAttempts=8] - Events are dropped after this many failed sends
+     * @param {number} [options.baseRetryDelay=2000] - First backoff delay in milliseconds
+     * @param {number} [options.maxRetryDelay=300000] - Upper bound for the backoff delay
+     */
+    constructor(options = {}) {
+        this.send = options.send;
+        this.beaconUrl = options.beaconUrl || null;
+        this.storageKey = options.storageKey || 'analyticsEventQueue';
+        this.legacyKey = options.legacyKey || 'activityLogs';
+        this.batchSize = options.batchSize || 20;
+        this.flushInterval = options.flushInterval || 10000;
+        this.maxQueueSize = options.maxQueueSize || 500;
+        this.maxAttempts = options.maxAttempts || 8;
+        this.baseRetryDelay = options.baseRetryDelay || 2000;
+        this.maxRetryDelay = options.maxRetryDelay || 300000;
+
+        this.failedFlushes = 0;
+        this.nextAttemptAt = 0;
+        this.flushing = null;
+        // IDs of the batch send() is writing right now, which the beacon must not repeat
+        this.inFlight = new Set();
+        this.timer = null;
+
+        this.queue = this.load();
+        this.drainLegacyLogs();
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+    }
+
+    get hasLocalStorage() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    load() {
+        if (!this.hasLocalStorage) return [];
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.warn("Discarding unreadable event queue:", e);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.hasLocalStorage) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+        } catch (e) {
+            // Storage is full or unavailable; drop the oldest half and try once more
+            this.queue = this.queue.slice(Math.floor(this.queue.length / 2));
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+            } catch (retryError) {
+                console.warn("Failed to persist event queue:", retryError);
+            }
+        }
+    }
+
+    // Moves entries left behind by the old logUserActivity fallback into the queue
+    drainLegacyLogs() {
+        if (!this.hasLocalStorage) return;
+
+        let legacyLogs = [];
+        try {
+            legacyLogs = JSON.parse(localStorage.getItem(this.legacyKey) || '[]');
+        } catch (e) {
+            console.warn("Discarding unreadable legacy activity logs:", e);
+        }
+
+        if (Array.isArray(legacyLogs) && legacyLogs.length > 0) {
+            legacyLogs.forEach(log => {
+                const { action, sessionId, ipAddress, timestamp, ...details } = log;
+                this.enqueue({
+                    target: 'activity_log',
+                    eventType: action || 'unknown',
+                    userKey: ipAddress && ipAddress !== 'unknown' ? ipAddress : null,
+                    rawIpKey: true,
+                    sessionId: sessionId || null,
+                    details: details,
+                    clientTimestamp: timestamp || null
+                }, { flush: false });
+            });
+            console.log(`Recovered ${legacyLogs.length} legacy activity logs into the event queue`);
+        }
+
+        localStorage.removeItem(this.legacyKey);
+    }
+
+    // Re-keys the events recovered above, whose user key is the raw IP they were
+    // logged with; strict mode swaps in the anonymized form before they are sent
+    async rekeyRawIps(toKey) {
+        for (const event of this.queue) {
+            if (!event.rawIpKey) continue;
+            event.userKey = event.userKey ? await toKey(event.userKey) : null;
+            delete event.rawIpKey;
+        }
+        this.save();
+    }
+
+    /**
+     * Adds an event to the queue. Events are plain objects with:
+     *   target       - 'session' (per-session event log) or 'activity_log'
+     *   eventType    - Event name
+     *   userKey      - Key of the user record the event belongs to
+     *   rawIpKey     - Set while userKey is a raw IP recovered from the legacy log
+     *   sessionId    - Client session ID
+     *   details      - Event payload
+     *   summary      - Optional session summary to merge alongside the event
+     */
+    enqueue(event, options = {}) {
+        this.queue.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`,
+            target: 'session',
+            clientTimestamp: new Date().toISOString(),
+            attempts: 0,
+            ...event
+        });
+
+        if (this.queue.length > this.maxQueueSize) {
+            const dropped = this.queue.length - this.maxQueueSize;
+            this.queue = this.queue.slice(dropped);
+            console.warn(`Event queue full, dropped ${dropped} oldest events`);
+        }
+
+        this.save();
+
+        if (options.flush !== false && this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', this.handlePageHide);
+            window.addEventListener('online', this.handleOnline);
+        }
+
+        // Send anything left over from previous visits
+        this.flush();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', this.handlePageHide);
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    getRetryDelay() {
+        const delay = Math.min(this.maxRetryDelay, this.baseRetryDelay * Math.pow(2, this.failedFlushes - 1));
+        // Add jitter so many tabs don't retry in lockstep
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Sends queued events in batches until the queue is empty or a batch fails
+    flush() {
+        if (this.flushing) return this.flushing;
+        if (this.queue.length === 0 || !this.send || Date.now() < this.nextAttemptAt) {
+            return Promise.resolve();
+        }
+
+        this.flushing = (async () => {
+            try {
+                while (this.queue.length > 0) {
+                    const batch = this.queue.slice(0, this.batchSize);
+                    this.inFlight = new Set(batch.map(event => event.id));
+
+                    try {
+                        await this.send(batch);
+                    } catch (error) {
+                        this.handleFailedBatch(batch, error);
+                        break;
+                    } finally {
+                        this.inFlight = new Set();
+                    }
+
+                    this.remove(batch);
+                    this.failedFlushes = 0;
+                    this.nextAttemptAt = 0;
+                }
+            } finally {
+                this.flushing = null;
+            }
+        })();
+
+        return this.flushing;
+    }
+
+    handleFailedBatch(batch, error) {
+        this.failedFlushes++;
+        this.nextAttemptAt = Date.now() + this.getRetryDelay();
+
+        const ids = new Set(batch.map(event => event.id));
+        this.queue.forEach(event => {
+            if (ids.has(event.id)) event.attempts = (event.attempts || 0) + 1;
+        });
+
+        const expired = this.queue.filter(event => event.attempts >= this.maxAttempts);
+        if (expired.length > 0) {
+            this.remove(expired);
+            console.warn(`Dropped ${expired.length} events after ${this.maxAttempts} failed attempts`);
+        } else {
+            this.save();
+        }
+
+        console.warn("Event batch failed, retrying later:", error);
+    }
+
+    // Discards every pending event, e.g. after analytics consent is withdrawn
+    clear() {
+        this.queue = [];
+        this.save();
+    }
+
+    remove(events) {
+        const ids = new Set(events.map(event => event.id));
+        this.queue = this.queue.filter(event => !ids.has(event.id));
+        this.save();
+    }
+
+    // Flattens a queued event into the shape /log-event writes to the server log
+    toServerEvent(event) {
+        return {
+            event_type: event.eventType,
+            user_key: event.userKey,
+            client_session_id: event.sessionId,
+            client_timestamp: event.clientTimestamp,
+            ...event.details
+        };
+    }
+
+    // Hands the queue to sendBeacon, which survives the page being unloaded.
+    // Without a beaconUrl the events are already saved and wait for the next load.
+    // The batch flush() is still sending is left out; if that request dies with
+    // the page, its events are still saved and go out on the next load.
+    flushWithBeacon() {
+        const pending = this.queue.filter(event => !this.inFlight.has(event.id));
+        if (!this.beaconUrl || pending.length === 0) return;
+        if (typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+
+        // Beacon payloads are capped around 64KB, so send in chunks
+        const maxPayloadSize = 60000;
+        let chunk = [];
+        let chunkSize = 0;
+        const sent = [];
+
+        const sendChunk = () => {
+            if (chunk.length === 0) return true;
+            const payload = JSON.stringify({ events: chunk.map(event => this.toServerEvent(event)) });
+            const accepted = navigator.sendBeacon(this.beaconUrl, payload);
+            if (accepted) sent.push(...chunk);
+            chunk = [];
+            chunkSize = 0;
+            return accepted;
+        };
+
+        for (const event of pending) {
+            const eventSize = JSON.stringify(this.toServerEvent(event)).length;
+            if (chunkSize + eventSize > maxPayloadSize && !sendChunk()) break;
+            chunk.push(event);
+            chunkSize += eventSize;
+        }
+        sendChunk();
+
+        if (sent.length > 0) {
+            this.remove(sent);
+        }
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.flushWithBeacon();
+        }
+    }
+
+    handlePageHide() {
+        this.flushWithBeacon();
+    }
+
+    handleOnline() {
+        // Connectivity is back, so skip whatever backoff is pending
+        this.nextAttemptAt = 0;
+        this.flush();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventQueue };
+}
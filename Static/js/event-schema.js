@@ -0,0 +1,181 @@
+/**
+ * Event Schema
+ * Normalizes and validates analytics events against the catalog in
+ * Static/data/event-schema.json, the same file the server checks /log-event
+ * and its own events against (see normalize_event() in Main.py). Pages get the
+ * catalog rendered inline as EVENT_SCHEMA_CATALOG; under Node it is read from
+ * the file.
+ *
+ * Normalizing renames legacy fields and event names to the canonical ones,
+ * parses numbers sent as strings and stamps schema_version. Validation then
+ * reports unknown event types, missing required fields and wrong types.
+ *
+ * Also home to the two helpers every page module shares: escapeHtml() for
+ * markup built from strings and logAnalyticsEvent() for recording events.
+ * Pages load this script ahead of the modules; neither helper needs the catalog.
+ */
+
+function resolveEventSchemaCatalog() {
+    if (typeof EVENT_SCHEMA_CATALOG !== 'undefined') return EVENT_SCHEMA_CATALOG;
+    if (typeof require === 'function') return require('../data/event-schema.json');
+    return null;
+}
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Field aliases are renamed unless the canonical field is already set; dotted
+// aliases ("geo.country") copy a nested value up without removing the object
+function applyFieldAliases(event, aliases) {
+    Object.entries(aliases).forEach(([alias, field]) => {
+        if (alias.includes('.')) {
+            const [parent, child] = alias.split('.', 2);
+            const nested = event[parent];
+            if (!(field in event) && nested && typeof nested === 'object' &&
+                nested[child] !== undefined && nested[child] !== null && nested[child] !== '') {
+                event[field] = nested[child];
+            }
+        } else if (alias in event) {
+            const value = event[alias];
+            delete event[alias];
+            if (!(field in event)) event[field] = value;
+        }
+    });
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        case 'timestamp':
+            // ISO strings, epoch ms, Dates and Firestore timestamps/sentinels
+            return ['string', 'number', 'object'].includes(typeof value);
+        default:
+            return true;
+    }
+}
+
+class EventSchema {
+    /**
+     * @param {Object} [catalog] - Parsed event-schema.json; the page's catalog by default
+     */
+    constructor(catalog = resolveEventSchemaCatalog()) {
+        if (!catalog) throw new Error("Event schema catalog not loaded");
+        this.catalog = catalog;
+        this.version = catalog.version;
+    }
+
+    isKnown(eventType) {
+        return Object.prototype.hasOwnProperty.call(this.catalog.events, eventType);
+    }
+
+    // Common fields plus the event's own, each as { type, required, enum }
+    getFieldSpecs(eventType) {
+        const fields = { ...this.catalog.common, ...(this.isKnown(eventType) ? this.catalog.events[eventType].fields : {}) };
+        const specs = {};
+        Object.entries(fields).forEach(([name, field]) => {
+            specs[name] = typeof field === 'string' ? { type: field } : field;
+        });
+        return specs;
+    }
+
+    /**
+     * Returns a copy of the event in the current shape: canonical field and
+     * event names, numbers sent as strings parsed, empty numeric fields dropped.
+     * Mirrors normalize_event() in Main.py.
+     */
+    normalize(data) {
+        const event = { ...data };
+        applyFieldAliases(event, this.catalog.fieldAliases);
+
+        let eventType = event.event_type;
+        if (typeof eventType === 'string' && Object.prototype.hasOwnProperty.call(this.catalog.eventAliases, eventType)) {
+            event.migrated_from = eventType;
+            event.event_type = eventType = this.catalog.eventAliases[eventType];
+        }
+
+        if (this.isKnown(eventType) && this.catalog.events[eventType].fieldAliases) {
+            applyFieldAliases(event, this.catalog.events[eventType].fieldAliases);
+        }
+
+        Object.entries(this.getFieldSpecs(eventType)).forEach(([name, field]) => {
+            const value = event[name];
+            if (field.type === 'number' && typeof value === 'string') {
+                if (value.trim() === '') {
+                    delete event[name];
+                } else if (NUMBER_PATTERN.test(value.trim())) {
+                    event[name] = Number(value);
+                }
+            } else if (field.type === 'boolean' && (value === 'true' || value === 'false')) {
+                event[name] = value === 'true';
+            }
+        });
+
+        event.schema_version = this.version;
+        return event;
+    }
+
+    // Reasons a normalized event doesn't fit the catalog; empty when it does
+    validate(event) {
+        const eventType = event.event_type;
+        if (typeof eventType !== 'string' || !eventType) return ['event_type is required'];
+        if (!this.isKnown(eventType)) return [`unknown event type "${eventType}"`];
+
+        const errors = [];
+        Object.entries(this.getFieldSpecs(eventType)).forEach(([name, field]) => {
+            const value = event[name];
+            if (value === undefined || value === null || value === '') {
+                if (field.required) errors.push(`${name} is required`);
+                return;
+            }
+            if (!matchesType(value, field.type)) {
+                errors.push(`${name} should be a ${field.type}`);
+            } else if (field.enum && !field.enum.includes(value)) {
+                errors.push(`${name} should be one of ${field.enum.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Normalizes and validates an event given as a type and its details, the
+     * way logEvent() and logUserActivity() are called.
+     * @returns {{ eventType: string, details: Object, errors: string[] }}
+     */
+    check(eventType, details = {}) {
+        const event = this.normalize({ ...details, event_type: eventType });
+        const errors = this.validate(event);
+        const { event_type: canonicalType, ...normalized } = event;
+        return { eventType: canonicalType, details: normalized, errors };
+    }
+}
+
+// Escapes text for HTML, attribute values included
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Records an event through the page's UserAnalytics, once it has loaded. Modules
+// take this as their onEvent/logEvent option.
+function logAnalyticsEvent(eventType, details) {
+    if (typeof window !== 'undefined' && window.userAnalytics) {
+        window.userAnalytics.logEvent(eventType, details);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventSchema, escapeHtml, logAnalyticsEvent };
+}
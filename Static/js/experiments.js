@@ -0,0 +1,183 @@
+/**
+ * Experiments
+ * A/B tests defined in Firebase Remote Config under the "experiments" key, a
+ * JSON object of experiment ID -> definition:
+ *
+ *   {
+ *     "search_placeholder": {
+ *       "status": "running",
+ *       "variants": [
+ *         { "name": "control", "weight": 50 },
+ *         { "name": "question", "weight": 50, "params": { "placeholder": "Where are you playing tonight?" } }
+ *       ]
+ *     }
+ *   }
+ *
+ * Only running experiments assign variants. A visitor's variant is picked by
+ * hashing their visitor ID, so it is the same on every page, and remembered in
+ * localStorage so changing the weights later doesn't move anyone. Visitors
+ * without analytics consent always get the defaults and aren't counted.
+ *
+ * The home page reads these experiments and variant params:
+ *
+ *   hero_slideshow      slides      - image URLs replacing slideshow_images
+ *   featured_order      sortBy      - featured venue order: rating, distance or name
+ *   search_placeholder  placeholder - search box placeholder text
+ *
+ * The first time a page uses a variant an experiment_exposure event is logged
+ * through UserAnalytics.logEvent; the dashboard compares conversion between
+ * the visitors exposed to each variant.
+ */
+
+const EXPERIMENT_ASSIGNMENTS_KEY = 'experimentAssignments';
+
+// FNV-1a, enough to spread visitor IDs evenly over the variants
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Picks the variant whose weight range the visitor's hash falls into
+function pickVariant(experimentId, visitorId, variants) {
+    const total = variants.reduce((sum, variant) => sum + Math.max(0, Number(variant.weight ?? 1) || 0), 0);
+    if (total <= 0) return null;
+
+    let point = hashString(`${experimentId}:${visitorId}`) % 10000 / 10000 * total;
+    for (const variant of variants) {
+        point -= Math.max(0, Number(variant.weight ?? 1) || 0);
+        if (point < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+class ExperimentManager {
+    /**
+     * @param {Object} options
+     * @param {UserAnalytics} options.analytics - Consent, visitor ID and event logging
+     * @param {string} [options.storageKey='experimentAssignments'] - localStorage key for assignments
+     */
+    constructor(options = {}) {
+        this.analytics = options.analytics;
+        this.storageKey = options.storageKey || EXPERIMENT_ASSIGNMENTS_KEY;
+
+        this.definitions = {};
+        // Experiments whose exposure this page has already logged
+        this.exposed = new Set();
+        // Exposures waiting for analytics to have a visitor to attach them to
+        this.pending = [];
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('analytics_ready', () => this.flushExposures());
+        }
+    }
+
+    /**
+     * Sets the experiment definitions, e.g. the parsed "experiments" Remote
+     * Config value. Anything malformed is ignored rather than failing the page.
+     */
+    load(definitions) {
+        this.definitions = {};
+        Object.entries(definitions || {}).forEach(([id, definition]) => {
+            if (!definition || !Array.isArray(definition.variants) || definition.variants.length === 0) {
+                console.warn(`Ignoring experiment ${id}: it has no variants`);
+                return;
+            }
+            this.definitions[id] = definition;
+        });
+
+        if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+            document.dispatchEvent(new CustomEvent('experiments_loaded', { detail: { experiments: Object.keys(this.definitions) } }));
+        }
+    }
+
+    isRunning(experimentId) {
+        const definition = this.definitions[experimentId];
+        return !!definition && definition.status === 'running';
+    }
+
+    readAssignments() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeAssignments(assignments) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(assignments));
+        } catch (e) {
+            console.warn("Failed to save experiment assignments:", e);
+        }
+    }
+
+    // The visitor's variant, or null when they aren't in the experiment
+    getAssignment(experimentId) {
+        if (!this.isRunning(experimentId)) return null;
+        if (!this.analytics || !this.analytics.consent.isGranted('analytics')) return null;
+
+        const variants = this.definitions[experimentId].variants;
+        const assignments = this.readAssignments();
+        const stored = variants.find(variant => variant.name === assignments[experimentId]);
+        if (stored) return stored;
+
+        const variant = pickVariant(experimentId, this.analytics.identity.getVisitorId(), variants);
+        if (variant) {
+            assignments[experimentId] = variant.name;
+            this.writeAssignments(assignments);
+        }
+        return variant;
+    }
+
+    /**
+     * The visitor's variant name, logging their exposure the first time this
+     * page asks. Call it where the variant changes what the visitor sees.
+     * @returns {string|null} Null when the experiment isn't running for them
+     */
+    getVariant(experimentId) {
+        const variant = this.getAssignment(experimentId);
+        if (!variant) return null;
+        this.logExposure(experimentId, variant.name);
+        return variant.name;
+    }
+
+    // A param of the visitor's variant, or the fallback (the page's default)
+    getParam(experimentId, name, fallback = null) {
+        const variant = this.getAssignment(experimentId);
+        if (!variant) return fallback;
+        this.logExposure(experimentId, variant.name);
+        const params = variant.params || {};
+        return params[name] !== undefined ? params[name] : fallback;
+    }
+
+    logExposure(experimentId, variant) {
+        if (this.exposed.has(experimentId)) return;
+        this.exposed.add(experimentId);
+        this.pending.push({ experimentId, variant });
+        this.flushExposures();
+    }
+
+    // UserAnalytics only queues events once it knows the visitor
+    flushExposures() {
+        if (!this.analytics || !this.analytics.userKey) return;
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(exposure => this.analytics.logEvent('experiment_exposure', exposure));
+    }
+}
+
+// Created after user-analytics.js has made the page's tracker
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.experiments = new ExperimentManager({ analytics: window.userAnalytics });
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExperimentManager, hashString, pickVariant };
+}
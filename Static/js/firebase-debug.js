@@ -39,7 +39,15 @@ function checkFirebaseConnection() {
             }
         });
         
-        // Test database connection
+        // Test database connection (a write, so only with analytics consent)
+        const hasConsent = window.consentManager && window.consentManager.isGranted('analytics');
+        if (!hasConsent) {
+            if (debugElement) {
+                debugElement.innerHTML += '<div>Skipped Firestore write test: no analytics consent.</div>';
+            }
+            return {app, auth, db};
+        }
+        
         db.collection("test").doc("connection")
             .set({
                 timestamp: new Date().toISOString(),
@@ -98,11 +106,12 @@ function updateUserStatus(user, ip) {
     console.log("Updated user status banner:", statusText);
 }
 
-// Fetch IP from our server endpoint
+// Fetch IP from our server endpoint; the location service shares its lookup when loaded
 async function getIpFromServer() {
     try {
-        const response = await fetch('/get-ip');
-        const data = await response.json();
+        const data = window.locationService
+            ? await window.locationService.lookupIp()
+            : await fetch('/get-ip').then(response => response.json());
         console.log("IP from server:", data.ip);
         return data.ip;
     } catch (error) {
@@ -0,0 +1,217 @@
+/**
+ * Homepage Content
+ * Hero slides and featured businesses from the content manager
+ * (/content-manager), rendered the same way on the homepage and in the
+ * manager's preview. Items are stored by the server in display order:
+ *
+ *   slides:   { id, title, caption, imageUrl, status, startDate, endDate, regions }
+ *   featured: { id, name, description, imageUrl, linkUrl, placeId, status, startDate, endDate, regions }
+ *
+ * status is 'draft' or 'published'. Start and end dates are ISO strings and
+ * either may be empty. regions are country or region names as the IP lookup
+ * reports them ("United States", "Nevada"); no regions means everywhere.
+ *
+ * The server already sends the homepage only what is live for the visitor (see
+ * get_published_content in Main.py); the preview runs the same selection here.
+ */
+
+const SLIDE_INTERVAL_MS = 5000;
+
+function toContentDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function isContentLive(item, now = new Date(), includeDrafts = false) {
+    if (item.status !== 'published' && !includeDrafts) return false;
+    const start = toContentDate(item.startDate);
+    const end = toContentDate(item.endDate);
+    return (!start || start <= now) && (!end || end > now);
+}
+
+// geo is { country, region }, as /get_user_ip returns it
+function matchesContentRegion(item, geo = {}) {
+    const regions = (item.regions || []).map(region => region.toLowerCase());
+    if (regions.length === 0) return true;
+    return ['country', 'region'].some(field => geo[field] && regions.includes(String(geo[field]).toLowerCase()));
+}
+
+/**
+ * The items a visitor would see, in order.
+ * @param {Object[]} items
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Preview at another time
+ * @param {Object} [options.geo] - { country, region } to preview as
+ * @param {boolean} [options.includeDrafts] - Show drafts as if they were published
+ */
+function selectContent(items, { now = new Date(), geo = {}, includeDrafts = false } = {}) {
+    return (items || []).filter(item => isContentLive(item, now, includeDrafts) && matchesContentRegion(item, geo));
+}
+
+// A featured business links to its own page when it has one, otherwise to the venue on the map
+function getFeaturedLink(business) {
+    if (business.linkUrl) return business.linkUrl;
+    if (!business.placeId) return '#';
+    const params = new URLSearchParams({
+        query: business.name,
+        place_id: business.placeId,
+        searchType: 'venue',
+        selected: business.placeId
+    });
+    return `/mw?${params}`;
+}
+
+/**
+ * Fills the slideshow container and rotates the slides. Slides are the
+ * manager's items or plain image URLs (Remote Config and the defaults).
+ * @returns {Function} Stops the rotation
+ */
+function renderSlides(container, slides, { interval = SLIDE_INTERVAL_MS } = {}) {
+    container.innerHTML = '';
+
+    slides.map(slide => typeof slide === 'string' ? { imageUrl: slide } : slide).forEach((slide, index) => {
+        const element = document.createElement('div');
+        element.className = 'slide';
+        if (index === 0) element.classList.add('active');
+        if (slide.title) element.setAttribute('aria-label', slide.title);
+
+        const testImg = new Image();
+        testImg.onload = () => {
+            element.style.backgroundImage = `url('${slide.imageUrl}')`;
+        };
+        testImg.onerror = () => {
+            console.warn(`Failed to load slide image: ${slide.imageUrl}`);
+            element.style.backgroundColor = "#e60000";
+            if (!slide.caption) element.innerHTML = '<div style="padding: 20px; color: white;">Discover Amazing Places</div>';
+        };
+        testImg.src = slide.imageUrl;
+
+        if (slide.caption) {
+            const caption = document.createElement('div');
+            caption.className = 'slide-text';
+            caption.textContent = slide.caption;
+            element.appendChild(caption);
+        }
+
+        container.appendChild(element);
+    });
+
+    if (container.children.length === 0) {
+        const defaultSlide = document.createElement('div');
+        defaultSlide.className = 'slide active';
+        defaultSlide.style.backgroundColor = "#e60000";
+        defaultSlide.innerHTML = '<div style="padding: 20px; color: white; text-align: center;">Welcome to Local Place Finder</div>';
+        container.appendChild(defaultSlide);
+    }
+    if (container.children.length < 2) return () => {};
+
+    let current = 0;
+    const timer = setInterval(() => {
+        container.children[current].classList.remove('active');
+        current = (current + 1) % container.children.length;
+        container.children[current].classList.add('active');
+    }, interval);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Fills the featured carousel with a card per business.
+ * @param {HTMLElement} carousel
+ * @param {Object[]} businesses
+ * @param {Object} [options]
+ * @param {Function} [options.onClick] - Called with the business when its link is followed
+ */
+function renderFeaturedBusinesses(carousel, businesses, { onClick } = {}) {
+    carousel.innerHTML = '';
+
+    businesses.forEach(business => {
+        try {
+            const card = document.createElement('div');
+            card.className = 'business-card';
+
+            const imageDiv = document.createElement('div');
+            imageDiv.className = 'business-image';
+
+            const showPlaceholder = () => {
+                imageDiv.style.backgroundColor = '#f0f0f0';
+                imageDiv.style.display = 'flex';
+                imageDiv.style.alignItems = 'center';
+                imageDiv.style.justifyContent = 'center';
+                imageDiv.innerHTML = '<span style="font-size: 3rem; color: #ccc;">🏢</span>';
+            };
+            if (business.imageUrl) {
+                const img = new Image();
+                img.onload = function() {
+                    imageDiv.style.backgroundImage = `url('${business.imageUrl}')`;
+                };
+                img.onerror = showPlaceholder;
+                img.src = business.imageUrl;
+            } else {
+                showPlaceholder();
+            }
+
+            card.appendChild(imageDiv);
+
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'business-info';
+
+            const nameDiv = document.createElement('div');
+            nameDiv.className = 'business-name';
+            nameDiv.textContent = business.name;
+            infoDiv.appendChild(nameDiv);
+
+            if (business.rating) {
+                const ratingDiv = document.createElement('div');
+                ratingDiv.className = 'business-rating';
+                ratingDiv.textContent = `★ ${business.rating}`;
+                infoDiv.appendChild(ratingDiv);
+            }
+
+            const descDiv = document.createElement('div');
+            descDiv.className = 'business-description';
+            descDiv.textContent = business.description || '';
+            infoDiv.appendChild(descDiv);
+
+            const ctaLink = document.createElement('a');
+            ctaLink.href = getFeaturedLink(business);
+            ctaLink.className = 'business-cta';
+            ctaLink.dataset.businessId = business.id;
+            ctaLink.textContent = 'View Details';
+            if (onClick) ctaLink.addEventListener('click', () => onClick(business));
+            infoDiv.appendChild(ctaLink);
+
+            card.appendChild(infoDiv);
+            carousel.appendChild(card);
+        } catch (error) {
+            console.error(`Error creating business card for ${business.name}:`, error);
+        }
+    });
+
+    if (carousel.children.length === 0) {
+        const fallbackCard = document.createElement('div');
+        fallbackCard.className = 'business-card';
+        fallbackCard.innerHTML = `
+            <div class="business-image" style="background-color: #f0f0f0; display: flex; align-items: center; justify-content: center;">
+                <span style="font-size: 3rem; color: #ccc;">🏢</span>
+            </div>
+            <div class="business-info">
+                <div class="business-name">Featured Businesses</div>
+                <div class="business-description">Check back soon for featured local businesses.</div>
+            </div>
+        `;
+        carousel.appendChild(fallbackCard);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isContentLive,
+        matchesContentRegion,
+        selectContent,
+        getFeaturedLink,
+        renderSlides,
+        renderFeaturedBusinesses
+    };
+}
@@ -0,0 +1,471 @@
+/**
+ * Location Service
+ * The one place pages get the visitor's position from. Resolves the best
+ * available source (browser GPS, then IP geolocation from the server, then a
+ * default city), caches it with an expiry, and broadcasts location_changed so
+ * the map, the search form's lat/lng and analytics stay in step. Visitors can
+ * override it with a city, or choose approximate mode to skip the GPS prompt.
+ *
+ * Locations look like:
+ *   { lat, lng, accuracy, city, region, country,
+ *     source: 'gps' | 'ip' | 'manual' | 'default',
+ *     precision: 'precise' | 'approximate', resolvedAt, expiresAt }
+ *
+ * Page hooks:
+ *   [data-location-action="change"]  opens the change location picker
+ *   [data-location-label]            shows the current location's name
+ */
+
+const LOCATION_STORAGE_KEY = 'locationService';
+
+// How long each source is trusted before it is looked up again; a chosen city
+// stays until the visitor changes it
+const LOCATION_MAX_AGE = {
+    gps: 30 * 60 * 1000,
+    ip: 24 * 60 * 60 * 1000,
+    default: 60 * 60 * 1000
+};
+
+const GPS_TIMEOUT_MS = 10000;
+
+const DEFAULT_LOCATION = {
+    lat: 36.1699,
+    lng: -115.1398,
+    city: 'Las Vegas',
+    region: 'Nevada',
+    country: 'United States'
+};
+
+// Offered in the picker; anything else is looked up with the page's geocoder
+const LOCATION_CITIES = [
+    { city: 'Las Vegas', region: 'Nevada', country: 'United States', lat: 36.1699, lng: -115.1398 },
+    { city: 'Atlantic City', region: 'New Jersey', country: 'United States', lat: 39.3643, lng: -74.4229 },
+    { city: 'Reno', region: 'Nevada', country: 'United States', lat: 39.5296, lng: -119.8138 },
+    { city: 'Biloxi', region: 'Mississippi', country: 'United States', lat: 30.396, lng: -88.8853 },
+    { city: 'Tunica', region: 'Mississippi', country: 'United States', lat: 34.6854, lng: -90.3828 },
+    { city: 'Lake Tahoe', region: 'Nevada', country: 'United States', lat: 39.0968, lng: -120.0324 },
+    { city: 'New Orleans', region: 'Louisiana', country: 'United States', lat: 29.9511, lng: -90.0715 },
+    { city: 'Chicago', region: 'Illinois', country: 'United States', lat: 41.8781, lng: -87.6298 },
+    { city: 'Los Angeles', region: 'California', country: 'United States', lat: 34.0522, lng: -118.2437 },
+    { city: 'New York', region: 'New York', country: 'United States', lat: 40.7128, lng: -74.006 },
+    { city: 'Toronto', region: 'Ontario', country: 'Canada', lat: 43.6532, lng: -79.3832 },
+    { city: 'London', region: 'England', country: 'United Kingdom', lat: 51.5074, lng: -0.1278 },
+    { city: 'Monte Carlo', region: 'Monaco', country: 'Monaco', lat: 43.7396, lng: 7.4276 },
+    { city: 'Macau', region: 'Macau', country: 'China', lat: 22.1987, lng: 113.5439 },
+    { city: 'Singapore', region: 'Singapore', country: 'Singapore', lat: 1.2834, lng: 103.8607 }
+];
+
+const PRECISION_BY_SOURCE = { gps: 'precise', ip: 'approximate', manual: 'approximate', default: 'approximate' };
+
+const LOCATION_ERROR_MESSAGES = {
+    1: 'Location access is blocked. Allow it in your browser settings, or choose a city instead.',
+    2: "Your device couldn't work out where you are. Choose a city instead.",
+    3: 'Finding your location took too long. Try again, or choose a city instead.'
+};
+
+function describeLocationError(error) {
+    return LOCATION_ERROR_MESSAGES[error && error.code] ||
+        (error && error.message) ||
+        "Couldn't find your location.";
+}
+
+function toLocation(fields, source) {
+    const now = Date.now();
+    const maxAge = LOCATION_MAX_AGE[source];
+    return {
+        lat: Number(fields.lat),
+        lng: Number(fields.lng),
+        accuracy: fields.accuracy || null,
+        city: fields.city || null,
+        region: fields.region || null,
+        country: fields.country || null,
+        source,
+        precision: PRECISION_BY_SOURCE[source],
+        resolvedAt: now,
+        expiresAt: maxAge ? now + maxAge : null
+    };
+}
+
+// "Unknown" and 0,0 are what the server's IP lookup returns when it has nothing
+function fromIpGeo(geo) {
+    if (!geo || !geo.latitude || !geo.longitude) return null;
+    const known = value => (value && value !== 'Unknown' ? value : null);
+    return toLocation({
+        lat: geo.latitude,
+        lng: geo.longitude,
+        city: known(geo.city),
+        region: known(geo.region),
+        country: known(geo.country)
+    }, 'ip');
+}
+
+function isSameLocation(a, b) {
+    if (!a || !b) return a === b;
+    return a.lat === b.lat && a.lng === b.lng && a.source === b.source && a.city === b.city;
+}
+
+function describeLocation(location) {
+    if (!location) return 'Locating...';
+    if (location.source === 'gps') return 'Your location';
+    return location.city || location.region || location.country || 'Unknown location';
+}
+
+class LocationService {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where the location and mode are cached (localStorage)
+     * @param {Geolocation} [options.geolocation] - navigator.geolocation
+     * @param {Function} [options.fetchIpInfo] - () => Promise of the /get_user_ip response
+     * @param {Function} [options.geocode] - (query) => Promise of {lat, lng, formattedAddress} or null,
+     *     used for cities the picker doesn't list
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.geolocation = options.geolocation !== undefined
+            ? options.geolocation
+            : (typeof navigator !== 'undefined' ? navigator.geolocation : null);
+        this.fetchIpInfo = options.fetchIpInfo || (() => fetch('/get_user_ip').then(response => response.json()));
+        this.geocode = options.geocode || (() => Promise.resolve(null));
+        this.onEvent = options.onEvent || (() => {});
+
+        this.listeners = [];
+        this.pending = null;
+        this.ipInfo = null;
+        this.dialog = null;
+
+        // 'auto' tries GPS first, 'approximate' never asks for it, 'manual' keeps the chosen city
+        const cached = this.readCache();
+        this.mode = cached.mode || 'auto';
+        this.location = cached.location || null;
+    }
+
+    // --- State ------------------------------------------------------------------
+
+    getLocation() {
+        return this.location;
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    isExpired(location, now = Date.now()) {
+        return !location || (location.expiresAt !== null && location.expiresAt <= now);
+    }
+
+    /**
+     * Calls the listener with every new location, and straight away with the
+     * current one if it is known. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        if (this.location) listener(this.location, null);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    setLocation(location) {
+        const previous = this.location;
+        this.location = location;
+        this.writeCache();
+        if (isSameLocation(previous, location)) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(location, previous);
+            } catch (error) {
+                console.error("Location listener failed:", error);
+            }
+        });
+        if (typeof document !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('location_changed', { detail: { location, previous } }));
+        }
+        this.updateLabels();
+    }
+
+    readCache() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(LOCATION_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeCache() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(LOCATION_STORAGE_KEY, JSON.stringify({ mode: this.mode, location: this.location }));
+        } catch (error) {
+            console.error("Error caching location:", error);
+        }
+    }
+
+    // --- Resolving --------------------------------------------------------------
+
+    /**
+     * The cached location while it is fresh, otherwise the best source the
+     * current mode allows. Never rejects: the default city is the last resort.
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Ignore the cache
+     */
+    resolve(options = {}) {
+        if (!options.force && !this.isExpired(this.location)) return Promise.resolve(this.location);
+        if (this.pending) return this.pending;
+
+        this.pending = this.lookup()
+            .then(location => {
+                this.setLocation(location);
+                return location;
+            })
+            .finally(() => {
+                this.pending = null;
+            });
+        return this.pending;
+    }
+
+    async lookup() {
+        if (this.mode === 'manual' && this.location && this.location.source === 'manual') {
+            return this.location;
+        }
+
+        if (this.mode === 'auto') {
+            try {
+                return await this.getGpsLocation();
+            } catch (error) {
+                console.log("GPS location unavailable:", describeLocationError(error));
+            }
+        }
+
+        try {
+            const ipLocation = fromIpGeo((await this.lookupIp()).geo);
+            if (ipLocation) return ipLocation;
+        } catch (error) {
+            console.error("IP location unavailable:", error);
+        }
+
+        return toLocation(DEFAULT_LOCATION, 'default');
+    }
+
+    getGpsLocation() {
+        if (!this.geolocation) {
+            return Promise.reject(new Error("This browser can't share its location."));
+        }
+        return new Promise((resolve, reject) => {
+            this.geolocation.getCurrentPosition(
+                position => resolve(toLocation({
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                }, 'gps')),
+                reject,
+                { timeout: GPS_TIMEOUT_MS, maximumAge: LOCATION_MAX_AGE.gps }
+            );
+        });
+    }
+
+    /**
+     * The server's view of this visitor ({ip, geo, session_id}), fetched once
+     * per page and shared with analytics and the status banner.
+     */
+    lookupIp() {
+        if (!this.ipInfo) {
+            this.ipInfo = this.fetchIpInfo().catch(error => {
+                this.ipInfo = null;
+                throw error;
+            });
+        }
+        return this.ipInfo;
+    }
+
+    // --- Overrides --------------------------------------------------------------
+
+    // Asks for GPS now; rejects with the browser's error so the caller can explain it
+    async usePreciseLocation() {
+        const location = await this.getGpsLocation();
+        this.mode = 'auto';
+        this.setLocation(location);
+        this.onEvent('location_changed', { source: 'gps', precision: 'precise' });
+        return location;
+    }
+
+    async useApproximateLocation() {
+        this.mode = 'approximate';
+        const location = await this.resolve({ force: true });
+        this.onEvent('location_changed', { source: location.source, precision: location.precision });
+        return location;
+    }
+
+    /**
+     * Pins the location to a city until the visitor changes it.
+     * @param {string|Object} city - A name, or {city, lat, lng, region, country}
+     */
+    async setManualLocation(city) {
+        const fields = typeof city === 'string' ? await this.findCity(city) : city;
+        if (!fields) throw new Error(`We couldn't find "${city}". Try a nearby larger city.`);
+
+        this.mode = 'manual';
+        const location = toLocation(fields, 'manual');
+        this.setLocation(location);
+        this.onEvent('location_changed', { source: 'manual', precision: location.precision, city: location.city });
+        return location;
+    }
+
+    async findCity(name) {
+        const query = String(name).trim();
+        if (!query) return null;
+
+        const listed = LOCATION_CITIES.find(entry => entry.city.toLowerCase() === query.toLowerCase());
+        if (listed) return listed;
+
+        const result = await this.geocode(query);
+        if (!result) return null;
+        return { lat: result.lat, lng: result.lng, city: result.formattedAddress || query };
+    }
+
+    // Back to automatic detection
+    reset() {
+        this.mode = 'auto';
+        return this.resolve({ force: true });
+    }
+
+    // --- Picker -----------------------------------------------------------------
+
+    bindTriggers(root = document) {
+        root.querySelectorAll('[data-location-action="change"]').forEach(element => {
+            element.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openPicker();
+            });
+        });
+        this.updateLabels();
+    }
+
+    updateLabels() {
+        if (typeof document === 'undefined') return;
+        document.querySelectorAll('[data-location-label]').forEach(element => {
+            element.textContent = describeLocation(this.location);
+        });
+    }
+
+    openPicker(message = '') {
+        if (!this.dialog) this.dialog = this.buildPicker();
+        this.dialog.querySelector('.location-current').textContent =
+            `Currently: ${describeLocation(this.location)}` +
+            (this.location && this.location.precision === 'approximate' ? ' (approximate)' : '');
+        this.showError(message);
+        this.dialog.style.display = 'block';
+        this.overlay.style.display = 'block';
+        this.dialog.querySelector('input[name="city"]').focus();
+    }
+
+    closePicker() {
+        if (!this.dialog) return;
+        this.dialog.style.display = 'none';
+        this.overlay.style.display = 'none';
+    }
+
+    buildPicker() {
+        // Pages share the .overlay backdrop used by their other popups
+        this.overlay = document.getElementById('overlay');
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'overlay';
+            this.overlay.className = 'overlay';
+            document.body.appendChild(this.overlay);
+        }
+        this.overlay.addEventListener('click', () => this.closePicker());
+
+        const dialog = document.createElement('div');
+        dialog.id = 'locationPicker';
+        dialog.className = 'popup location-picker';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.innerHTML = `
+            <form novalidate>
+                <h2>Change Location</h2>
+                <p class="location-current"></p>
+                <div class="location-error" role="alert"></div>
+                <label for="locationCityInput">Show venues near</label>
+                <input type="text" id="locationCityInput" name="city" list="locationCityOptions"
+                    placeholder="City name" autocomplete="off">
+                <datalist id="locationCityOptions">
+                    ${LOCATION_CITIES.map(entry => `<option value="${entry.city}">${entry.region}, ${entry.country}</option>`).join('')}
+                </datalist>
+                <button type="submit">Use this city</button>
+                <button type="button" data-location-mode="precise"><i class="fas fa-location-arrow"></i> Use my precise location</button>
+                <button type="button" data-location-mode="approximate">Use my approximate location</button>
+                <button type="button" class="location-close">Close</button>
+            </form>
+        `;
+
+        const form = dialog.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run(form, () => this.setManualLocation(form.elements.city.value));
+        });
+        dialog.querySelector('[data-location-mode="precise"]').addEventListener('click', () => {
+            this.run(form, () => this.usePreciseLocation());
+        });
+        dialog.querySelector('[data-location-mode="approximate"]').addEventListener('click', () => {
+            this.run(form, () => this.useApproximateLocation());
+        });
+        dialog.querySelector('.location-close').addEventListener('click', () => this.closePicker());
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closePicker();
+        });
+
+        document.body.appendChild(dialog);
+        return dialog;
+    }
+
+    // Runs a picker action with the form locked; closes on success, explains failures inline
+    async run(form, action) {
+        const controls = form.querySelectorAll('button, input');
+        controls.forEach(control => { control.disabled = true; });
+        this.showError('');
+        try {
+            await action();
+            form.reset();
+            this.closePicker();
+        } catch (error) {
+            this.showError(describeLocationError(error));
+        } finally {
+            controls.forEach(control => { control.disabled = false; });
+        }
+    }
+
+    showError(message) {
+        if (!this.dialog) return;
+        const element = this.dialog.querySelector('.location-error');
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    }
+}
+
+// One location per page, shared by the map, the search form and analytics
+if (typeof window !== 'undefined') {
+    window.locationService = new LocationService({
+        geocode: query => (window.mapProvider ? window.mapProvider.geocode(query).catch(() => null) : Promise.resolve(null)),
+        onEvent: logAnalyticsEvent
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        window.locationService.bindTriggers();
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocationService,
+        LOCATION_CITIES,
+        DEFAULT_LOCATION,
+        describeLocation,
+        describeLocationError
+    };
+}
@@ -0,0 +1,780 @@
+/**
+ * Map Providers
+ * One interface for map rendering, markers, nearby search, place details and
+ * geocoding, with a Google Maps/Places implementation and a Leaflet one backed
+ * by a local GeoJSON venue file. The local provider needs no API key, so the
+ * finder can be developed, demoed and tested without Google; without network
+ * the tiles are missing but markers, search and details keep working.
+ *
+ * Both providers return Places-shaped venues:
+ *   { place_id, name, rating, user_ratings_total, vicinity, types,
+ *     geometry: { location }, photoUrl }
+ * with opening_hours and utc_offset_minutes in details (the local venue file
+ * has them on every venue; see venue-hours.js for reading them).
+ * and take marker styles as { fillColor, fillOpacity, strokeWeight, strokeColor, scale }.
+ */
+
+const DEFAULT_DETAIL_FIELDS = [
+    'name', 'rating', 'formatted_phone_number', 'formatted_address', 'website',
+    'opening_hours', 'utc_offset_minutes', 'review', 'photo', 'types', 'wheelchair_accessible_entrance'
+];
+
+// Autocomplete predictions with one of these types are places to search in, not venues
+const CITY_PLACE_TYPES = ['locality', 'sublocality', 'postal_town', 'administrative_area_level_1', 'administrative_area_level_2'];
+
+// Places/Geocoder statuses that mean "nothing there" rather than a failure
+const MAP_EMPTY_STATUSES = ['OK', 'ZERO_RESULTS', 'NOT_FOUND'];
+
+/**
+ * Announces a map or Places failure as a 'map_error' event on document, so
+ * page telemetry hears about them without every caller reporting its own.
+ * detail: { provider, operation, status, message }
+ */
+function reportMapError(detail) {
+    if (typeof document === 'undefined' || typeof CustomEvent !== 'function') return;
+    document.dispatchEvent(new CustomEvent('map_error', { detail }));
+}
+
+// Google calls this when the API key is rejected, after the map has loaded blank
+if (typeof window !== 'undefined' && !window.gm_authFailure) {
+    window.gm_authFailure = () => reportMapError({
+        provider: 'google', operation: 'auth', status: 'AUTH_FAILURE', message: 'Google Maps rejected the API key'
+    });
+}
+
+// Reads lat/lng from a google.maps.LatLng, a Leaflet LatLng or a plain object
+function toPosition(location) {
+    if (!location) return null;
+    return {
+        lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+        lng: typeof location.lng === 'function' ? location.lng() : location.lng
+    };
+}
+
+function distanceInMeters(from, to) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Interface every provider implements. Markers returned by addMarker() expose
+ * setVisible(visible), isVisible(), remove(), isOnMap() and click().
+ */
+class MapProvider {
+    get name() {
+        return 'none';
+    }
+
+    // Resolves once the provider's data/libraries are ready
+    load() {
+        return Promise.resolve();
+    }
+
+    /**
+     * @param {HTMLElement} element - Map container
+     * @param {Object} options
+     * @param {Object} options.center - { lat, lng }
+     * @param {number} [options.zoom=12]
+     * @param {Array} [options.styles] - Google map styles, ignored elsewhere
+     * @param {Function} [options.clusterStyle] - (markers, count) => marker style for clusters
+     */
+    createMap(element, options) {
+        throw new Error(`${this.name} provider does not implement createMap`);
+    }
+
+    getCenter() {
+        throw new Error(`${this.name} provider does not implement getCenter`);
+    }
+
+    // Distance in meters from the center to the viewport corner
+    getViewportRadius() {
+        throw new Error(`${this.name} provider does not implement getViewportRadius`);
+    }
+
+    // Whether a { lat, lng } position is inside the visible map bounds
+    containsPosition(position) {
+        throw new Error(`${this.name} provider does not implement containsPosition`);
+    }
+
+    setView(center, zoom) {
+        throw new Error(`${this.name} provider does not implement setView`);
+    }
+
+    // Called whenever the map settles after panning or zooming
+    onIdle(listener) {
+        throw new Error(`${this.name} provider does not implement onIdle`);
+    }
+
+    triggerIdle() {
+        throw new Error(`${this.name} provider does not implement triggerIdle`);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.position - { lat, lng } or a provider LatLng
+     * @param {string} [options.title]
+     * @param {Object} options.style - Marker style
+     * @param {Function} [options.onClick]
+     * @param {boolean} [options.clustered=false] - Leave placement to setClusteredMarkers()
+     */
+    addMarker(options) {
+        throw new Error(`${this.name} provider does not implement addMarker`);
+    }
+
+    // Replaces the set of markers drawn through the clusterer
+    setClusteredMarkers(markers) {
+        throw new Error(`${this.name} provider does not implement setClusteredMarkers`);
+    }
+
+    // Calls back once the marker is actually drawn (e.g. its cluster has split)
+    revealMarker(marker, callback) {
+        callback();
+    }
+
+    // Opens the shared info window on a marker; calling again replaces its content
+    openInfoWindow(marker, html) {
+        throw new Error(`${this.name} provider does not implement openInfoWindow`);
+    }
+
+    /**
+     * Finds venues around a location. The callback gets (results, pagination, error);
+     * pagination.nextPage() calls it again with the next page.
+     * @param {Object} request - { location, radius, keyword, venueType, query }; query is
+     *     the visitor's own search text, narrowing the venue type's keyword search
+     * @param {Function} callback
+     */
+    nearbySearch(request, callback) {
+        throw new Error(`${this.name} provider does not implement nearbySearch`);
+    }
+
+    // Resolves to Places-shaped details or null
+    getPlaceDetails(placeId, fields = DEFAULT_DETAIL_FIELDS) {
+        return Promise.reject(new Error(`${this.name} provider does not implement getPlaceDetails`));
+    }
+
+    // Resolves to { lat, lng, formattedAddress } or null
+    geocode(address) {
+        return Promise.reject(new Error(`${this.name} provider does not implement geocode`));
+    }
+
+    /**
+     * Type-ahead predictions, resolving to
+     * [{ kind: 'venue' | 'city', placeId, name, description, location }].
+     * location is null when it takes getPlaceDetails() to find it.
+     * @param {string} input
+     * @param {Object} [options] - { location, radius } to prefer nearby results
+     */
+    autocomplete(input, options = {}) {
+        return Promise.reject(new Error(`${this.name} provider does not implement autocomplete`));
+    }
+}
+
+class GoogleMapMarker {
+    constructor(native) {
+        this.native = native;
+        native.handle = this;
+    }
+
+    setVisible(visible) {
+        this.native.setVisible(visible);
+    }
+
+    // Drawn on the map: not hidden by a filter, removed or folded into a cluster
+    isVisible() {
+        return this.isOnMap() && this.native.getVisible() !== false;
+    }
+
+    remove() {
+        this.native.setMap(null);
+    }
+
+    isOnMap() {
+        return !!this.native.getMap();
+    }
+
+    click() {
+        google.maps.event.trigger(this.native, 'click');
+    }
+}
+
+class GoogleMapsProvider extends MapProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Array} [options.searchTypes] - Places types every nearby search is limited to
+     */
+    constructor(options = {}) {
+        super();
+        this.searchTypes = options.searchTypes || ['casino', 'amusement_park', 'bowling_alley'];
+        this.map = null;
+        this.infoWindow = null;
+        this.clusterer = null;
+        this.placesService = null;
+        this.geocoder = null;
+        this.autocompleteService = null;
+    }
+
+    get name() {
+        return 'google';
+    }
+
+    static isAvailable() {
+        return typeof google !== 'undefined' && !!google.maps && !!google.maps.places;
+    }
+
+    toIcon(style) {
+        return { path: google.maps.SymbolPath.CIRCLE, ...style };
+    }
+
+    createMap(element, options) {
+        this.map = new google.maps.Map(element, {
+            center: options.center,
+            zoom: options.zoom || 12,
+            styles: options.styles
+        });
+        this.infoWindow = new google.maps.InfoWindow();
+        this.placesService = new google.maps.places.PlacesService(this.map);
+        this.clusterStyle = options.clusterStyle || null;
+
+        // Dense areas are clustered; falls back to plain markers if the library failed to load
+        if (typeof markerClusterer !== 'undefined') {
+            this.clusterer = new markerClusterer.MarkerClusterer({
+                map: this.map,
+                markers: [],
+                renderer: { render: cluster => this.renderCluster(cluster) }
+            });
+        }
+        return this.map;
+    }
+
+    renderCluster({ count, position, markers }) {
+        const style = this.clusterStyle
+            ? this.clusterStyle(markers.map(marker => marker.handle), count)
+            : { fillColor: '#e8c547', fillOpacity: 0.9, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 14 };
+
+        return new google.maps.Marker({
+            position: position,
+            icon: this.toIcon(style),
+            label: {
+                text: String(count),
+                color: '#0c1016',
+                fontSize: '11px',
+                fontWeight: 'bold'
+            },
+            title: `${count} venues`,
+            zIndex: Number(google.maps.Marker.MAX_ZINDEX) + count
+        });
+    }
+
+    getCenter() {
+        return toPosition(this.map.getCenter());
+    }
+
+    getViewportRadius() {
+        const bounds = this.map.getBounds();
+        if (!bounds) return null;
+        return distanceInMeters(this.getCenter(), toPosition(bounds.getNorthEast()));
+    }
+
+    containsPosition(position) {
+        const bounds = this.map.getBounds();
+        return !!bounds && bounds.contains(toPosition(position));
+    }
+
+    setView(center, zoom) {
+        this.map.setCenter(center);
+        if (zoom) this.map.setZoom(zoom);
+    }
+
+    onIdle(listener) {
+        this.map.addListener('idle', listener);
+    }
+
+    triggerIdle() {
+        google.maps.event.trigger(this.map, 'idle');
+    }
+
+    addMarker(options) {
+        // With clustering the clusterer decides when the marker is on the map
+        const native = new google.maps.Marker({
+            map: options.clustered && this.clusterer ? null : this.map,
+            position: options.position,
+            title: options.title,
+            icon: this.toIcon(options.style)
+        });
+        if (options.onClick) native.addListener('click', options.onClick);
+        return new GoogleMapMarker(native);
+    }
+
+    setClusteredMarkers(markers) {
+        if (!this.clusterer) return;
+        this.clusterer.clearMarkers(true);
+        this.clusterer.addMarkers(markers.map(marker => marker.native));
+    }
+
+    revealMarker(marker, callback) {
+        // A clustered marker only gets a map once the clusterer redraws at the new zoom
+        if (marker.isOnMap()) {
+            callback();
+        } else {
+            google.maps.event.addListenerOnce(this.map, 'idle', callback);
+        }
+    }
+
+    openInfoWindow(marker, html) {
+        this.infoWindow.setContent(html);
+        this.infoWindow.open(this.map, marker.native);
+    }
+
+    normalizePlace(place) {
+        let photoUrl = null;
+        if (place.photos && place.photos.length > 0) {
+            try {
+                photoUrl = place.photos[0].getUrl({ maxWidth: 300, maxHeight: 200 });
+            } catch (e) {
+                console.error("Error getting photo URL:", e);
+            }
+        }
+        return { ...place, photoUrl };
+    }
+
+    nearbySearch(request, callback) {
+        this.placesService.nearbySearch({
+            location: request.location,
+            radius: request.radius,
+            keyword: request.query ? `${request.query} ${request.keyword}` : request.keyword,
+            type: this.searchTypes
+        }, (results, status, pagination) => {
+            const Status = google.maps.places.PlacesServiceStatus;
+            if (status === Status.OK) {
+                callback(results.map(place => this.normalizePlace(place)), pagination);
+            } else if (status === Status.ZERO_RESULTS) {
+                callback([], null);
+            } else {
+                reportMapError({ provider: this.name, operation: 'nearby_search', status, message: `Places nearby search failed: ${status}` });
+                callback([], null, new Error(`Places nearby search failed: ${status}`));
+            }
+        });
+    }
+
+    getPlaceDetails(placeId, fields = DEFAULT_DETAIL_FIELDS) {
+        return new Promise(resolve => {
+            this.placesService.getDetails({ placeId, fields }, (place, status) => {
+                if (!MAP_EMPTY_STATUSES.includes(status)) {
+                    reportMapError({ provider: this.name, operation: 'place_details', status, message: `Place details failed: ${status}` });
+                }
+                resolve(status === google.maps.places.PlacesServiceStatus.OK ? this.normalizePlace(place) : null);
+            });
+        });
+    }
+
+    geocode(address) {
+        if (!this.geocoder) this.geocoder = new google.maps.Geocoder();
+
+        return new Promise(resolve => {
+            this.geocoder.geocode({ address }, (results, status) => {
+                if (!MAP_EMPTY_STATUSES.includes(status)) {
+                    reportMapError({ provider: this.name, operation: 'geocode', status, message: `Geocoding failed: ${status}` });
+                }
+                if (status !== 'OK' || !results || results.length === 0) {
+                    resolve(null);
+                    return;
+                }
+                resolve({
+                    ...toPosition(results[0].geometry.location),
+                    formattedAddress: results[0].formatted_address
+                });
+            });
+        });
+    }
+
+    autocomplete(input, options = {}) {
+        if (!this.autocompleteService) this.autocompleteService = new google.maps.places.AutocompleteService();
+
+        const request = { input };
+        if (options.location) {
+            const center = toPosition(options.location);
+            request.locationBias = { center, radius: options.radius || 50000 };
+        }
+
+        return new Promise(resolve => {
+            this.autocompleteService.getPlacePredictions(request, (predictions, status) => {
+                if (!MAP_EMPTY_STATUSES.includes(status)) {
+                    reportMapError({ provider: this.name, operation: 'autocomplete', status, message: `Place predictions failed: ${status}` });
+                }
+                if (status !== google.maps.places.PlacesServiceStatus.OK || !predictions) {
+                    resolve([]);
+                    return;
+                }
+                resolve(predictions.map(prediction => {
+                    const text = prediction.structured_formatting || {};
+                    return {
+                        kind: prediction.types.some(type => CITY_PLACE_TYPES.includes(type)) ? 'city' : 'venue',
+                        placeId: prediction.place_id,
+                        name: text.main_text || prediction.description,
+                        description: text.secondary_text || '',
+                        location: null
+                    };
+                }));
+            });
+        });
+    }
+}
+
+class LeafletMapMarker {
+    constructor(native, provider, clustered) {
+        this.native = native;
+        this.provider = provider;
+        this.clustered = clustered;
+        native.handle = this;
+    }
+
+    setVisible(visible) {
+        // Clustered markers are shown through setClusteredMarkers()
+        if (this.clustered && this.provider.clusterGroup) return;
+        if (visible) {
+            this.native.addTo(this.provider.map);
+        } else {
+            this.native.remove();
+        }
+    }
+
+    // Hidden markers are taken off the map, so being on it means being drawn
+    isVisible() {
+        return this.isOnMap();
+    }
+
+    remove() {
+        this.native.remove();
+        if (this.provider.clusterGroup) this.provider.clusterGroup.removeLayer(this.native);
+    }
+
+    isOnMap() {
+        return !!this.native._map;
+    }
+
+    click() {
+        this.native.fire('click');
+    }
+}
+
+class LeafletLocalProvider extends MapProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.venuesUrl='/static/data/venues.geojson'] - GeoJSON FeatureCollection of venues
+     * @param {string|null} [options.tileUrl] - Tile layer URL template, null for no tiles
+     * @param {number} [options.pageSize=20] - Results per nearby search page, like Places
+     */
+    constructor(options = {}) {
+        super();
+        this.venuesUrl = options.venuesUrl || '/static/data/venues.geojson';
+        this.tileUrl = options.tileUrl !== undefined
+            ? options.tileUrl
+            : 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+        this.pageSize = options.pageSize || 20;
+        this.venues = [];
+        this.loading = null;
+        this.map = null;
+        this.clusterGroup = null;
+        this.idleListeners = [];
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    static isAvailable() {
+        return typeof L !== 'undefined';
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.venuesUrl)
+                .then(response => response.json())
+                .then(collection => {
+                    this.venues = (collection.features || []).map(feature => this.toPlace(feature));
+                    console.log(`Loaded ${this.venues.length} local venues`);
+                })
+                .catch(error => {
+                    console.error("Failed to load local venues:", error);
+                    reportMapError({ provider: this.name, operation: 'load', status: 'ERROR', message: error.message });
+                    this.venues = [];
+                });
+        }
+        return this.loading;
+    }
+
+    // GeoJSON feature -> Places-shaped venue; coordinates are [lng, lat]
+    toPlace(feature) {
+        const [lng, lat] = feature.geometry.coordinates;
+        return {
+            ...feature.properties,
+            types: feature.properties.types || [],
+            venueTypes: feature.properties.venueTypes || [],
+            geometry: { location: { lat, lng } }
+        };
+    }
+
+    toIcon(style) {
+        const size = style.scale * 2;
+        return L.divIcon({
+            className: 'local-map-marker',
+            iconSize: [size, size],
+            html: `<span style="display: block; width: ${size}px; height: ${size}px; border-radius: 50%;
+                background: ${style.fillColor}; opacity: ${style.fillOpacity};
+                border: ${style.strokeWeight}px solid ${style.strokeColor}; box-sizing: border-box;"></span>`
+        });
+    }
+
+    createMap(element, options) {
+        const center = toPosition(options.center);
+        this.map = L.map(element).setView([center.lat, center.lng], options.zoom || 12);
+        this.clusterStyle = options.clusterStyle || null;
+
+        if (this.tileUrl) {
+            L.tileLayer(this.tileUrl, {
+                maxZoom: 19,
+                attribution: '&copy; OpenStreetMap contributors'
+            }).addTo(this.map);
+        }
+
+        if (typeof L.markerClusterGroup === 'function') {
+            this.clusterGroup = L.markerClusterGroup({
+                iconCreateFunction: cluster => this.renderCluster(cluster)
+            });
+            this.map.addLayer(this.clusterGroup);
+        }
+
+        this.map.on('moveend', () => this.idleListeners.forEach(listener => listener()));
+        return this.map;
+    }
+
+    renderCluster(cluster) {
+        const count = cluster.getChildCount();
+        const style = this.clusterStyle
+            ? this.clusterStyle(cluster.getAllChildMarkers().map(marker => marker.handle), count)
+            : { fillColor: '#e8c547', fillOpacity: 0.9, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 14 };
+        const size = style.scale * 2;
+
+        return L.divIcon({
+            className: 'local-map-cluster',
+            iconSize: [size, size],
+            html: `<span style="display: flex; align-items: center; justify-content: center;
+                width: ${size}px; height: ${size}px; border-radius: 50%; background: ${style.fillColor};
+                border: ${style.strokeWeight}px solid ${style.strokeColor}; color: #0c1016;
+                font-size: 11px; font-weight: bold; box-sizing: border-box;">${count}</span>`
+        });
+    }
+
+    getCenter() {
+        return toPosition(this.map.getCenter());
+    }
+
+    getViewportRadius() {
+        return this.map.distance(this.map.getCenter(), this.map.getBounds().getNorthEast());
+    }
+
+    containsPosition(position) {
+        const { lat, lng } = toPosition(position);
+        return this.map.getBounds().contains([lat, lng]);
+    }
+
+    setView(center, zoom) {
+        const position = toPosition(center);
+        this.map.setView([position.lat, position.lng], zoom || this.map.getZoom());
+    }
+
+    onIdle(listener) {
+        this.idleListeners.push(listener);
+    }
+
+    triggerIdle() {
+        this.map.fire('moveend');
+    }
+
+    addMarker(options) {
+        const position = toPosition(options.position);
+        const native = L.marker([position.lat, position.lng], {
+            title: options.title,
+            icon: this.toIcon(options.style)
+        });
+        if (options.onClick) native.on('click', options.onClick);
+
+        const clustered = !!options.clustered;
+        if (!clustered || !this.clusterGroup) native.addTo(this.map);
+        return new LeafletMapMarker(native, this, clustered);
+    }
+
+    setClusteredMarkers(markers) {
+        if (!this.clusterGroup) return;
+        this.clusterGroup.clearLayers();
+        this.clusterGroup.addLayers(markers.map(marker => marker.native));
+    }
+
+    revealMarker(marker, callback) {
+        if (this.clusterGroup && this.clusterGroup.hasLayer(marker.native)) {
+            this.clusterGroup.zoomToShowLayer(marker.native, callback);
+        } else {
+            callback();
+        }
+    }
+
+    openInfoWindow(marker, html) {
+        if (!this.popup) this.popup = L.popup({ maxWidth: 350 });
+        this.popup.setLatLng(marker.native.getLatLng()).setContent(html).openOn(this.map);
+    }
+
+    matchesRequest(venue, request) {
+        if (request.query && !this.matchesQuery(venue, request.query)) return false;
+        if (request.venueType) return venue.venueTypes.includes(request.venueType);
+        if (!request.keyword) return true;
+
+        const text = `${venue.name} ${venue.types.join(' ')}`.toLowerCase();
+        return request.keyword.toLowerCase().split(/\s+/).some(word => text.includes(word));
+    }
+
+    // Every word of the query has to appear somewhere on the venue; plurals match
+    // their singular ("casinos" finds "casino")
+    matchesQuery(venue, query) {
+        const text = [venue.name, venue.vicinity, venue.city, ...venue.types, ...venue.venueTypes]
+            .join(' ').toLowerCase().replace(/_/g, ' ');
+        return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => {
+            const stem = word.length > 3 ? word.replace(/e?s$/, '') : word;
+            return text.includes(stem);
+        });
+    }
+
+    nearbySearch(request, callback) {
+        this.load().then(() => {
+            const origin = toPosition(request.location);
+            const matches = this.venues
+                .map(venue => ({ venue, distance: distanceInMeters(origin, venue.geometry.location) }))
+                .filter(({ venue, distance }) => distance <= request.radius && this.matchesRequest(venue, request))
+                .sort((a, b) => a.distance - b.distance)
+                .map(({ venue }) => ({ ...venue }));
+
+            // Page like Places does, so "load more" behaves the same with either provider
+            const deliver = (offset) => {
+                const page = matches.slice(offset, offset + this.pageSize);
+                const hasNextPage = offset + this.pageSize < matches.length;
+                callback(page, {
+                    hasNextPage,
+                    nextPage: () => {
+                        if (hasNextPage) setTimeout(() => deliver(offset + this.pageSize), 0);
+                    }
+                });
+            };
+            deliver(0);
+        });
+    }
+
+    getPlaceDetails(placeId) {
+        return this.load().then(() => {
+            const venue = this.venues.find(v => v.place_id === placeId);
+            return venue ? { ...venue } : null;
+        });
+    }
+
+    // Accepts "lat,lng" or a city name from the venue file
+    geocode(address) {
+        return this.load().then(() => {
+            const coordinates = String(address).match(/^\s*(-?\d+(\.\d+)?)\s*,\s*(-?\d+(\.\d+)?)\s*$/);
+            if (coordinates) {
+                return { lat: parseFloat(coordinates[1]), lng: parseFloat(coordinates[3]), formattedAddress: address };
+            }
+
+            const query = String(address).toLowerCase().trim();
+            const inCity = this.venues.filter(venue => venue.city && query.includes(venue.city.toLowerCase()));
+            if (inCity.length === 0) return null;
+
+            const lat = inCity.reduce((sum, venue) => sum + venue.geometry.location.lat, 0) / inCity.length;
+            const lng = inCity.reduce((sum, venue) => sum + venue.geometry.location.lng, 0) / inCity.length;
+            return { lat, lng, formattedAddress: inCity[0].city };
+        });
+    }
+
+    // Venue names and the cities in the venue file, closest venues first
+    autocomplete(input, options = {}) {
+        return this.load().then(() => {
+            const query = String(input).toLowerCase().trim();
+            if (!query) return [];
+
+            const cities = new Map();
+            this.venues.forEach(venue => {
+                if (!venue.city || !venue.city.toLowerCase().startsWith(query)) return;
+                const city = cities.get(venue.city) || { venues: [] };
+                city.venues.push(venue);
+                cities.set(venue.city, city);
+            });
+            const citySuggestions = Array.from(cities.entries()).map(([name, city]) => ({
+                kind: 'city',
+                placeId: null,
+                name,
+                description: `${city.venues.length} venue${city.venues.length === 1 ? '' : 's'}`,
+                location: {
+                    lat: city.venues.reduce((sum, venue) => sum + venue.geometry.location.lat, 0) / city.venues.length,
+                    lng: city.venues.reduce((sum, venue) => sum + venue.geometry.location.lng, 0) / city.venues.length
+                }
+            }));
+
+            const origin = options.location ? toPosition(options.location) : null;
+            const venueSuggestions = this.venues
+                .filter(venue => venue.name.toLowerCase().includes(query))
+                .map(venue => ({
+                    venue,
+                    prefix: venue.name.toLowerCase().startsWith(query) ? 0 : 1,
+                    distance: origin ? distanceInMeters(origin, venue.geometry.location) : 0
+                }))
+                .sort((a, b) => a.prefix - b.prefix || a.distance - b.distance)
+                .map(({ venue }) => ({
+                    kind: 'venue',
+                    placeId: venue.place_id,
+                    name: venue.name,
+                    description: venue.vicinity || '',
+                    location: { ...venue.geometry.location }
+                }));
+
+            return [...citySuggestions, ...venueSuggestions];
+        });
+    }
+}
+
+/**
+ * Picks a provider: the preferred one if it can run, else Google when its
+ * script loaded, else the local Leaflet provider.
+ * @param {string} [preferred] - 'google' or 'local'
+ * @param {Object} [options] - { google: {...}, local: {...} } constructor options
+ */
+function createMapProvider(preferred, options = {}) {
+    if (preferred !== 'local' && GoogleMapsProvider.isAvailable()) {
+        return new GoogleMapsProvider(options.google);
+    }
+    if (preferred !== 'local') {
+        reportMapError({ provider: 'google', operation: 'load', status: 'UNAVAILABLE', message: 'Google Maps script not loaded' });
+    }
+    if (LeafletLocalProvider.isAvailable()) {
+        if (preferred !== 'local') console.warn("Google Maps unavailable, using the local map provider");
+        return new LeafletLocalProvider(options.local);
+    }
+    if (GoogleMapsProvider.isAvailable()) {
+        return new GoogleMapsProvider(options.google);
+    }
+    reportMapError({ provider: 'local', operation: 'load', status: 'UNAVAILABLE', message: 'No map provider available' });
+    throw new Error("No map provider available");
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MapProvider,
+        GoogleMapsProvider,
+        LeafletLocalProvider,
+        createMapProvider,
+        reportMapError,
+        distanceInMeters,
+        DEFAULT_DETAIL_FIELDS
+    };
+}
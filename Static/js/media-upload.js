@@ -0,0 +1,427 @@
+/**
+ * Media Upload
+ * Validates, prepares and uploads post media to Firebase Storage. Files are
+ * checked for type, size and (for video) duration before anything is sent;
+ * photos have their EXIF location removed, and every upload gets a JPEG
+ * poster/thumbnail generated in the browser. Uploads report progress, pause
+ * while the browser is offline, and can be cancelled.
+ *
+ * Storage layout (signed-in members only):
+ *   posts/{uid}/{timestamp}_{name}              the photo or video
+ *   posts/{uid}/{timestamp}_{name}_poster.jpg   its poster/thumbnail
+ *
+ * Storage security rules must restrict posts/{uid}/ writes to that uid.
+ */
+
+const MEDIA_RULES = {
+    image: {
+        types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+        maxBytes: 10 * 1024 * 1024
+    },
+    video: {
+        types: ['video/mp4', 'video/webm', 'video/quicktime'],
+        maxBytes: 100 * 1024 * 1024,
+        maxDurationSeconds: 60
+    }
+};
+
+const THUMBNAIL_SIZE = 480;
+const METADATA_TIMEOUT_MS = 15000;
+
+// Bytes per component for each TIFF field type, used to find out-of-line EXIF values
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_IFD_TAG = 0x8825;
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// Keeps storage paths readable and free of characters Storage treats specially
+function safeFileName(name) {
+    return (name || 'upload').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-80);
+}
+
+function cancelledError() {
+    const error = new Error("Upload cancelled");
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Blanks the GPS IFD of a TIFF/EXIF block in place. Throws if the block
+ * points outside its segment, so the caller can drop the segment instead.
+ */
+function clearGpsIfd(bytes, tiffStart, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[tiffStart] === 0x49;
+    const read16 = offset => {
+        if (offset + 2 > end) throw new Error("EXIF offset out of range");
+        return view.getUint16(offset, little);
+    };
+    const read32 = offset => {
+        if (offset + 4 > end) throw new Error("EXIF offset out of range");
+        return view.getUint32(offset, little);
+    };
+
+    const ifd0 = tiffStart + read32(tiffStart + 4);
+    const entries = read16(ifd0);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (read16(entry) !== GPS_IFD_TAG) continue;
+
+        const gpsIfd = tiffStart + read32(entry + 8);
+        const gpsEntries = read16(gpsIfd);
+        for (let j = 0; j < gpsEntries; j++) {
+            const gpsEntry = gpsIfd + 2 + j * 12;
+            const size = (TIFF_TYPE_SIZES[read16(gpsEntry + 2)] || 1) * read32(gpsEntry + 4);
+            if (size > 4) {
+                const valueStart = tiffStart + read32(gpsEntry + 8);
+                if (valueStart + size > end) throw new Error("EXIF offset out of range");
+                bytes.fill(0, valueStart, valueStart + size);
+            }
+        }
+        // An empty GPS IFD whose next-IFD offset is zero
+        if (gpsIfd + 6 + gpsEntries * 12 > end) throw new Error("EXIF offset out of range");
+        bytes.fill(0, gpsIfd, gpsIfd + 6 + gpsEntries * 12);
+        return true;
+    }
+    return false;
+}
+
+function stripJpegLocation(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        // Start of scan: image data follows, no more metadata segments
+        if (marker === 0xDA) break;
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const segmentEnd = offset + 2 + length;
+        const isExif = marker === 0xE1 &&
+            String.fromCharCode(...bytes.subarray(offset + 4, offset + 10)) === 'Exif\0\0';
+
+        if (isExif) {
+            try {
+                clearGpsIfd(bytes, offset + 10, segmentEnd);
+            } catch (e) {
+                // Unreadable EXIF: drop the whole segment rather than risk leaving a location in it
+                const stripped = new Uint8Array(bytes.length - (segmentEnd - offset));
+                stripped.set(bytes.subarray(0, offset));
+                stripped.set(bytes.subarray(segmentEnd), offset);
+                return stripped;
+            }
+        }
+        offset = segmentEnd;
+    }
+    return bytes;
+}
+
+// PNG keeps EXIF in an eXIf chunk, which is simply left out
+function stripPngLocation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const kept = [bytes.subarray(0, 8)];
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const chunkEnd = offset + 12 + view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type !== 'eXIf') kept.push(bytes.subarray(offset, chunkEnd));
+        offset = chunkEnd;
+    }
+    return concatBytes(kept);
+}
+
+// WebP keeps EXIF in an EXIF chunk flagged in the VP8X header
+function stripWebpLocation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const kept = [bytes.slice(0, 12)];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        const chunkEnd = offset + 8 + size + (size % 2);
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (type === 'VP8X') {
+            const chunk = bytes.slice(offset, chunkEnd);
+            chunk[8] &= ~0x08;
+            kept.push(chunk);
+        } else if (type !== 'EXIF') {
+            kept.push(bytes.subarray(offset, chunkEnd));
+        }
+        offset = chunkEnd;
+    }
+    const result = concatBytes(kept);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Returns the image bytes without EXIF location data. JPEG keeps the rest of
+ * its EXIF (orientation, camera) with only the GPS block blanked.
+ */
+function stripLocationData(bytes, contentType) {
+    if (contentType === 'image/jpeg') return stripJpegLocation(bytes);
+    if (contentType === 'image/png') return stripPngLocation(bytes);
+    if (contentType === 'image/webp') return stripWebpLocation(bytes);
+    return bytes;
+}
+
+class MediaUploader {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.getStorage] - () => firebase.storage() instance
+     * @param {Object} [options.rules] - Overrides for MEDIA_RULES by media kind
+     * @param {number} [options.thumbnailSize=480] - Longest side of generated posters, in pixels
+     */
+    constructor(options = {}) {
+        this.getStorage = options.getStorage || (() => firebase.storage());
+        this.rules = { ...MEDIA_RULES, ...options.rules };
+        this.thumbnailSize = options.thumbnailSize || THUMBNAIL_SIZE;
+    }
+
+    // Value for the file input's accept attribute
+    acceptTypes() {
+        return Object.values(this.rules).flatMap(rule => rule.types).join(',');
+    }
+
+    getKind(file) {
+        return Object.keys(this.rules).find(kind => this.rules[kind].types.includes(file.type)) || null;
+    }
+
+    // Type and size checks that need no decoding
+    validate(file) {
+        const kind = this.getKind(file);
+        if (!kind) {
+            throw new Error("Only JPEG, PNG, WebP or GIF photos and MP4, WebM or MOV videos can be posted");
+        }
+        const rule = this.rules[kind];
+        if (file.size > rule.maxBytes) {
+            throw new Error(`${kind === 'video' ? 'Videos' : 'Photos'} can be at most ${formatMegabytes(rule.maxBytes)}`);
+        }
+        return kind;
+    }
+
+    /**
+     * Validates a file and gets it ready to upload:
+     * {kind, file, name, contentType, size, width, height, duration, poster}.
+     */
+    async prepare(file) {
+        const kind = this.validate(file);
+        return kind === 'video' ? this.prepareVideo(file) : this.prepareImage(file);
+    }
+
+    async prepareImage(file) {
+        const bytes = stripLocationData(new Uint8Array(await file.arrayBuffer()), file.type);
+        const cleaned = new Blob([bytes], { type: file.type });
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(cleaned);
+        } catch (error) {
+            throw new Error("This photo couldn't be read. Try a different file.");
+        }
+        const poster = await this.drawThumbnail(bitmap, bitmap.width, bitmap.height);
+        const prepared = {
+            kind: 'image',
+            file: cleaned,
+            name: file.name,
+            contentType: file.type,
+            size: cleaned.size,
+            width: bitmap.width,
+            height: bitmap.height,
+            duration: null,
+            poster
+        };
+        if (bitmap.close) bitmap.close();
+        return prepared;
+    }
+
+    prepareVideo(file) {
+        const maxDuration = this.rules.video.maxDurationSeconds;
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            video.preload = 'metadata';
+            video.muted = true;
+            video.playsInline = true;
+
+            const finish = (error, result) => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                video.removeAttribute('src');
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            const timer = setTimeout(() => finish(new Error("This video took too long to read. Try a shorter clip.")), METADATA_TIMEOUT_MS);
+
+            video.addEventListener('loadedmetadata', () => {
+                if (!isFinite(video.duration)) {
+                    finish(new Error("This video's length couldn't be read. Try an MP4 or WebM file."));
+                } else if (maxDuration && video.duration > maxDuration) {
+                    finish(new Error(`Videos can be at most ${maxDuration} seconds long`));
+                } else {
+                    // Poster frame a moment in, past any fade from black
+                    video.currentTime = Math.min(1, video.duration / 2);
+                }
+            });
+            video.addEventListener('seeked', async () => {
+                try {
+                    const poster = await this.drawThumbnail(video, video.videoWidth, video.videoHeight);
+                    finish(null, {
+                        kind: 'video',
+                        file,
+                        name: file.name,
+                        contentType: file.type,
+                        size: file.size,
+                        width: video.videoWidth,
+                        height: video.videoHeight,
+                        duration: Math.round(video.duration * 10) / 10,
+                        poster
+                    });
+                } catch (error) {
+                    finish(error);
+                }
+            }, { once: true });
+            video.addEventListener('error', () => {
+                finish(new Error("This video couldn't be read. Try an MP4 or WebM file."));
+            });
+
+            video.src = url;
+        });
+    }
+
+    // JPEG thumbnail with the longest side at most thumbnailSize; canvases carry no EXIF
+    drawThumbnail(source, width, height) {
+        const scale = Math.min(1, this.thumbnailSize / Math.max(width, height, 1));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error("Couldn't create a preview for this file"));
+                }
+            }, 'image/jpeg', 0.8);
+        });
+    }
+
+    /**
+     * Uploads a prepared file and its poster under the member's folder.
+     * Returns {promise, pause, resume, cancel}; the promise resolves to the
+     * media record stored on the post. Anything uploaded before a failure or
+     * cancel is deleted again.
+     *
+     * @param {Object} prepared - Result of prepare()
+     * @param {string} userId - Signed-in member's uid
+     * @param {Function} [onProgress] - ({transferred, total, paused}) while the main file uploads
+     */
+    upload(prepared, userId, onProgress = () => {}) {
+        if (!userId) throw new Error("Sign in to upload media");
+
+        const path = `posts/${userId}/${Date.now()}_${safeFileName(prepared.name)}`;
+        const uploaded = [];
+        let task = null;
+        let cancelled = false;
+
+        const put = (storagePath, blob, reportProgress) => new Promise((resolve, reject) => {
+            if (cancelled) {
+                reject(cancelledError());
+                return;
+            }
+            const ref = this.getStorage().ref(storagePath);
+            task = ref.put(blob, { contentType: blob.type || prepared.contentType });
+            task.on('state_changed', snapshot => {
+                if (reportProgress) {
+                    onProgress({
+                        transferred: snapshot.bytesTransferred,
+                        total: snapshot.totalBytes,
+                        paused: snapshot.state === 'paused'
+                    });
+                }
+            }, reject, () => {
+                uploaded.push(storagePath);
+                ref.getDownloadURL().then(resolve, reject);
+            });
+        });
+
+        // Firebase resumes an interrupted upload where it left off; pausing while offline stops it giving up
+        const pauseOffline = () => task && task.pause();
+        const resumeOnline = () => task && task.resume();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('offline', pauseOffline);
+            window.addEventListener('online', resumeOnline);
+        }
+
+        const promise = (async () => {
+            try {
+                const url = await put(path, prepared.file, true);
+                const posterPath = `${path}_poster.jpg`;
+                const posterUrl = prepared.poster ? await put(posterPath, prepared.poster, false) : null;
+                return {
+                    type: prepared.kind,
+                    url,
+                    path,
+                    posterUrl,
+                    posterPath: posterUrl ? posterPath : null,
+                    contentType: prepared.contentType,
+                    size: prepared.size,
+                    width: prepared.width,
+                    height: prepared.height,
+                    duration: prepared.duration
+                };
+            } catch (error) {
+                await this.removePaths(uploaded);
+                throw cancelled || (error && error.code === 'storage/canceled') ? cancelledError() : error;
+            } finally {
+                if (typeof window !== 'undefined') {
+                    window.removeEventListener('offline', pauseOffline);
+                    window.removeEventListener('online', resumeOnline);
+                }
+            }
+        })();
+
+        return {
+            promise,
+            pause: () => task && task.pause(),
+            resume: () => task && task.resume(),
+            cancel: () => {
+                cancelled = true;
+                if (task) task.cancel();
+            }
+        };
+    }
+
+    // Deletes a post's stored files, e.g. after the post itself failed to save or was deleted
+    async remove(media) {
+        if (!media) return;
+        await this.removePaths([media.path, media.posterPath].filter(Boolean));
+    }
+
+    async removePaths(paths) {
+        await Promise.all(paths.map(path => this.getStorage().ref(path).delete().catch(error => {
+            if (error && error.code === 'storage/object-not-found') return;
+            console.warn(`Failed to delete orphaned upload ${path}:`, error);
+        })));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MediaUploader, MEDIA_RULES, stripLocationData, safeFileName };
+}
@@ -0,0 +1,318 @@
+/**
+ * Page Telemetry
+ * Engagement and reliability signals for the page, reported through
+ * UserAnalytics.logEvent so they reach the dashboard like any other event:
+ *
+ *   page_engagement - seconds the page was visible, and how far it was scrolled
+ *   scroll_depth    - each of 25/50/75/100% the first time it is reached
+ *   web_vital       - LCP, CLS and INP, once each when the page is first hidden
+ *   map_error       - Maps script, key and Places request failures (see reportMapError)
+ *   js_error        - uncaught errors and unhandled promise rejections
+ *
+ * Events raised before analytics is ready (errors during page load, mostly)
+ * are held and sent once ready() is called.
+ */
+
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+// Good / poor boundaries from web.dev; in between is "needs improvement"
+const WEB_VITAL_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500]
+};
+
+// Keeps a broken page from flooding the log with the same error
+const MAX_ERRORS_PER_PAGE = 10;
+const MAX_STACK_LENGTH = 2000;
+const MAX_PENDING_EVENTS = 50;
+
+// Script URLs whose failure to load means the map is down
+const MAP_SCRIPT_PATTERN = /maps\.googleapis\.com|leaflet/;
+
+function rateWebVital(metric, value) {
+    const [good, poor] = WEB_VITAL_THRESHOLDS[metric];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+function truncate(text, length) {
+    if (!text) return '';
+    text = String(text);
+    return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+/**
+ * Tracks cumulative layout shift the way Chrome reports it: shifts are grouped
+ * into session windows (gaps under 1s, at most 5s long) and the largest
+ * window counts. Shifts right after user input are expected and ignored.
+ */
+class LayoutShiftTracker {
+    constructor() {
+        this.value = 0;
+        this.windowValue = 0;
+        this.windowStart = 0;
+        this.lastShift = 0;
+    }
+
+    add(entry) {
+        if (entry.hadRecentInput) return;
+
+        if (this.windowValue && entry.startTime - this.lastShift < 1000 && entry.startTime - this.windowStart < 5000) {
+            this.windowValue += entry.value;
+        } else {
+            this.windowValue = entry.value;
+            this.windowStart = entry.startTime;
+        }
+        this.lastShift = entry.startTime;
+        this.value = Math.max(this.value, this.windowValue);
+    }
+}
+
+class PageTelemetry {
+    /**
+     * @param {Object} options
+     * @param {Function} options.log - (eventType, details) that records an event, e.g. userAnalytics.logEvent
+     * @param {Window} [options.window] - Defaults to the global window
+     * @param {Document} [options.document] - Defaults to the global document
+     * @param {Function} [options.now] - Clock in ms, performance.now() by default
+     */
+    constructor(options) {
+        this.log = options.log;
+        this.window = options.window || (typeof window !== 'undefined' ? window : null);
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.now = options.now || (() => performance.now());
+
+        this.isReady = false;
+        this.pending = [];
+
+        this.page = this.window ? this.window.location.pathname : null;
+        // Groups this page load's engagement reports, which come one per hide
+        this.viewId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+        this.visibleSince = null;
+        this.maxScrollDepth = 0;
+        this.scrollMilestones = new Set();
+
+        this.vitals = { LCP: null, CLS: new LayoutShiftTracker(), INP: null };
+        this.vitalsReported = false;
+        this.observers = [];
+
+        this.errorCount = 0;
+        this.seenErrors = new Set();
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleError = this.handleError.bind(this);
+        this.handleRejection = this.handleRejection.bind(this);
+        this.handleMapError = this.handleMapError.bind(this);
+    }
+
+    // Listeners go on before the event queue's own, so reports made while the
+    // page is being hidden still leave with its final beacon
+    start() {
+        if (!this.window || !this.document) return;
+
+        if (this.document.visibilityState !== 'hidden') this.visibleSince = this.now();
+        this.document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.window.addEventListener('pagehide', this.handleVisibilityChange);
+        this.window.addEventListener('scroll', this.handleScroll, { passive: true });
+        // Capture phase, so failed <script> loads are seen too (they don't bubble)
+        this.window.addEventListener('error', this.handleError, true);
+        this.window.addEventListener('unhandledrejection', this.handleRejection);
+        this.document.addEventListener('map_error', this.handleMapError);
+
+        this.observeWebVitals();
+    }
+
+    stop() {
+        if (!this.window || !this.document) return;
+        this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.window.removeEventListener('pagehide', this.handleVisibilityChange);
+        this.window.removeEventListener('scroll', this.handleScroll);
+        this.window.removeEventListener('error', this.handleError, true);
+        this.window.removeEventListener('unhandledrejection', this.handleRejection);
+        this.document.removeEventListener('map_error', this.handleMapError);
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+    }
+
+    // Analytics can take events now; send what was held back
+    ready() {
+        this.isReady = true;
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(([eventType, details]) => this.log(eventType, details));
+    }
+
+    report(eventType, details) {
+        const event = { page: this.page, ...details };
+        if (this.isReady) {
+            this.log(eventType, event);
+        } else if (this.pending.length < MAX_PENDING_EVENTS) {
+            this.pending.push([eventType, event]);
+        }
+    }
+
+    // --- Engagement -------------------------------------------------------------
+
+    // Some browsers still say 'visible' during pagehide
+    handleVisibilityChange(event) {
+        if (this.document.visibilityState === 'hidden' || (event && event.type === 'pagehide')) {
+            this.reportEngagement();
+            this.reportWebVitals();
+        } else if (this.visibleSince === null) {
+            this.visibleSince = this.now();
+        }
+    }
+
+    // Reports the visible time since the last report, so hiding the tab twice
+    // doesn't count the first stretch twice
+    reportEngagement() {
+        if (this.visibleSince === null) return;
+        const activeMs = this.now() - this.visibleSince;
+        this.visibleSince = null;
+
+        this.report('page_engagement', {
+            viewId: this.viewId,
+            activeSeconds: Math.round(activeMs / 1000),
+            maxScrollDepth: this.maxScrollDepth
+        });
+    }
+
+    getScrollDepth() {
+        const element = this.document.documentElement;
+        const scrollable = element.scrollHeight - this.window.innerHeight;
+        if (scrollable <= 0) return 100;
+        return Math.min(100, Math.round((this.window.scrollY / scrollable) * 100));
+    }
+
+    handleScroll() {
+        const depth = this.getScrollDepth();
+        if (depth <= this.maxScrollDepth) return;
+        this.maxScrollDepth = depth;
+
+        SCROLL_MILESTONES.forEach(milestone => {
+            if (depth >= milestone && !this.scrollMilestones.has(milestone)) {
+                this.scrollMilestones.add(milestone);
+                this.report('scroll_depth', { viewId: this.viewId, depth: milestone });
+            }
+        });
+    }
+
+    // --- Web Vitals -------------------------------------------------------------
+
+    observe(type, callback, options = {}) {
+        if (typeof PerformanceObserver === 'undefined') return false;
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return false;
+
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return true;
+        } catch (error) {
+            console.warn(`Can't observe ${type}:`, error);
+            return false;
+        }
+    }
+
+    observeWebVitals() {
+        this.observe('largest-contentful-paint', entry => {
+            this.vitals.LCP = entry.startTime;
+        });
+        // Unsupported browsers would otherwise report a perfect 0
+        if (!this.observe('layout-shift', entry => this.vitals.CLS.add(entry))) this.vitals.CLS = null;
+        // INP is the slowest interaction; with the few interactions a visit has here
+        // that is close enough to the 98th percentile Chrome uses
+        this.observe('event', entry => {
+            if (!entry.interactionId) return;
+            if (this.vitals.INP === null || entry.duration > this.vitals.INP) this.vitals.INP = entry.duration;
+        }, { durationThreshold: 40 });
+    }
+
+    // Values are final once the page is first hidden
+    reportWebVitals() {
+        if (this.vitalsReported) return;
+        this.vitalsReported = true;
+
+        const values = {
+            LCP: this.vitals.LCP,
+            CLS: this.vitals.CLS ? this.vitals.CLS.value : null,
+            INP: this.vitals.INP
+        };
+        Object.entries(values).forEach(([metric, value]) => {
+            if (value === null) return;
+            const rounded = metric === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+            this.report('web_vital', { metric, value: rounded, rating: rateWebVital(metric, value) });
+        });
+    }
+
+    // --- Errors -----------------------------------------------------------------
+
+    handleError(event) {
+        const target = event.target;
+        // Resource failures arrive as plain Events on the element that failed
+        if (target && target !== this.window && target.tagName) {
+            const source = target.src || target.href || '';
+            if (target.tagName === 'SCRIPT' && MAP_SCRIPT_PATTERN.test(source)) {
+                this.handleMapError({
+                    detail: { provider: /googleapis/.test(source) ? 'google' : 'local', operation: 'script_load', status: 'LOAD_FAILED', message: `Failed to load ${source}` }
+                });
+            } else if (target.tagName === 'SCRIPT') {
+                this.reportError('resource', { message: `Failed to load ${source}`, source });
+            }
+            return;
+        }
+
+        const error = event.error;
+        this.reportError('error', {
+            message: event.message || (error && error.message) || 'Unknown error',
+            source: event.filename || '',
+            line: event.lineno || null,
+            column: event.colno || null,
+            stack: error && error.stack
+        });
+    }
+
+    handleRejection(event) {
+        const reason = event.reason;
+        const isError = reason instanceof Error;
+        this.reportError('unhandled_rejection', {
+            message: isError ? reason.message : truncate(typeof reason === 'string' ? reason : JSON.stringify(reason), 300),
+            stack: isError ? reason.stack : null
+        });
+    }
+
+    reportError(kind, { message, source = '', line = null, column = null, stack = null }) {
+        const key = `${kind}|${message}|${source}|${line}`;
+        if (this.seenErrors.has(key) || this.errorCount >= MAX_ERRORS_PER_PAGE) return;
+        this.seenErrors.add(key);
+        this.errorCount++;
+
+        this.report('js_error', {
+            kind,
+            message: truncate(message, 500),
+            source,
+            line,
+            column,
+            stack: truncate(stack, MAX_STACK_LENGTH),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+        });
+    }
+
+    handleMapError(event) {
+        const { provider = null, operation = null, status = null, message = '' } = event.detail || {};
+        const key = `map|${provider}|${operation}|${status}`;
+        if (this.seenErrors.has(key)) return;
+        this.seenErrors.add(key);
+
+        this.report('map_error', { provider, operation, status, message: truncate(message, 300) });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageTelemetry, LayoutShiftTracker, rateWebVital, WEB_VITAL_THRESHOLDS, SCROLL_MILESTONES };
+}
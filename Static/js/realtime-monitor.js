@@ -0,0 +1,166 @@
+/**
+ * Realtime Monitor
+ * Feeds the dashboard's "right now" tab from Firestore snapshot listeners:
+ * sessions active in the last few minutes (from the lastActivity stamp every
+ * logged event updates) and a stream of the newest session events.
+ *
+ * Both listeners are collection group queries over
+ * visitors/{visitorId}/sessions/{sessionId}[/events/{eventId}], so Firestore
+ * needs collection group indexes on sessions.lastActivity and
+ * events.timestamp, and security rules that only let admins read them.
+ */
+
+const ACTIVE_WINDOW_MINUTES = 5;
+const LIVE_STREAM_SIZE = 50;
+// Stale sessions are dropped locally this often, and the listener's cutoff is moved up
+const PRUNE_INTERVAL_MS = 15000;
+const RESUBSCRIBE_INTERVAL_MS = 10 * 60 * 1000;
+
+function toLiveMillis(timestamp) {
+    if (!timestamp) return null;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? null : time;
+}
+
+// One line per stream entry, e.g. "search · poker rooms"
+function describeLiveEvent(event) {
+    const subject = event.venueName || event.query || event.path || event.page ||
+        event.campaignName || event.interactionType || '';
+    const type = (event.eventType || 'event').replace(/_/g, ' ');
+    return subject ? `${type} · ${subject}` : type;
+}
+
+/**
+ * Counts active sessions per venue they're viewing, most viewed first:
+ * [{placeId, name, sessions}]
+ */
+function tallyViewedVenues(sessions) {
+    const venues = new Map();
+    sessions.forEach(session => {
+        const venue = session.currentVenue;
+        if (!venue || !venue.placeId) return;
+        const entry = venues.get(venue.placeId) || { placeId: venue.placeId, name: venue.name || venue.placeId, sessions: 0 };
+        entry.sessions++;
+        venues.set(venue.placeId, entry);
+    });
+    return Array.from(venues.values()).sort((a, b) => b.sessions - a.sessions);
+}
+
+class RealtimeMonitor {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.getDb] - () => firebase.firestore() instance
+     * @param {Function} [options.onSessions] - Called with the active sessions whenever they change
+     * @param {Function} [options.onEvents] - Called with the newest events, newest first
+     * @param {Function} [options.onError] - Called when a listener fails
+     * @param {number} [options.activeWindowMinutes=5] - A session is active if it logged an event this recently
+     * @param {number} [options.streamSize=50] - Events kept in the live stream
+     */
+    constructor(options = {}) {
+        this.getDb = options.getDb || (() => firebase.firestore());
+        this.onSessions = options.onSessions || (() => {});
+        this.onEvents = options.onEvents || (() => {});
+        this.onError = options.onError || (error => console.error("Realtime listener failed:", error));
+        this.activeWindowMs = (options.activeWindowMinutes || ACTIVE_WINDOW_MINUTES) * 60 * 1000;
+        this.streamSize = options.streamSize || LIVE_STREAM_SIZE;
+
+        this.sessions = new Map();
+        this.unsubscribers = [];
+        this.timers = [];
+        this.running = false;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.watchSessions();
+        this.watchEvents();
+        this.timers.push(setInterval(() => this.emitSessions(), PRUNE_INTERVAL_MS));
+        this.timers.push(setInterval(() => this.watchSessions(), RESUBSCRIBE_INTERVAL_MS));
+    }
+
+    stop() {
+        this.running = false;
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        if (this.sessionsUnsubscribe) this.sessionsUnsubscribe();
+        this.sessionsUnsubscribe = null;
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.sessions.clear();
+    }
+
+    // Listens to sessions active since the window start; re-run to move the cutoff forward
+    watchSessions() {
+        if (this.sessionsUnsubscribe) this.sessionsUnsubscribe();
+        this.sessions.clear();
+
+        const cutoff = firebase.firestore.Timestamp.fromMillis(Date.now() - this.activeWindowMs);
+        this.sessionsUnsubscribe = this.getDb().collectionGroup('sessions')
+            .where('lastActivity', '>=', cutoff)
+            .onSnapshot(snapshot => {
+                snapshot.docChanges().forEach(change => {
+                    if (change.type === 'removed') {
+                        this.sessions.delete(change.doc.ref.path);
+                    } else {
+                        this.sessions.set(change.doc.ref.path, this.toSession(change.doc));
+                    }
+                });
+                this.emitSessions();
+            }, error => this.onError(error));
+    }
+
+    watchEvents() {
+        const since = firebase.firestore.Timestamp.fromMillis(Date.now() - this.activeWindowMs);
+        const unsubscribe = this.getDb().collectionGroup('events')
+            .where('timestamp', '>=', since)
+            .orderBy('timestamp', 'desc')
+            .limit(this.streamSize)
+            .onSnapshot(snapshot => {
+                this.onEvents(snapshot.docs.map(doc => this.toEvent(doc)));
+            }, error => this.onError(error));
+        this.unsubscribers.push(unsubscribe);
+    }
+
+    // visitors/{visitorId}/sessions/{sessionId}
+    toSession(doc) {
+        const data = doc.data();
+        return {
+            ...data,
+            sessionId: doc.id,
+            visitorId: doc.ref.parent.parent ? doc.ref.parent.parent.id : null,
+            lastActivityMs: toLiveMillis(data.lastActivity)
+        };
+    }
+
+    // visitors/{visitorId}/sessions/{sessionId}/events/{eventId}
+    toEvent(doc) {
+        const data = doc.data();
+        const sessionRef = doc.ref.parent.parent;
+        return {
+            ...data,
+            id: doc.id,
+            sessionId: sessionRef ? sessionRef.id : null,
+            visitorId: sessionRef && sessionRef.parent.parent ? sessionRef.parent.parent.id : null,
+            // Pending server timestamps read as null until the write lands
+            time: toLiveMillis(data.timestamp) || toLiveMillis(data.clientTimestamp) || Date.now()
+        };
+    }
+
+    getActiveSessions(now = Date.now()) {
+        return Array.from(this.sessions.values())
+            .filter(session => session.lastActivityMs === null || session.lastActivityMs >= now - this.activeWindowMs)
+            .sort((a, b) => (b.lastActivityMs || now) - (a.lastActivityMs || now));
+    }
+
+    emitSessions() {
+        if (this.running) this.onSessions(this.getActiveSessions());
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealtimeMonitor, describeLiveEvent, tallyViewedVenues, ACTIVE_WINDOW_MINUTES };
+}
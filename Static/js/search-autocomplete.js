@@ -0,0 +1,400 @@
+/**
+ * Search Autocomplete
+ * Type-ahead for the main search box, mixing the visitor's recent searches,
+ * popular searches (aggregated by the server from logged search events),
+ * venue categories, and cities and venues from the map provider. Picking a
+ * suggestion fills the form's place_id/lat/lng before submitting, so the
+ * results page gets a resolved location rather than free text.
+ *
+ * Keyboard: Up/Down move through suggestions, Enter picks, Escape closes.
+ */
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 8;
+const SUGGESTION_DEBOUNCE_MS = 200;
+
+// Group order in the list, with how many of each to show
+const SUGGESTION_GROUPS = [
+    { kind: 'recent', label: 'Recent searches', icon: 'fa-history', limit: 5 },
+    { kind: 'popular', label: 'Popular searches', icon: 'fa-fire', limit: 5 },
+    { kind: 'category', label: 'Categories', icon: 'fa-th-large', limit: 3 },
+    { kind: 'city', label: 'Cities', icon: 'fa-city', limit: 3 },
+    { kind: 'venue', label: 'Venues', icon: 'fa-map-marker-alt', limit: 5 }
+];
+
+function matchesQuery(text, query) {
+    return !!text && text.toLowerCase().includes(query.toLowerCase());
+}
+
+// Place details return a google.maps.LatLng or a plain { lat, lng }
+function toLatLngFields(location) {
+    if (!location) return null;
+    return {
+        lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+        lng: typeof location.lng === 'function' ? location.lng() : location.lng
+    };
+}
+
+class SearchAutocomplete {
+    /**
+     * @param {Object} options
+     * @param {HTMLFormElement} options.form - Search form with place_id, lat, lng, category and searchType fields
+     * @param {HTMLInputElement} options.input - Query input
+     * @param {HTMLElement} options.list - Container the suggestions are drawn in
+     * @param {Function} [options.getProvider] - () => the page's MapProvider, or null before the map loads
+     * @param {Function} [options.getLocation] - () => { lat, lng } to prefer nearby results, or null
+     * @param {Array} [options.categories] - [{ id, label }] venue categories to suggest
+     * @param {Function} [options.selectCategory] - (id) applies a category the visitor picked
+     * @param {Function} [options.fetchPopular] - () => Promise of [{ term, count }]
+     * @param {Storage} [options.storage] - Where recent searches are kept (localStorage)
+     * @param {Function} [options.getUserKey] - () => key recent searches are kept under, per signed-in user
+     * @param {Function} [options.hasConsent] - () => whether recent searches may be stored
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options) {
+        this.form = options.form;
+        this.input = options.input;
+        this.list = options.list;
+        this.getProvider = options.getProvider || (() => null);
+        this.getLocation = options.getLocation || (() => null);
+        this.categories = options.categories || [];
+        this.selectCategory = options.selectCategory || (() => {});
+        this.fetchPopular = options.fetchPopular || (() => fetch('/popular-searches')
+            .then(response => response.json())
+            .then(data => data.searches || []));
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.getUserKey = options.getUserKey || (() => 'guest');
+        this.hasConsent = options.hasConsent || (() => true);
+        this.onEvent = options.onEvent || (() => {});
+
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.requestId = 0;
+        this.debounceTimer = null;
+        this.popular = [];
+        this.popularLoading = null;
+        // Query text the resolved place_id/lat/lng belong to
+        this.resolvedQuery = null;
+    }
+
+    attach() {
+        this.list.id = this.list.id || 'searchSuggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.input.addEventListener('input', () => {
+            if (this.resolvedQuery !== null && this.input.value !== this.resolvedQuery) this.clearResolved();
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.update(), SUGGESTION_DEBOUNCE_MS);
+        });
+        this.input.addEventListener('focus', () => {
+            this.loadPopular();
+            this.update();
+        });
+        this.input.addEventListener('blur', () => {
+            this.cancelPending();
+            this.close();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // mousedown keeps focus in the input, so blur doesn't close the list first
+        this.list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-suggestion-index]');
+            if (!item) return;
+            e.preventDefault();
+            this.select(parseInt(item.getAttribute('data-suggestion-index'), 10));
+        });
+
+        this.form.addEventListener('submit', () => this.recordSearch());
+    }
+
+    // --- Suggestions ------------------------------------------------------------
+
+    loadPopular() {
+        if (!this.popularLoading) {
+            this.popularLoading = this.fetchPopular()
+                .then(searches => {
+                    this.popular = searches;
+                    if (document.activeElement === this.input && !this.input.value.trim()) this.update();
+                })
+                .catch(error => {
+                    console.error("Error loading popular searches:", error);
+                });
+        }
+        return this.popularLoading;
+    }
+
+    async update() {
+        const query = this.input.value.trim();
+        const requestId = ++this.requestId;
+
+        const local = this.getLocalSuggestions(query);
+        this.show(local);
+
+        const provider = this.getProvider();
+        if (query.length < 2 || !provider) return;
+
+        let places;
+        try {
+            places = await provider.autocomplete(query, { location: this.getLocation() });
+        } catch (error) {
+            console.error("Autocomplete failed:", error);
+            return;
+        }
+        // A newer keystroke has already redrawn the list
+        if (requestId !== this.requestId || document.activeElement !== this.input) return;
+
+        this.show([...local, ...places]);
+    }
+
+    // Recent, popular and category suggestions need no network
+    getLocalSuggestions(query) {
+        const recent = this.getRecentSearches()
+            .filter(entry => !query || matchesQuery(entry.query, query))
+            .map(entry => ({ ...entry, kind: 'recent', name: entry.query, description: entry.description || '' }));
+
+        const seen = new Set(recent.map(entry => entry.name.toLowerCase()));
+        const popular = this.popular
+            .filter(entry => !seen.has(entry.term.toLowerCase()) && (!query || matchesQuery(entry.term, query)))
+            .map(entry => ({ kind: 'popular', name: entry.term, query: entry.term, description: '' }));
+
+        const categories = query
+            ? this.categories
+                .filter(category => matchesQuery(category.label, query) || matchesQuery(category.id, query))
+                .map(category => ({ kind: 'category', name: category.label, query: category.label, category: category.id, description: 'Category' }))
+            : [];
+
+        return [...recent, ...popular, ...categories];
+    }
+
+    // Orders by group and trims each group to its limit
+    show(suggestions) {
+        this.suggestions = SUGGESTION_GROUPS.flatMap(group =>
+            suggestions.filter(suggestion => suggestion.kind === group.kind).slice(0, group.limit));
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    render() {
+        this.list.textContent = '';
+        this.input.removeAttribute('aria-activedescendant');
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        let currentKind = null;
+        this.suggestions.forEach((suggestion, index) => {
+            const group = SUGGESTION_GROUPS.find(g => g.kind === suggestion.kind);
+            if (suggestion.kind !== currentKind) {
+                currentKind = suggestion.kind;
+                const heading = document.createElement('div');
+                heading.className = 'suggestion-group';
+                heading.setAttribute('role', 'presentation');
+                heading.textContent = group.label;
+                this.list.appendChild(heading);
+            }
+
+            const item = document.createElement('div');
+            item.className = 'suggestion-item';
+            item.id = `${this.list.id}-option-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.setAttribute('data-suggestion-index', index);
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${group.icon}`;
+            const name = document.createElement('span');
+            name.className = 'suggestion-name';
+            name.textContent = suggestion.name;
+            item.append(icon, ' ', name);
+            if (suggestion.description) {
+                const detail = document.createElement('span');
+                detail.className = 'suggestion-detail';
+                detail.textContent = suggestion.description;
+                item.append(' ', detail);
+            }
+            this.list.appendChild(item);
+        });
+
+        this.list.style.display = 'block';
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    isOpen() {
+        return this.list.style.display === 'block';
+    }
+
+    // Drops a queued update and any autocomplete request still in flight
+    cancelPending() {
+        clearTimeout(this.debounceTimer);
+        this.requestId++;
+    }
+
+    close() {
+        this.list.style.display = 'none';
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+
+    handleKeydown(e) {
+        if (!this.isOpen()) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.update();
+            }
+            return;
+        }
+
+        const count = this.suggestions.length;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            this.select(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.cancelPending();
+            this.close();
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-suggestion-index]').forEach(item => {
+            const active = parseInt(item.getAttribute('data-suggestion-index'), 10) === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // --- Selection --------------------------------------------------------------
+
+    async select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+        this.cancelPending();
+        this.close();
+
+        this.input.value = suggestion.query || suggestion.name;
+        if (suggestion.category) this.selectCategory(suggestion.category);
+
+        let location = suggestion.location || null;
+        if (!location && suggestion.placeId) location = await this.resolvePlace(suggestion.placeId);
+
+        // Recent searches replay what they resolved to the first time
+        const searchType = suggestion.kind === 'recent' ? (suggestion.searchType || 'recent') : suggestion.kind;
+        this.setResolved({ placeId: suggestion.placeId || '', location, searchType });
+
+        this.onEvent('search_suggestion_selected', {
+            suggestionType: suggestion.kind,
+            position: index,
+            queryLength: this.input.value.length
+        });
+
+        if (typeof this.form.requestSubmit === 'function') {
+            this.form.requestSubmit();
+        } else {
+            this.recordSearch();
+            this.form.submit();
+        }
+    }
+
+    async resolvePlace(placeId) {
+        const provider = this.getProvider();
+        if (!provider) return null;
+        try {
+            const place = await provider.getPlaceDetails(placeId, ['geometry', 'name']);
+            return place && place.geometry ? toLatLngFields(place.geometry.location) : null;
+        } catch (error) {
+            console.error("Couldn't resolve the selected place:", error);
+            return null;
+        }
+    }
+
+    setResolved({ placeId, location, searchType }) {
+        const fields = this.form.elements;
+        fields.place_id.value = placeId;
+        if (location) {
+            fields.lat.value = location.lat;
+            fields.lng.value = location.lng;
+        }
+        if (fields.searchType) fields.searchType.value = searchType;
+        this.resolvedQuery = this.input.value;
+    }
+
+    // Typing over a picked suggestion goes back to a plain search from the visitor's location
+    clearResolved() {
+        const fields = this.form.elements;
+        fields.place_id.value = '';
+        if (fields.searchType) fields.searchType.value = '';
+        const location = this.getLocation();
+        fields.lat.value = location ? location.lat : '';
+        fields.lng.value = location ? location.lng : '';
+        this.resolvedQuery = null;
+    }
+
+    // --- Recent searches --------------------------------------------------------
+
+    getRecentKey() {
+        return `${RECENT_SEARCHES_KEY}:${this.getUserKey()}`;
+    }
+
+    getRecentSearches() {
+        if (!this.storage || !this.hasConsent()) return [];
+        try {
+            return JSON.parse(this.storage.getItem(this.getRecentKey())) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSearch() {
+        const query = this.input.value.trim();
+        if (!query || !this.storage || !this.hasConsent()) return;
+
+        const fields = this.form.elements;
+        const resolved = this.resolvedQuery === this.input.value;
+        const entry = {
+            query,
+            searchType: resolved && fields.searchType ? fields.searchType.value : 'text',
+            placeId: resolved ? fields.place_id.value || null : null,
+            location: resolved && fields.lat.value
+                ? { lat: parseFloat(fields.lat.value), lng: parseFloat(fields.lng.value) }
+                : null,
+            category: fields.category ? fields.category.value || null : null,
+            searchedAt: new Date().toISOString()
+        };
+
+        const recent = this.getRecentSearches().filter(item => item.query.toLowerCase() !== query.toLowerCase());
+        recent.unshift(entry);
+        try {
+            this.storage.setItem(this.getRecentKey(), JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+        } catch (error) {
+            console.error("Error saving recent search:", error);
+        }
+    }
+
+    clearRecentSearches() {
+        if (this.storage) this.storage.removeItem(this.getRecentKey());
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchAutocomplete, SUGGESTION_GROUPS, MAX_RECENT_SEARCHES };
+}
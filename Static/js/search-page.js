@@ -0,0 +1,743 @@
+/**
+ * Search Page
+ * Runs the search on the /mw results page from its URL parameters (the names
+ * searchForm submits) and keeps the URL in step with what is shown, so a
+ * copied link restores the same query, filters, sort and selected venue.
+ * Active filters show as chips that can be edited or removed in place, and an
+ * empty result offers ways to widen the search.
+ *
+ * URL parameters:
+ *   query, category, rating, radius (miles), amenities (comma separated),
+ *   hours (open_now, open_24_hours or open_at), open_at (HH:MM on the venues' clock),
+ *   lat, lng, near (name of that spot), place_id, searchType, sort, selected
+ */
+
+// Same choices as the filters on the home page's search form
+const SEARCH_CATEGORY_LABELS = {
+    casino: 'Casinos',
+    poker: 'Poker Rooms',
+    bingo: 'Bingo Halls',
+    sports_book: 'Sports Books',
+    arcade: 'Arcades',
+    entertainment: 'Shows & Events'
+};
+const SEARCH_AMENITY_LABELS = {
+    restaurant: 'Restaurant',
+    bar: 'Bar',
+    hotel: 'Hotel',
+    pool: 'Pool',
+    entertainment: 'Live Entertainment',
+    parking: 'Free Parking',
+    wheelchair: 'Accessible'
+};
+const SEARCH_HOURS_LABELS = {
+    open_now: 'Open now',
+    open_24_hours: 'Open 24 hours',
+    open_at: 'Open at'
+};
+// Offered when editing the hours chip; links can carry any time
+const SEARCH_OPEN_AT_OPTIONS = ['18:00', '20:00', '22:00', '00:00', '02:00', '04:00'];
+const SEARCH_RATING_OPTIONS = [3, 4, 4.5];
+const SEARCH_RADIUS_OPTIONS = [5, 10, 25, 50];
+
+// Places nearby search accepts at most 50 km
+const SEARCH_DEFAULT_RADIUS = 10000;
+const SEARCH_MAX_RADIUS = 50000;
+const SEARCH_MILES_TO_METERS = 1609.34;
+
+// Suggestion kinds whose query text names a place rather than filtering venues
+const PLACE_SEARCH_TYPES = ['venue', 'city'];
+
+function resolveVenueResultsModule() {
+    if (typeof VenueResults !== 'undefined') {
+        return { VenueResults, VENUE_TYPE_SEARCHES, VENUE_MARKER_STYLES };
+    }
+    return require('./venue-results.js');
+}
+
+function resolveVenueHoursModule() {
+    if (typeof VenueHoursCache !== 'undefined') {
+        return {
+            VenueHoursCache, HOURS_DETAIL_FIELDS, toVenueHours, getHoursStatus, describeHoursStatus,
+            matchesHoursFilter, parseTimeOfDay, formatTimeOfDay
+        };
+    }
+    return require('./venue-hours.js');
+}
+
+function parseSearchParams(search) {
+    const params = new URLSearchParams(search);
+    const number = name => {
+        const value = parseFloat(params.get(name));
+        return isNaN(value) ? null : value;
+    };
+    const category = params.get('category') || '';
+    const { parseTimeOfDay } = resolveVenueHoursModule();
+    const openAt = parseTimeOfDay(params.get('open_at')) !== null ? params.get('open_at').trim() : '';
+    // "Open at" needs its time
+    let hours = SEARCH_HOURS_LABELS[params.get('hours')] ? params.get('hours') : '';
+    if (hours === 'open_at' && !openAt) hours = '';
+    const lat = number('lat');
+    const lng = number('lng');
+
+    return {
+        query: (params.get('query') || '').trim(),
+        category: SEARCH_CATEGORY_LABELS[category] ? category : '',
+        rating: number('rating') || 0,
+        radius: number('radius'),
+        amenities: (params.get('amenities') || '').split(',').filter(amenity => SEARCH_AMENITY_LABELS[amenity]),
+        hours,
+        openAt: hours === 'open_at' ? openAt : '',
+        lat: lat !== null && lng !== null ? lat : null,
+        lng: lat !== null && lng !== null ? lng : null,
+        near: params.get('near') || '',
+        placeId: params.get('place_id') || '',
+        searchType: params.get('searchType') || '',
+        sort: params.get('sort') || '',
+        selected: params.get('selected') || ''
+    };
+}
+
+// Only set values make it into the URL, so links stay short
+function buildSearchParams(state) {
+    const params = new URLSearchParams();
+    const set = (name, value) => {
+        if (value !== null && value !== undefined && value !== '' && value !== 0) params.set(name, value);
+    };
+    set('query', state.query);
+    set('category', state.category);
+    set('rating', state.rating);
+    set('radius', state.radius);
+    set('amenities', state.amenities.join(','));
+    set('hours', state.hours);
+    set('open_at', state.openAt);
+    set('lat', state.lat);
+    set('lng', state.lng);
+    set('near', state.near);
+    set('place_id', state.placeId);
+    set('searchType', state.searchType);
+    set('sort', state.sort);
+    set('selected', state.selected);
+    return params.toString();
+}
+
+// The visitor's own search words; a picked venue or city is where to search, not a filter
+function getTextQuery(state) {
+    if (PLACE_SEARCH_TYPES.includes(state.searchType)) return '';
+    if (state.category && state.query === SEARCH_CATEGORY_LABELS[state.category]) return '';
+    return state.query;
+}
+
+function getSearchRadius(state) {
+    return state.radius
+        ? Math.min(state.radius * SEARCH_MILES_TO_METERS, SEARCH_MAX_RADIUS)
+        : SEARCH_DEFAULT_RADIUS;
+}
+
+function describeHoursFilter(state) {
+    if (state.hours !== 'open_at') return SEARCH_HOURS_LABELS[state.hours];
+    const { parseTimeOfDay, formatTimeOfDay } = resolveVenueHoursModule();
+    return `${SEARCH_HOURS_LABELS.open_at} ${formatTimeOfDay(parseTimeOfDay(state.openAt))}`;
+}
+
+/**
+ * Chips for the active filters: [{ key, value, label }]. Amenity chips carry
+ * their amenity as the value, the hours chip "open_at:HH:MM" for a time; the
+ * location chip is only shown for a place other than the visitor's own location.
+ */
+function describeSearchFilters(state) {
+    const filters = [];
+    const text = getTextQuery(state);
+    const place = state.near || (PLACE_SEARCH_TYPES.includes(state.searchType) ? state.query : '');
+
+    if (text) filters.push({ key: 'query', value: text, label: `"${text}"` });
+    if (place || state.placeId) filters.push({ key: 'location', value: place, label: `Near ${place || 'selected place'}` });
+    if (state.category) filters.push({ key: 'category', value: state.category, label: SEARCH_CATEGORY_LABELS[state.category] });
+    if (state.rating) filters.push({ key: 'rating', value: state.rating, label: `${state.rating}★ & up` });
+    if (state.radius) filters.push({ key: 'radius', value: state.radius, label: `Within ${state.radius} miles` });
+    state.amenities.forEach(amenity => {
+        filters.push({ key: 'amenities', value: amenity, label: SEARCH_AMENITY_LABELS[amenity] });
+    });
+    if (state.hours) {
+        const value = state.hours === 'open_at' ? `open_at:${state.openAt}` : state.hours;
+        filters.push({ key: 'hours', value, label: describeHoursFilter(state) });
+    }
+    return filters;
+}
+
+// State changes that remove one chip
+function removeSearchFilter(state, filter) {
+    switch (filter.key) {
+        case 'query':
+            return { query: '', searchType: '' };
+        case 'location':
+            return {
+                lat: null, lng: null, near: '', placeId: '', selected: '',
+                ...(PLACE_SEARCH_TYPES.includes(state.searchType) ? { query: '', searchType: '' } : {})
+            };
+        case 'category':
+            return { category: '' };
+        case 'rating':
+            return { rating: 0 };
+        case 'radius':
+            return { radius: null };
+        case 'amenities':
+            return { amenities: state.amenities.filter(amenity => amenity !== filter.value) };
+        case 'hours':
+            return { hours: '', openAt: '' };
+        default:
+            return {};
+    }
+}
+
+// Ways to widen a search that found nothing, most restrictive filter first
+function suggestAlternatives(state) {
+    const suggestions = [];
+    const text = getTextQuery(state);
+    if (state.hours) suggestions.push({ label: 'Show venues whatever their hours', changes: { hours: '', openAt: '' } });
+    if (state.rating) suggestions.push({ label: 'Show venues of any rating', changes: { rating: 0 } });
+    if (state.amenities.length) suggestions.push({ label: 'Drop the amenity filters', changes: { amenities: [] } });
+    if (state.category) suggestions.push({ label: 'Show every kind of venue', changes: { category: '' } });
+    if (text) suggestions.push({ label: `Search without "${text}"`, changes: { query: '', searchType: '' } });
+    if (!state.radius || state.radius < 50) suggestions.push({ label: 'Search within 50 miles', changes: { radius: 50 } });
+    return suggestions;
+}
+
+class SearchPage {
+    /**
+     * @param {Object} options
+     * @param {MapProvider} options.provider - Map provider whose map is already created
+     * @param {HTMLElement} options.listElement - Results list
+     * @param {HTMLElement} [options.countElement] - "Showing x of y venues"
+     * @param {HTMLSelectElement} [options.sortElement] - Sort selector
+     * @param {HTMLElement} [options.loadMoreButton]
+     * @param {HTMLElement} options.chipsElement - Where the filter chips are drawn
+     * @param {HTMLElement} [options.titleElement] - Heading describing the search
+     * @param {HTMLElement} options.noResultsElement - Suggestions shown when nothing was found
+     * @param {LocationService} [options.locationService] - Origin when the link has no location
+     * @param {Function} [options.fetchPopular] - () => Promise of [{ term, count }]
+     * @param {Function} [options.onStateChange] - Called with the state whenever it changes, e.g. to fill the search box
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options) {
+        const { VenueResults: Results } = resolveVenueResultsModule();
+
+        this.provider = options.provider;
+        this.chipsElement = options.chipsElement;
+        this.titleElement = options.titleElement || null;
+        this.noResultsElement = options.noResultsElement;
+        this.locationService = options.locationService || null;
+        this.fetchPopular = options.fetchPopular || (() => fetch('/popular-searches')
+            .then(response => response.json())
+            .then(data => data.searches || []));
+        this.onStateChange = options.onStateChange || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+
+        this.state = parseSearchParams('');
+        this.origin = null;
+        this.originMarker = null;
+        this.searchedRadius = 0;
+        this.runId = 0;
+        this.popular = null;
+
+        const { VenueHoursCache: HoursCache, HOURS_DETAIL_FIELDS: hoursFields } = resolveVenueHoursModule();
+        this.hoursCache = new HoursCache({
+            fetchHours: placeId => this.provider.getPlaceDetails(placeId, hoursFields)
+        });
+
+        this.results = new Results({
+            listElement: options.listElement,
+            countElement: options.countElement,
+            sortElement: options.sortElement,
+            loadMoreButton: options.loadMoreButton,
+            showPhotos: true,
+            createMarker: venue => this.createMarker(venue),
+            fetchDetails: placeId => this.provider.getPlaceDetails(placeId, ['wheelchair_accessible_entrance', 'types']),
+            hoursCache: this.hoursCache,
+            onSelect: venue => this.selectVenue(venue, 'result_list_click'),
+            onMarkersChange: markers => this.provider.setClusteredMarkers(markers)
+        });
+
+        if (options.sortElement) {
+            options.sortElement.addEventListener('change', () => {
+                this.setState({ sort: options.sortElement.value });
+            });
+        }
+    }
+
+    start() {
+        this.state = parseSearchParams(window.location.search);
+        // Back/forward restore the view the URL describes
+        window.addEventListener('popstate', () => {
+            this.state = parseSearchParams(window.location.search);
+            this.onStateChange(this.state);
+            this.run();
+        });
+        this.onStateChange(this.state);
+        this.run();
+    }
+
+    /**
+     * Applies changes, records them in the URL and history, and searches again
+     * only when the change needs new venues; the rest just re-filters.
+     */
+    setState(changes, options = {}) {
+        const previous = this.state;
+        this.state = { ...previous, ...changes };
+
+        const url = `${window.location.pathname}?${buildSearchParams(this.state)}`;
+        if (options.replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+        this.onStateChange(this.state);
+        if (options.replace) return;
+
+        const searchChanged = ['query', 'category', 'lat', 'lng', 'placeId', 'searchType']
+            .some(key => previous[key] !== this.state[key]);
+        if (searchChanged || getSearchRadius(this.state) > this.searchedRadius) {
+            this.onEvent('search', {
+                query: this.state.query,
+                category: this.state.category,
+                searchType: 'refined'
+            });
+            this.run();
+        } else {
+            this.applyFilters();
+            this.renderChips();
+        }
+    }
+
+    applyFilters() {
+        this.results.setFilters({
+            minRating: this.state.rating,
+            amenities: this.state.amenities,
+            radiusMiles: this.state.radius,
+            venueType: 'all',
+            hours: this.state.hours || null,
+            openAt: this.state.openAt || null
+        });
+        if (this.state.sort) this.results.setSort(this.state.sort);
+    }
+
+    // --- Searching --------------------------------------------------------------
+
+    async run() {
+        const runId = ++this.runId;
+        const { VENUE_TYPE_SEARCHES: searches } = resolveVenueResultsModule();
+
+        this.renderChips();
+        this.noResultsElement.style.display = 'none';
+
+        const origin = await this.resolveOrigin();
+        if (runId !== this.runId) return;
+        this.origin = origin;
+        this.renderTitle();
+        this.showOrigin(origin);
+
+        const radius = getSearchRadius(this.state);
+        this.searchedRadius = radius;
+        this.results.reset(origin.position);
+        this.applyFilters();
+
+        const types = this.state.category
+            ? searches.filter(search => search.type === this.state.category)
+            : searches;
+        const query = getTextQuery(this.state);
+        const answered = new Set();
+
+        types.forEach(search => {
+            this.provider.nearbySearch({
+                location: origin.position,
+                radius,
+                keyword: search.keyword,
+                venueType: search.type,
+                query
+            }, (places, pagination, error) => {
+                if (runId !== this.runId) return;
+
+                if (error) {
+                    console.warn(`Venue search for ${search.type} failed:`, error);
+                } else {
+                    this.results.addResults(places, search.type, pagination);
+                }
+
+                answered.add(search.type);
+                if (answered.size === types.length) this.finish(runId);
+            });
+        });
+    }
+
+    // Where to search: the link's coordinates, its place, else the visitor's location
+    async resolveOrigin() {
+        const { lat, lng, placeId, near, query, searchType } = this.state;
+        const placeName = near || (PLACE_SEARCH_TYPES.includes(searchType) ? query : '');
+
+        if (lat !== null) {
+            return { position: { lat, lng }, name: placeName || 'this area', placeId };
+        }
+
+        if (placeId) {
+            try {
+                const place = await this.provider.getPlaceDetails(placeId, ['geometry', 'name']);
+                if (place && place.geometry) {
+                    const location = place.geometry.location;
+                    return {
+                        position: {
+                            lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+                            lng: typeof location.lng === 'function' ? location.lng() : location.lng
+                        },
+                        name: placeName || place.name,
+                        placeId
+                    };
+                }
+            } catch (error) {
+                console.error("Couldn't look up the searched place:", error);
+            }
+        }
+
+        if (this.locationService) {
+            const location = await this.locationService.resolve();
+            return {
+                position: { lat: location.lat, lng: location.lng },
+                name: location.source === 'gps' ? 'your location' : describeLocation(location),
+                placeId: null
+            };
+        }
+        return { position: { lat: 36.1699, lng: -115.1398 }, name: 'Las Vegas', placeId: null };
+    }
+
+    showOrigin(origin) {
+        this.provider.setView(origin.position, this.state.searchType === 'venue' ? 15 : 12);
+        if (this.originMarker) this.originMarker.remove();
+        this.originMarker = this.provider.addMarker({
+            position: origin.position,
+            title: `Searching near ${origin.name}`,
+            style: { fillColor: '#cccccc', fillOpacity: 0.7, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 10 }
+        });
+    }
+
+    async finish(runId) {
+        // A venue picked from the suggestions is shown even if no type search found it
+        if (this.state.searchType === 'venue' && this.origin.placeId && !this.results.getVenue(this.origin.placeId)) {
+            const place = await this.provider.getPlaceDetails(this.origin.placeId).catch(() => null);
+            if (runId !== this.runId) return;
+            if (place) this.results.addResults([{ ...place, place_id: this.origin.placeId }], this.state.category || 'casino');
+        }
+
+        this.results.setSearching(false);
+
+        const selected = this.state.selected || (this.state.searchType === 'venue' ? this.origin.placeId : '');
+        const venue = selected ? this.results.getVenue(selected) : null;
+        if (venue) this.focusVenue(venue);
+
+        const found = this.results.getFilteredVenues().length;
+        this.onEvent('search_results', {
+            query: this.state.query,
+            category: this.state.category,
+            searchType: this.state.searchType || 'text',
+            resultCount: found
+        });
+        if (found === 0) this.showNoResults();
+    }
+
+    // --- Venues -----------------------------------------------------------------
+
+    createMarker(venue) {
+        const { VENUE_MARKER_STYLES: styles } = resolveVenueResultsModule();
+        const marker = this.provider.addMarker({
+            position: venue.geometry.location,
+            title: venue.name,
+            style: styles[venue.venueType] || styles.casino,
+            clustered: true,
+            onClick: () => {
+                this.results.highlight(venue.place_id);
+                this.selectVenue(venue, 'map_marker_click', false);
+            }
+        });
+        return marker;
+    }
+
+    // Remembers the venue in the URL and opens its marker
+    selectVenue(venue, interactionType, focus = true) {
+        this.setState({ selected: venue.place_id }, { replace: true });
+        if (focus) {
+            this.focusVenue(venue);
+        } else {
+            this.openVenueInfo(venue);
+        }
+        this.onEvent('venue_interaction', {
+            venueName: venue.name,
+            venueId: venue.place_id,
+            interactionType
+        });
+    }
+
+    focusVenue(venue) {
+        this.results.highlight(venue.place_id);
+        this.provider.setView(venue.geometry.location, 15);
+        const marker = this.results.getMarker(venue.place_id);
+        if (marker) this.provider.revealMarker(marker, () => this.openVenueInfo(venue));
+    }
+
+    openVenueInfo(venue) {
+        const marker = this.results.getMarker(venue.place_id);
+        if (!marker) return;
+
+        const address = venue.formatted_address || venue.vicinity || '';
+        const hours = this.results.describeHours(venue);
+        let directions = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(address || venue.name)}`;
+        if (this.provider.name === 'google') directions += `&destination_place_id=${encodeURIComponent(venue.place_id)}`;
+
+        this.provider.openInfoWindow(marker, `
+            <div class="search-info-window">
+                <h3>${escapeHtml(venue.name)}</h3>
+                <div>${escapeHtml(address)}</div>
+                <div>Rating: ${venue.rating ? `${escapeHtml(venue.rating)}/5` : 'N/A'}</div>
+                ${hours ? `<div class="venue-result-hours ${hours.state}">${escapeHtml(hours.label)}</div>` : ''}
+                <a href="${escapeHtml(directions)}" target="_blank" rel="noopener">Get Directions</a>
+            </div>
+        `);
+    }
+
+    // --- Chips ------------------------------------------------------------------
+
+    renderTitle() {
+        if (!this.titleElement) return;
+        const text = getTextQuery(this.state);
+        const what = text ? `"${text}"` : (SEARCH_CATEGORY_LABELS[this.state.category] || 'Venues');
+        this.titleElement.textContent = `${what} near ${this.origin ? this.origin.name : '...'}`;
+    }
+
+    renderChips() {
+        this.chipsElement.textContent = '';
+
+        describeSearchFilters(this.state).forEach(filter => {
+            const chip = document.createElement('span');
+            chip.className = 'filter-chip';
+
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'filter-chip-label';
+            label.textContent = filter.label;
+            label.title = 'Edit this filter';
+            label.addEventListener('click', () => this.editChip(chip, filter));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'filter-chip-remove';
+            remove.setAttribute('aria-label', `Remove ${filter.label}`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => this.setState(removeSearchFilter(this.state, filter)));
+
+            chip.append(label, remove);
+            this.chipsElement.appendChild(chip);
+        });
+
+        this.chipsElement.appendChild(this.buildAddFilter());
+    }
+
+    // "Add filter" lists the filters that aren't set yet
+    buildAddFilter() {
+        const select = document.createElement('select');
+        select.className = 'filter-chip-add';
+        const available = [
+            ['', '+ Add filter'],
+            ...(!getTextQuery(this.state) ? [['query', 'Keyword']] : []),
+            ...(!this.state.category ? [['category', 'Venue type']] : []),
+            ...(!this.state.rating ? [['rating', 'Minimum rating']] : []),
+            ...(!this.state.radius ? [['radius', 'Distance']] : []),
+            ...(this.state.amenities.length < Object.keys(SEARCH_AMENITY_LABELS).length ? [['amenities', 'Amenity']] : []),
+            ...(!this.state.hours ? [['hours', 'Opening hours']] : []),
+            ['location', 'Location']
+        ];
+        available.forEach(([value, text]) => select.add(new Option(text, value)));
+
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            const chip = document.createElement('span');
+            chip.className = 'filter-chip';
+            this.chipsElement.insertBefore(chip, select);
+            this.editChip(chip, { key: select.value, value: null, label: '' });
+            select.value = '';
+        });
+        return select;
+    }
+
+    // Swaps a chip for the control that edits it; leaving the control unchanged puts the chip back
+    editChip(chip, filter) {
+        let control;
+        if (filter.key === 'query' || filter.key === 'location') {
+            control = document.createElement('input');
+            control.type = 'text';
+            control.value = filter.value || '';
+            control.placeholder = filter.key === 'query' ? 'Keyword' : 'City';
+            control.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.commitChip(filter, control.value, chip);
+                } else if (e.key === 'Escape') {
+                    this.renderChips();
+                }
+            });
+        } else {
+            control = document.createElement('select');
+            this.getChipOptions(filter).forEach(([value, text]) => control.add(new Option(text, value)));
+            control.value = filter.value === null ? '' : String(filter.value);
+            control.addEventListener('change', () => this.commitChip(filter, control.value, chip));
+        }
+
+        control.className = 'filter-chip-editor';
+        control.addEventListener('blur', () => {
+            if (chip.isConnected && !chip.classList.contains('filter-chip-busy')) this.renderChips();
+        });
+        chip.textContent = '';
+        chip.appendChild(control);
+        control.focus();
+    }
+
+    getChipOptions(filter) {
+        const pick = [['', 'Choose...']];
+        switch (filter.key) {
+            case 'category':
+                return [...pick, ...Object.entries(SEARCH_CATEGORY_LABELS)];
+            case 'rating':
+                return [...pick, ...SEARCH_RATING_OPTIONS.map(rating => [String(rating), `${rating}★ & up`])];
+            case 'radius':
+                return [...pick, ...SEARCH_RADIUS_OPTIONS.map(radius => [String(radius), `Within ${radius} miles`])];
+            case 'amenities':
+                return [...pick, ...Object.entries(SEARCH_AMENITY_LABELS)
+                    .filter(([amenity]) => amenity === filter.value || !this.state.amenities.includes(amenity))];
+            case 'hours': {
+                // The link's own time stays on offer even if it isn't one of the usual ones
+                const times = this.state.openAt && !SEARCH_OPEN_AT_OPTIONS.includes(this.state.openAt)
+                    ? [...SEARCH_OPEN_AT_OPTIONS, this.state.openAt]
+                    : SEARCH_OPEN_AT_OPTIONS;
+                return [
+                    ...pick,
+                    ['open_now', SEARCH_HOURS_LABELS.open_now],
+                    ['open_24_hours', SEARCH_HOURS_LABELS.open_24_hours],
+                    ...times.map(time => [`open_at:${time}`, describeHoursFilter({ hours: 'open_at', openAt: time })])
+                ];
+            }
+            default:
+                return pick;
+        }
+    }
+
+    async commitChip(filter, value, chip) {
+        value = String(value).trim();
+        if (!value) {
+            this.renderChips();
+            return;
+        }
+
+        switch (filter.key) {
+            case 'query':
+                this.setState({ query: value, searchType: '' });
+                break;
+            case 'category':
+                this.setState({ category: value });
+                break;
+            case 'rating':
+                this.setState({ rating: parseFloat(value) });
+                break;
+            case 'radius':
+                this.setState({ radius: parseFloat(value) });
+                break;
+            case 'amenities': {
+                const amenities = this.state.amenities.filter(amenity => amenity !== filter.value && amenity !== value);
+                this.setState({ amenities: [...amenities, value] });
+                break;
+            }
+            case 'hours': {
+                const openAt = value.startsWith('open_at:') ? value.slice('open_at:'.length) : '';
+                this.setState({ hours: openAt ? 'open_at' : value, openAt });
+                break;
+            }
+            case 'location': {
+                chip.classList.add('filter-chip-busy');
+                const city = this.locationService ? await this.locationService.findCity(value) : null;
+                chip.classList.remove('filter-chip-busy');
+                if (!city) {
+                    chip.title = `Couldn't find "${value}"`;
+                    chip.classList.add('filter-chip-error');
+                    return;
+                }
+                this.setState({
+                    lat: city.lat,
+                    lng: city.lng,
+                    near: city.city,
+                    placeId: '',
+                    selected: '',
+                    ...(PLACE_SEARCH_TYPES.includes(this.state.searchType) ? { query: '', searchType: '' } : {})
+                });
+                break;
+            }
+        }
+    }
+
+    // --- No results -------------------------------------------------------------
+
+    async showNoResults() {
+        const element = this.noResultsElement;
+        element.textContent = '';
+
+        const heading = document.createElement('p');
+        heading.textContent = `Nothing matched near ${this.origin.name}. Try one of these:`;
+        element.appendChild(heading);
+
+        const list = document.createElement('div');
+        list.className = 'no-results-suggestions';
+        const addSuggestion = (label, changes) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', () => this.setState(changes));
+            list.appendChild(button);
+        };
+        suggestAlternatives(this.state).forEach(({ label, changes }) => addSuggestion(label, changes));
+        element.appendChild(list);
+        element.style.display = 'block';
+
+        // Searches other visitors had luck with
+        if (!this.popular) {
+            this.popular = await this.fetchPopular().catch(() => []);
+        }
+        const current = getTextQuery(this.state).toLowerCase();
+        const popular = this.popular.filter(entry => entry.term.toLowerCase() !== current).slice(0, 5);
+        if (popular.length === 0 || !element.isConnected || element.style.display === 'none') return;
+
+        const popularHeading = document.createElement('p');
+        popularHeading.textContent = 'Popular searches:';
+        element.appendChild(popularHeading);
+        const popularList = document.createElement('div');
+        popularList.className = 'no-results-suggestions';
+        popular.forEach(entry => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = entry.term;
+            button.addEventListener('click', () => this.setState({ query: entry.term, searchType: 'popular', category: '' }));
+            popularList.appendChild(button);
+        });
+        element.appendChild(popularList);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    // Pages load escapeHtml() globally from event-schema.js; a var makes the
+    // required one visible to the whole file in the same way
+    var { escapeHtml } = require('./event-schema.js');
+
+    module.exports = {
+        SearchPage,
+        parseSearchParams,
+        buildSearchParams,
+        describeSearchFilters,
+        removeSearchFilter,
+        suggestAlternatives,
+        getTextQuery
+    };
+}
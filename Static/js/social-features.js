@@ -0,0 +1,1010 @@
+/**
+ * Social Feed
+ * The "Explore Content" posts feed: cursor-paginated with infinite scroll,
+ * kept live with Firestore snapshot listeners, with likes, threaded comments
+ * and author-only edit/delete.
+ *
+ * Data layout:
+ *   posts/{postId}                     authorId, authorName, text, media, videoUrl, venue {placeId, name},
+ *                                      timestamp, editedAt, likeCount, commentCount
+ *
+ * media is the record MediaUploader.upload() resolves to ({type, url, path,
+ * posterUrl, ...}); videoUrl is kept for video posts so older clients still
+ * play them.
+ *   posts/{postId}/likes/{uid}         one doc per member who liked the post
+ *   posts/{postId}/comments/{id}       authorId, authorName, text, parentId, timestamp, deleted
+ *
+ * The author checks here only decide which controls are shown; Firestore
+ * security rules must enforce that only authors update or delete their posts.
+ */
+
+// Also Firestore's limit for 'in' queries, so one listener covers a whole page
+const FEED_PAGE_SIZE = 10;
+const MAX_POST_LENGTH = 280;
+
+// Members who never set a display name are shown by their email's local part
+function getDisplayName(user) {
+    if (!user) return 'Anonymous';
+    if (user.displayName) return user.displayName;
+    if (user.email) return user.email.split('@')[0];
+    return 'Member';
+}
+
+function toMillis(timestamp) {
+    if (!timestamp) return null;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function formatPostTime(timestamp) {
+    const time = toMillis(timestamp);
+    if (time === null) return 'just now';
+
+    const seconds = Math.floor((Date.now() - time) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return new Date(time).toLocaleDateString();
+}
+
+// Arranges flat comments into a tree using parentId, oldest first at each level
+function buildCommentTree(comments) {
+    const byParent = new Map();
+    comments.forEach(comment => {
+        const parentId = comment.parentId || null;
+        if (!byParent.has(parentId)) byParent.set(parentId, []);
+        byParent.get(parentId).push(comment);
+    });
+
+    const attach = parentId => (byParent.get(parentId) || [])
+        .sort((a, b) => (toMillis(a.timestamp) || Infinity) - (toMillis(b.timestamp) || Infinity))
+        .map(comment => ({ ...comment, replies: attach(comment.id) }));
+
+    return attach(null);
+}
+
+function resolveMediaUploader() {
+    if (typeof MediaUploader !== 'undefined') return MediaUploader;
+    if (typeof require === 'function') return require('./media-upload.js').MediaUploader;
+    return null;
+}
+
+// Legacy posts only have a videoUrl
+function getPostMedia(post) {
+    if (post.media && post.media.url) return post.media;
+    return post.videoUrl ? { type: 'video', url: post.videoUrl } : null;
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+class SocialFeed {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element the posts are rendered into
+     * @param {HTMLTextAreaElement} [options.textInput] - Post composer text box
+     * @param {HTMLInputElement} [options.mediaInput] - Post composer photo/video input
+     * @param {HTMLElement} [options.mediaPreview] - Shows the chosen file's thumbnail or why it was rejected
+     * @param {HTMLElement} [options.uploadProgress] - Shows upload progress with pause and cancel
+     * @param {HTMLElement} [options.submitButton] - Publishes the composed post
+     * @param {HTMLElement} [options.composerNotice] - Shows why posting is unavailable
+     * @param {HTMLSelectElement} [options.venueSelect] - Optional venue tag for new posts
+     * @param {Function} [options.getVenueOptions] - () => venues offered in venueSelect
+     * @param {Function} [options.onVenueClick] - Called with a post's venue tag when it is clicked
+     * @param {number} [options.pageSize=10] - Posts per page, at most 10
+     * @param {number} [options.adInterval=5] - An ad follows every this many posts
+     * @param {Function} [options.createAdElement] - (slotIndex) => element shown between posts
+     * @param {MediaUploader} [options.mediaUploader] - Validates and uploads post media
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.textInput = options.textInput || null;
+        this.mediaInput = options.mediaInput || null;
+        this.mediaPreview = options.mediaPreview || null;
+        this.uploadProgress = options.uploadProgress || null;
+        this.submitButton = options.submitButton || null;
+        this.composerNotice = options.composerNotice || null;
+        this.venueSelect = options.venueSelect || null;
+        this.getVenueOptions = options.getVenueOptions || (() => []);
+        this.onVenueClick = options.onVenueClick || null;
+        this.pageSize = Math.min(options.pageSize || FEED_PAGE_SIZE, FEED_PAGE_SIZE);
+        this.adInterval = options.adInterval || 5;
+        this.createAdElement = options.createAdElement || (() => this.createPlaceholderAd());
+        const Uploader = resolveMediaUploader();
+        this.mediaUploader = options.mediaUploader || (Uploader ? new Uploader() : null);
+        this.onEvent = options.onEvent || (() => {});
+
+        this.user = null;
+        this.posts = new Map();
+        this.postElements = new Map();
+        this.adElements = [];
+        this.likedPosts = new Set();
+        this.openComments = new Map();
+        // Prepared media for the composer, see selectMedia()
+        this.pendingMedia = null;
+        this.upload = null;
+        this.previewUrl = null;
+
+        this.newestDoc = null;
+        this.lastDoc = null;
+        this.loading = false;
+        this.exhausted = false;
+        this.unsubscribers = [];
+
+        this.sentinel = createElement('div', 'feed-sentinel');
+        this.status = createElement('div', 'feed-status');
+    }
+
+    get db() {
+        return firebase.firestore();
+    }
+
+    get postsRef() {
+        return this.db.collection('posts');
+    }
+
+    // --- Lifecycle ------------------------------------------------------------
+
+    async start() {
+        if (!this.container) return;
+
+        this.container.after(this.status, this.sentinel);
+        this.bindComposer();
+        this.updateComposer();
+
+        await this.loadNextPage();
+        this.watchNewPosts();
+        this.setupInfiniteScroll();
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.openComments.forEach(unsubscribe => unsubscribe());
+        this.openComments.clear();
+        if (this.observer) this.observer.disconnect();
+    }
+
+    setUser(user) {
+        this.user = user || null;
+        this.updateComposer();
+        this.refreshLikes(Array.from(this.posts.keys())).then(() => this.render());
+    }
+
+    isAuthor(item) {
+        return !!this.user && item.authorId === this.user.uid;
+    }
+
+    // --- Loading ----------------------------------------------------------------
+
+    async loadNextPage() {
+        if (this.loading || this.exhausted) return;
+        this.loading = true;
+        this.setStatus('Loading posts...');
+
+        try {
+            let query = this.postsRef.orderBy('timestamp', 'desc').limit(this.pageSize);
+            if (this.lastDoc) query = query.startAfter(this.lastDoc);
+
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                this.exhausted = true;
+            } else {
+                if (!this.newestDoc) this.newestDoc = snapshot.docs[0];
+                this.lastDoc = snapshot.docs[snapshot.docs.length - 1];
+                this.exhausted = snapshot.docs.length < this.pageSize;
+
+                snapshot.docs.forEach(doc => this.upsertPost(doc));
+                const ids = snapshot.docs.map(doc => doc.id);
+                await this.refreshLikes(ids);
+                this.watchPage(ids);
+            }
+
+            this.render();
+            this.setStatus(this.exhausted
+                ? (this.posts.size === 0 ? 'No posts yet. Be the first to share something!' : "You're all caught up.")
+                : '');
+        } catch (error) {
+            console.error("Error loading posts:", error);
+            this.setStatus("Couldn't load posts. Scroll to try again.");
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // Keeps a loaded page live: edits, like/comment counts and deletions
+    watchPage(ids) {
+        const unsubscribe = this.postsRef
+            .where(firebase.firestore.FieldPath.documentId(), 'in', ids)
+            .onSnapshot(snapshot => this.applyChanges(snapshot), error => {
+                console.warn("Feed page listener stopped:", error);
+            });
+        this.unsubscribers.push(unsubscribe);
+    }
+
+    // Posts newer than the first page; they stay live through this same listener
+    watchNewPosts() {
+        let query = this.postsRef.orderBy('timestamp', 'desc');
+        query = this.newestDoc ? query.endBefore(this.newestDoc) : query.limit(this.pageSize);
+
+        const unsubscribe = query.onSnapshot(snapshot => this.applyChanges(snapshot), error => {
+            console.warn("New posts listener stopped:", error);
+        });
+        this.unsubscribers.push(unsubscribe);
+    }
+
+    applyChanges(snapshot) {
+        snapshot.docChanges().forEach(change => {
+            if (change.type === 'removed') {
+                this.posts.delete(change.doc.id);
+                const element = this.postElements.get(change.doc.id);
+                if (element) element.remove();
+                this.postElements.delete(change.doc.id);
+                this.closeComments(change.doc.id);
+            } else {
+                this.upsertPost(change.doc);
+            }
+        });
+        if (this.posts.size > 0 && this.exhausted) this.setStatus("You're all caught up.");
+        this.render();
+    }
+
+    upsertPost(doc) {
+        const existing = this.posts.get(doc.id);
+        const data = doc.data();
+        // Our own new posts arrive before the server sets their timestamp
+        const sortTime = toMillis(data.timestamp) || (existing && existing.sortTime) || Date.now();
+        this.posts.set(doc.id, { id: doc.id, ...data, sortTime });
+    }
+
+    async refreshLikes(postIds) {
+        if (!this.user) {
+            this.likedPosts.clear();
+            return;
+        }
+
+        try {
+            const likes = await Promise.all(postIds.map(postId =>
+                this.postsRef.doc(postId).collection('likes').doc(this.user.uid).get()));
+            likes.forEach((like, i) => {
+                if (like.exists) {
+                    this.likedPosts.add(postIds[i]);
+                } else {
+                    this.likedPosts.delete(postIds[i]);
+                }
+            });
+        } catch (error) {
+            console.warn("Failed to load likes:", error);
+        }
+    }
+
+    setupInfiniteScroll() {
+        if (typeof IntersectionObserver === 'undefined') {
+            const button = createElement('button', 'feed-load-more', 'Load more posts');
+            button.type = 'button';
+            button.addEventListener('click', () => this.loadNextPage());
+            this.sentinel.appendChild(button);
+            return;
+        }
+
+        this.observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadNextPage();
+        }, { rootMargin: '300px' });
+        this.observer.observe(this.sentinel);
+    }
+
+    // --- Posts ------------------------------------------------------------------
+
+    /**
+     * @param {string} text
+     * @param {Object} [prepared] - Media from MediaUploader.prepare()
+     * @param {Object} [venue] - Venue to tag the post with
+     * @param {Function} [onProgress] - Upload progress, see MediaUploader.upload()
+     */
+    async createPost(text, prepared = null, venue = null, onProgress) {
+        if (!this.user) throw new Error("Sign in to post");
+
+        const trimmed = (text || '').trim();
+        if (!trimmed && !prepared) throw new Error("Write something or attach a photo or video");
+        if (trimmed.length > MAX_POST_LENGTH) throw new Error(`Posts are limited to ${MAX_POST_LENGTH} characters`);
+
+        let media = null;
+        if (prepared) {
+            if (!this.mediaUploader) throw new Error("Media uploads are unavailable");
+            this.upload = this.mediaUploader.upload(prepared, this.user.uid, onProgress);
+            try {
+                media = await this.upload.promise;
+            } finally {
+                this.upload = null;
+            }
+        }
+
+        let ref;
+        try {
+            ref = await this.postsRef.add({
+                authorId: this.user.uid,
+                authorName: getDisplayName(this.user),
+                text: trimmed,
+                media,
+                videoUrl: media && media.type === 'video' ? media.url : null,
+                venue: venue ? { placeId: venue.place_id, name: venue.name } : null,
+                likeCount: 0,
+                commentCount: 0,
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            // Don't leave files behind that no post points to
+            if (media) await this.mediaUploader.remove(media);
+            throw error;
+        }
+
+        this.onEvent('post_created', {
+            postId: ref.id,
+            hasVideo: !!media && media.type === 'video',
+            mediaType: media ? media.type : null,
+            venueId: venue ? venue.place_id : null
+        });
+        return ref.id;
+    }
+
+    async editPost(postId, text) {
+        const post = this.posts.get(postId);
+        if (!post || !this.isAuthor(post)) throw new Error("Only the author can edit this post");
+
+        const trimmed = (text || '').trim();
+        if (!trimmed && !getPostMedia(post)) throw new Error("A post can't be empty");
+        if (trimmed.length > MAX_POST_LENGTH) throw new Error(`Posts are limited to ${MAX_POST_LENGTH} characters`);
+
+        await this.postsRef.doc(postId).update({
+            text: trimmed,
+            editedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        this.onEvent('post_edited', { postId });
+    }
+
+    // Removes the post together with its likes and comments
+    async deletePost(postId) {
+        const post = this.posts.get(postId);
+        if (!post || !this.isAuthor(post)) throw new Error("Only the author can delete this post");
+
+        const postRef = this.postsRef.doc(postId);
+        const [likes, comments] = await Promise.all([
+            postRef.collection('likes').get(),
+            postRef.collection('comments').get()
+        ]);
+
+        const batch = this.db.batch();
+        likes.forEach(doc => batch.delete(doc.ref));
+        comments.forEach(doc => batch.delete(doc.ref));
+        batch.delete(postRef);
+        await batch.commit();
+
+        if (post.media && this.mediaUploader) await this.mediaUploader.remove(post.media);
+
+        this.onEvent('post_deleted', { postId });
+    }
+
+    async toggleLike(postId) {
+        if (!this.user) throw new Error("Sign in to like posts");
+
+        const postRef = this.postsRef.doc(postId);
+        const likeRef = postRef.collection('likes').doc(this.user.uid);
+        const increment = firebase.firestore.FieldValue.increment;
+
+        const liked = await this.db.runTransaction(async transaction => {
+            const like = await transaction.get(likeRef);
+            if (like.exists) {
+                transaction.delete(likeRef);
+                transaction.update(postRef, { likeCount: increment(-1) });
+                return false;
+            }
+            transaction.set(likeRef, { timestamp: firebase.firestore.FieldValue.serverTimestamp() });
+            transaction.update(postRef, { likeCount: increment(1) });
+            return true;
+        });
+
+        if (liked) {
+            this.likedPosts.add(postId);
+        } else {
+            this.likedPosts.delete(postId);
+        }
+        this.onEvent(liked ? 'post_liked' : 'post_unliked', { postId });
+        this.render();
+    }
+
+    // --- Comments ---------------------------------------------------------------
+
+    async addComment(postId, text, parentId = null) {
+        if (!this.user) throw new Error("Sign in to comment");
+
+        const trimmed = (text || '').trim();
+        if (!trimmed) return;
+
+        const postRef = this.postsRef.doc(postId);
+        const batch = this.db.batch();
+        batch.set(postRef.collection('comments').doc(), {
+            authorId: this.user.uid,
+            authorName: getDisplayName(this.user),
+            text: trimmed.substring(0, MAX_POST_LENGTH),
+            parentId,
+            timestamp: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        batch.update(postRef, { commentCount: firebase.firestore.FieldValue.increment(1) });
+        await batch.commit();
+
+        this.onEvent('comment_added', { postId, isReply: !!parentId });
+    }
+
+    async editComment(postId, comment, text) {
+        if (!this.isAuthor(comment)) throw new Error("Only the author can edit this comment");
+
+        const trimmed = (text || '').trim();
+        if (!trimmed) return;
+
+        await this.postsRef.doc(postId).collection('comments').doc(comment.id).update({
+            text: trimmed.substring(0, MAX_POST_LENGTH),
+            editedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    // Comments with replies are blanked rather than removed so the thread survives
+    async deleteComment(postId, comment) {
+        if (!this.isAuthor(comment)) throw new Error("Only the author can delete this comment");
+
+        const postRef = this.postsRef.doc(postId);
+        const commentRef = postRef.collection('comments').doc(comment.id);
+
+        if (comment.replies && comment.replies.length > 0) {
+            await commentRef.update({ text: '', deleted: true });
+            return;
+        }
+
+        const batch = this.db.batch();
+        batch.delete(commentRef);
+        batch.update(postRef, { commentCount: firebase.firestore.FieldValue.increment(-1) });
+        await batch.commit();
+    }
+
+    openCommentsFor(postId, panel) {
+        if (this.openComments.has(postId)) return;
+
+        const unsubscribe = this.postsRef.doc(postId).collection('comments')
+            .orderBy('timestamp')
+            .onSnapshot(snapshot => {
+                const comments = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                this.renderComments(postId, panel, buildCommentTree(comments));
+            }, error => {
+                console.warn("Comments listener stopped:", error);
+            });
+        this.openComments.set(postId, unsubscribe);
+    }
+
+    closeComments(postId) {
+        const unsubscribe = this.openComments.get(postId);
+        if (unsubscribe) unsubscribe();
+        this.openComments.delete(postId);
+    }
+
+    // --- Rendering --------------------------------------------------------------
+
+    getOrderedPosts() {
+        return Array.from(this.posts.values()).sort((a, b) => b.sortTime - a.sortTime);
+    }
+
+    /**
+     * Places post elements in feed order, reusing existing ones so open comment
+     * threads and playing videos survive live updates. An ad follows every
+     * adInterval-th post.
+     */
+    render() {
+        if (!this.container) return;
+
+        let previous = null;
+        this.getOrderedPosts().forEach((post, index) => {
+            let element = this.postElements.get(post.id);
+            if (!element) {
+                element = this.createPostElement(post);
+                this.postElements.set(post.id, element);
+            }
+            this.updatePostElement(element, post);
+            this.placeAfter(element, previous);
+            previous = element;
+
+            if ((index + 1) % this.adInterval === 0) {
+                const slot = (index + 1) / this.adInterval - 1;
+                if (!this.adElements[slot]) this.adElements[slot] = this.createAdElement(slot);
+                this.placeAfter(this.adElements[slot], previous);
+                previous = this.adElements[slot];
+            }
+        });
+
+        // Drop ads that no longer have enough posts above them
+        const usedSlots = Math.floor(this.posts.size / this.adInterval);
+        this.adElements.slice(usedSlots).forEach(ad => ad && ad.remove());
+        this.adElements.length = Math.min(this.adElements.length, usedSlots);
+    }
+
+    // Swaps every ad for a freshly selected one, e.g. once campaigns have loaded
+    refreshAds() {
+        this.adElements.forEach(ad => ad && ad.remove());
+        this.adElements = [];
+        this.render();
+    }
+
+    placeAfter(element, previous) {
+        const expected = previous ? previous.nextSibling : this.container.firstChild;
+        if (expected !== element) this.container.insertBefore(element, expected);
+    }
+
+    createPostElement(post) {
+        const postDiv = createElement('div', 'post');
+        postDiv.setAttribute('data-post-id', post.id);
+
+        const header = createElement('div', 'post-header');
+        header.append(createElement('span', 'post-username'), createElement('span', 'post-time'));
+
+        const textDiv = createElement('div', 'post-text');
+        postDiv.append(header, textDiv);
+
+        if (post.venue) {
+            const venueTag = createElement('button', 'post-venue', `📍 ${post.venue.name}`);
+            venueTag.type = 'button';
+            venueTag.addEventListener('click', () => {
+                if (this.onVenueClick) this.onVenueClick(post.venue);
+            });
+            postDiv.appendChild(venueTag);
+        }
+
+        const media = getPostMedia(post);
+        if (media && media.type === 'image') {
+            const image = document.createElement('img');
+            image.src = media.url;
+            image.alt = `Photo shared by ${post.authorName || 'a member'}`;
+            image.loading = 'lazy';
+            image.className = 'post-image';
+            postDiv.appendChild(image);
+        } else if (media) {
+            const video = document.createElement('video');
+            video.src = media.url;
+            if (media.posterUrl) video.poster = media.posterUrl;
+            video.preload = 'metadata';
+            video.controls = true;
+            video.className = 'post-video';
+            postDiv.appendChild(video);
+        }
+
+        const actions = createElement('div', 'post-actions');
+        const likeButton = createElement('button', 'post-like');
+        likeButton.type = 'button';
+        likeButton.addEventListener('click', () => this.runAction(() => this.toggleLike(post.id)));
+
+        const commentButton = createElement('button', 'post-comment-toggle');
+        commentButton.type = 'button';
+
+        const editButton = createElement('button', 'post-edit', 'Edit');
+        editButton.type = 'button';
+        editButton.addEventListener('click', () => this.startEditing(postDiv, post.id));
+
+        const deleteButton = createElement('button', 'post-delete', 'Delete');
+        deleteButton.type = 'button';
+        deleteButton.addEventListener('click', () => {
+            if (confirm("Delete this post?")) this.runAction(() => this.deletePost(post.id));
+        });
+
+        actions.append(likeButton, commentButton, editButton, deleteButton);
+        postDiv.appendChild(actions);
+
+        const commentsPanel = createElement('div', 'post-comments');
+        commentsPanel.style.display = 'none';
+        postDiv.appendChild(commentsPanel);
+
+        commentButton.addEventListener('click', () => {
+            const opening = commentsPanel.style.display === 'none';
+            commentsPanel.style.display = opening ? 'block' : 'none';
+            if (opening) {
+                this.openCommentsFor(post.id, commentsPanel);
+            } else {
+                this.closeComments(post.id);
+            }
+        });
+
+        return postDiv;
+    }
+
+    updatePostElement(element, post) {
+        element.querySelector('.post-username').textContent = post.authorName || 'Anonymous';
+        element.querySelector('.post-time').textContent =
+            formatPostTime(post.timestamp) + (post.editedAt ? ' · edited' : '');
+
+        const textDiv = element.querySelector('.post-text');
+        if (textDiv && !element.classList.contains('editing')) textDiv.textContent = post.text || '';
+
+        const liked = this.likedPosts.has(post.id);
+        const likeButton = element.querySelector('.post-like');
+        likeButton.classList.toggle('active', liked);
+        likeButton.textContent = `${liked ? '♥' : '♡'} ${post.likeCount || 0}`;
+        likeButton.disabled = !this.user;
+        likeButton.title = this.user ? '' : 'Sign in to like posts';
+
+        element.querySelector('.post-comment-toggle').textContent = `Comments (${post.commentCount || 0})`;
+
+        const isAuthor = this.isAuthor(post);
+        element.querySelector('.post-edit').style.display = isAuthor ? '' : 'none';
+        element.querySelector('.post-delete').style.display = isAuthor ? '' : 'none';
+    }
+
+    startEditing(element, postId) {
+        const post = this.posts.get(postId);
+        if (!post || element.classList.contains('editing')) return;
+        element.classList.add('editing');
+
+        const textDiv = element.querySelector('.post-text');
+        const editor = this.createEditor(post.text || '', async text => {
+            await this.editPost(postId, text);
+            element.classList.remove('editing');
+            editor.replaceWith(textDiv);
+            this.render();
+        }, () => {
+            element.classList.remove('editing');
+            editor.replaceWith(textDiv);
+        });
+        textDiv.replaceWith(editor);
+    }
+
+    // Text box with Save/Cancel, used for post and comment edits and replies
+    createEditor(initialText, onSave, onCancel, saveLabel = 'Save') {
+        const editor = createElement('div', 'feed-editor');
+        const input = document.createElement('textarea');
+        input.maxLength = MAX_POST_LENGTH;
+        input.value = initialText;
+
+        const save = createElement('button', 'feed-editor-save', saveLabel);
+        save.type = 'button';
+        save.addEventListener('click', () => this.runAction(() => onSave(input.value)));
+
+        const cancel = createElement('button', 'feed-editor-cancel', 'Cancel');
+        cancel.type = 'button';
+        cancel.addEventListener('click', onCancel);
+
+        editor.append(input, save, cancel);
+        setTimeout(() => input.focus(), 0);
+        return editor;
+    }
+
+    renderComments(postId, panel, tree) {
+        panel.innerHTML = '';
+
+        const list = createElement('div', 'comment-thread');
+        tree.forEach(comment => list.appendChild(this.createCommentElement(postId, comment)));
+        if (tree.length === 0) list.appendChild(createElement('div', 'comment-empty', 'No comments yet.'));
+        panel.appendChild(list);
+
+        if (this.user) {
+            panel.appendChild(this.createEditor('', async text => {
+                await this.addComment(postId, text);
+            }, () => {
+                panel.style.display = 'none';
+                this.closeComments(postId);
+            }, 'Comment'));
+        } else {
+            panel.appendChild(createElement('div', 'comment-empty', 'Sign in to join the conversation.'));
+        }
+    }
+
+    createCommentElement(postId, comment) {
+        const item = createElement('div', 'comment');
+        const body = createElement('div', 'comment-body');
+
+        if (comment.deleted) {
+            body.appendChild(createElement('span', 'comment-deleted', 'Comment deleted'));
+        } else {
+            body.append(
+                createElement('span', 'comment-author', comment.authorName || 'Anonymous'),
+                createElement('span', 'comment-time', formatPostTime(comment.timestamp) + (comment.editedAt ? ' · edited' : '')),
+                createElement('div', 'comment-text', comment.text)
+            );
+        }
+        item.appendChild(body);
+
+        const replies = createElement('div', 'comment-replies');
+        comment.replies.forEach(reply => replies.appendChild(this.createCommentElement(postId, reply)));
+
+        const actions = createElement('div', 'comment-actions');
+        const addAction = (label, handler) => {
+            const button = createElement('button', null, label);
+            button.type = 'button';
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+
+        if (this.user && !comment.deleted) {
+            addAction('Reply', () => {
+                const editor = this.createEditor('', async text => {
+                    await this.addComment(postId, text, comment.id);
+                    editor.remove();
+                }, () => editor.remove(), 'Reply');
+                item.insertBefore(editor, replies);
+            });
+        }
+        if (this.isAuthor(comment) && !comment.deleted) {
+            addAction('Edit', () => {
+                const textDiv = body.querySelector('.comment-text');
+                const editor = this.createEditor(comment.text, async text => {
+                    await this.editComment(postId, comment, text);
+                }, () => editor.replaceWith(textDiv));
+                textDiv.replaceWith(editor);
+            });
+            addAction('Delete', () => {
+                if (confirm("Delete this comment?")) this.runAction(() => this.deleteComment(postId, comment));
+            });
+        }
+        item.append(actions, replies);
+
+        return item;
+    }
+
+    createPlaceholderAd() {
+        return createElement('div', 'ad', 'Your Ad Here!');
+    }
+
+    // --- Composer ---------------------------------------------------------------
+
+    // Offers the venues currently on the map, keeping the selected tag
+    refreshVenueOptions() {
+        if (!this.venueSelect) return;
+
+        const selected = this.venueSelect.value;
+        const selectedName = selected ? this.venueSelect.selectedOptions[0].textContent : '';
+        const venues = this.getVenueOptions().slice(0, 50);
+
+        this.venueSelect.innerHTML = '<option value="">Tag a venue (optional)</option>';
+        if (selected && !venues.some(venue => venue.place_id === selected)) {
+            venues.unshift({ place_id: selected, name: selectedName });
+        }
+        venues.forEach(venue => {
+            const option = createElement('option', null, venue.name);
+            option.value = venue.place_id;
+            this.venueSelect.appendChild(option);
+        });
+        this.venueSelect.value = selected;
+    }
+
+    getSelectedVenue() {
+        if (!this.venueSelect || !this.venueSelect.value) return null;
+        return { place_id: this.venueSelect.value, name: this.venueSelect.selectedOptions[0].textContent };
+    }
+
+    // Starts a post about the given venue
+    tagVenue(venue) {
+        if (this.venueSelect) {
+            this.refreshVenueOptions();
+            if (!Array.from(this.venueSelect.options).some(option => option.value === venue.place_id)) {
+                const option = createElement('option', null, venue.name);
+                option.value = venue.place_id;
+                this.venueSelect.appendChild(option);
+            }
+            this.venueSelect.value = venue.place_id;
+        }
+        if (this.textInput) {
+            this.textInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.textInput.focus();
+        }
+    }
+
+    bindComposer() {
+        if (this.venueSelect) {
+            this.venueSelect.addEventListener('focus', () => this.refreshVenueOptions());
+        }
+        if (this.mediaInput) {
+            if (this.mediaUploader) this.mediaInput.accept = this.mediaUploader.acceptTypes();
+            this.mediaInput.addEventListener('change', () => {
+                this.selectMedia(this.mediaInput.files ? this.mediaInput.files[0] : null);
+            });
+        }
+        if (!this.submitButton) return;
+
+        this.submitButton.addEventListener('click', async () => {
+            this.submitButton.disabled = true;
+            if (this.mediaInput) this.mediaInput.disabled = true;
+            try {
+                const prepared = this.pendingMedia ? await this.pendingMedia : null;
+                await this.createPost(
+                    this.textInput ? this.textInput.value : '',
+                    prepared,
+                    this.getSelectedVenue(),
+                    progress => this.showUploadProgress(progress)
+                );
+                if (this.textInput) this.textInput.value = '';
+                if (this.venueSelect) this.venueSelect.value = '';
+                this.selectMedia(null);
+            } catch (error) {
+                // A cancelled upload keeps the draft so it can be posted again
+                if (!error.cancelled) {
+                    console.error("Feed action failed:", error);
+                    alert(error.message || "Something went wrong. Please try again.");
+                }
+            } finally {
+                this.showUploadProgress(null);
+                this.updateComposer();
+            }
+        });
+    }
+
+    /**
+     * Validates the chosen file straight away so problems show before posting,
+     * and previews its thumbnail. pendingMedia holds the preparation promise.
+     */
+    selectMedia(file) {
+        this.pendingMedia = null;
+        this.setMediaPreview(null);
+        if (!file) {
+            if (this.mediaInput) this.mediaInput.value = '';
+            return;
+        }
+        if (!this.mediaUploader) {
+            this.setMediaPreview(null, "Media uploads are unavailable");
+            return;
+        }
+
+        const pending = this.mediaUploader.prepare(file);
+        this.pendingMedia = pending;
+        this.setMediaPreview(null, 'Preparing preview...');
+        pending.then(prepared => {
+            if (this.pendingMedia === pending) this.setMediaPreview(prepared);
+        }, error => {
+            if (this.pendingMedia !== pending) return;
+            this.pendingMedia = null;
+            if (this.mediaInput) this.mediaInput.value = '';
+            this.setMediaPreview(null, error.message);
+        });
+    }
+
+    setMediaPreview(prepared, message = '') {
+        if (!this.mediaPreview) return;
+        if (this.previewUrl) URL.revokeObjectURL(this.previewUrl);
+        this.previewUrl = null;
+        this.mediaPreview.innerHTML = '';
+
+        if (prepared && prepared.poster) {
+            this.previewUrl = URL.createObjectURL(prepared.poster);
+            const image = createElement('img', 'media-preview-image');
+            image.src = this.previewUrl;
+            image.alt = 'Preview';
+
+            const details = prepared.kind === 'video'
+                ? `Video · ${prepared.duration}s · ${(prepared.size / (1024 * 1024)).toFixed(1)} MB`
+                : `Photo · ${(prepared.size / (1024 * 1024)).toFixed(1)} MB · location removed`;
+            const remove = createElement('button', 'media-preview-remove', 'Remove');
+            remove.type = 'button';
+            remove.addEventListener('click', () => this.selectMedia(null));
+
+            this.mediaPreview.append(image, createElement('span', 'media-preview-details', details), remove);
+        } else if (message) {
+            this.mediaPreview.appendChild(createElement('span', 'media-preview-message', message));
+        }
+        this.mediaPreview.style.display = this.mediaPreview.childNodes.length > 0 ? 'flex' : 'none';
+    }
+
+    // Renders {transferred, total, paused} with pause/resume and cancel, or hides it for null
+    showUploadProgress(progress) {
+        if (!this.uploadProgress) return;
+        if (!progress) {
+            this.uploadProgress.style.display = 'none';
+            return;
+        }
+
+        if (!this.uploadProgress.querySelector('progress')) {
+            const bar = document.createElement('progress');
+            bar.max = 100;
+            const label = createElement('span', 'upload-progress-label');
+            const pause = createElement('button', 'upload-progress-pause');
+            pause.type = 'button';
+            pause.addEventListener('click', () => {
+                if (!this.upload) return;
+                if (pause.dataset.paused === 'true') {
+                    this.upload.resume();
+                } else {
+                    this.upload.pause();
+                }
+            });
+            const cancel = createElement('button', 'upload-progress-cancel', 'Cancel');
+            cancel.type = 'button';
+            cancel.addEventListener('click', () => {
+                if (this.upload) this.upload.cancel();
+            });
+            this.uploadProgress.append(bar, label, pause, cancel);
+        }
+
+        const percent = progress.total ? Math.round(progress.transferred / progress.total * 100) : 0;
+        this.uploadProgress.querySelector('progress').value = percent;
+        this.uploadProgress.querySelector('.upload-progress-label').textContent =
+            progress.paused ? `Paused at ${percent}%` : `Uploading ${percent}%`;
+        const pause = this.uploadProgress.querySelector('.upload-progress-pause');
+        pause.textContent = progress.paused ? 'Resume' : 'Pause';
+        pause.dataset.paused = progress.paused ? 'true' : 'false';
+        this.uploadProgress.style.display = 'flex';
+    }
+
+    // Posting needs an account so posts have an author who can edit them
+    updateComposer() {
+        const signedIn = !!this.user;
+        [this.textInput, this.mediaInput, this.venueSelect, this.submitButton].forEach(element => {
+            if (element) element.disabled = !signedIn;
+        });
+        if (this.composerNotice) {
+            this.composerNotice.textContent = signedIn ? '' : 'Sign in to share posts, like and comment.';
+            this.composerNotice.style.display = signedIn ? 'none' : 'block';
+        }
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+        this.status.style.display = message ? 'block' : 'none';
+    }
+
+    // Runs a user action, surfacing failures instead of leaving them in the console
+    async runAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error("Feed action failed:", error);
+            alert(error.message || "Something went wrong. Please try again.");
+        }
+    }
+}
+
+// The feed starts once the page has initialized the Firebase app
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const container = document.getElementById('postsContainer');
+        if (!container) return;
+
+        const feed = new SocialFeed({
+            container,
+            textInput: document.getElementById('postText'),
+            mediaInput: document.getElementById('postMedia'),
+            mediaPreview: document.getElementById('postMediaPreview'),
+            uploadProgress: document.getElementById('postUploadProgress'),
+            submitButton: document.getElementById('submitPostBtn'),
+            composerNotice: document.getElementById('postFormNotice'),
+            venueSelect: document.getElementById('postVenue'),
+            createAdElement: slot => window.adManager ? window.adManager.createFeedAd(slot) : feed.createPlaceholderAd(),
+            getVenueOptions: () => window.venueResults ? window.venueResults.getFilteredVenues() : [],
+            onVenueClick: venue => {
+                const loaded = window.venueResults && window.venueResults.getVenue(venue.placeId);
+                if (loaded && typeof focusVenue === 'function') {
+                    focusVenue(loaded);
+                } else if (window.venueCommunity) {
+                    window.venueCommunity.showVenue({ place_id: venue.placeId, name: venue.name });
+                }
+            },
+            onEvent: logAnalyticsEvent
+        });
+        window.socialFeed = feed;
+
+        document.addEventListener('auth_state_changed', (e) => feed.setUser(e.detail && e.detail.user));
+
+        const started = Date.now();
+        const waitForFirebase = () => {
+            if (typeof firebase !== 'undefined' && firebase.apps.length > 0) {
+                feed.start();
+            } else if (Date.now() - started < 10000) {
+                setTimeout(waitForFirebase, 200);
+            } else {
+                console.warn("Firebase was not initialized; the posts feed is unavailable");
+            }
+        };
+        waitForFirebase();
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SocialFeed, buildCommentTree, getDisplayName, FEED_PAGE_SIZE };
+}
@@ -1,12 +1,133 @@
 /**
  * User Analytics Tracking System
- * Tracks user behavior and stores data in Firebase
+ * Tracks user behavior and stores data through a pluggable storage adapter
+ * (see analytics-storage.js). Firestore is used by default when available.
  */
 
+// Storage adapters are loaded globally in the browser and required under Node
+function resolveAnalyticsStorage() {
+    if (typeof AnalyticsStorage !== 'undefined') return AnalyticsStorage;
+    if (typeof require === 'function') return require('./analytics-storage.js');
+    return null;
+}
+
+function resolveEventQueue() {
+    if (typeof EventQueue !== 'undefined') return EventQueue;
+    if (typeof require === 'function') return require('./event-queue.js').EventQueue;
+    return null;
+}
+
+// The page shares one ConsentManager; outside the browser each tracker gets its own
+function resolveConsentManager() {
+    if (typeof window !== 'undefined' && window.consentManager) return window.consentManager;
+    if (typeof require === 'function') {
+        const { ConsentManager } = require('./consent-manager.js');
+        return new ConsentManager();
+    }
+    return null;
+}
+
+function resolveVisitorIdentity() {
+    if (typeof VisitorIdentity !== 'undefined') return VisitorIdentity;
+    if (typeof require === 'function') return require('./visitor-identity.js').VisitorIdentity;
+    return null;
+}
+
+// The page's LocationService, when location-service.js is loaded
+function resolveLocationService() {
+    if (typeof window !== 'undefined' && window.locationService) return window.locationService;
+    return null;
+}
+
+// The page's PageTelemetry class, when page-telemetry.js is loaded
+function resolvePageTelemetry() {
+    if (typeof PageTelemetry !== 'undefined') return PageTelemetry;
+    return null;
+}
+
+// The catalog events are checked against before they are queued, shared with
+// the server (see event-schema.js)
+function resolveEventSchema() {
+    if (typeof EventSchema !== 'undefined') return EventSchema;
+    if (typeof require === 'function') return require('./event-schema.js').EventSchema;
+    return null;
+}
+
+// Event types the analytics dashboard reports on from the server log: behavior
+// funnels, sponsored campaigns, page telemetry, experiments and sign-ins
+// (pageviews are logged by the server itself)
+const REPORTED_EVENT_TYPES = [
+    'search', 'venue_interaction', 'map_area_search', 'venue_sort', 'search_saved',
+    'post_created', 'ad_impression', 'ad_click',
+    'page_engagement', 'scroll_depth', 'web_vital', 'map_error', 'js_error',
+    'experiment_exposure', 'user_login'
+];
+
+function resolveTruncateIp() {
+    if (typeof truncateIp !== 'undefined') return truncateIp;
+    return require('./consent-manager.js').truncateIp;
+}
+
 class UserAnalytics {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {AnalyticsStorageAdapter} [options.storage] - Backend for all reads and writes
+     * @param {EventQueue} [options.eventQueue] - Queue events are batched through before storage
+     * @param {Object} [options.queueOptions] - Options for the default EventQueue
+     * @param {string[]} [options.reportedEventTypes] - Events the server-side dashboard reports on;
+     *     they are also sent to /log-event when the main storage is not the server
+     * @param {ConsentManager} [options.consent] - Consent state gating all tracking
+     * @param {VisitorIdentity} [options.identity] - Visitor ID and session source
+     * @param {LocationService} [options.locationService] - Shared IP lookup and the visitor's chosen location
+     * @param {PageTelemetry} [options.telemetry] - Engagement, Web Vitals and error reporting for the page
+     * @param {EventSchema} [options.eventSchema] - Catalog events are normalized and validated against
+     * @param {boolean} [options.autoInitialize=true] - Run initialize() immediately
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || resolveAnalyticsStorage().createDefaultAnalyticsStorage();
+        
+        const QueueClass = resolveEventQueue();
+        const Storage = resolveAnalyticsStorage();
+        const storesOnServer = this.storage instanceof Storage.ServerStorageAdapter;
+        
+        // Only a queue whose backend is the server log may beacon to /log-event on
+        // unload; Firestore-bound events wait in localStorage for the next load
+        this.eventQueue = options.eventQueue || new QueueClass({
+            send: events => this.storage.writeEvents(events),
+            beaconUrl: storesOnServer ? this.storage.endpoint : null,
+            ...options.queueOptions
+        });
+        
+        // The dashboard aggregates the server log, so events it reports on are
+        // mirrored there whatever the main storage backend is
+        this.reportedEventTypes = new Set(options.reportedEventTypes || REPORTED_EVENT_TYPES);
+        this.reportQueue = null;
+        if (!storesOnServer) {
+            const reportStorage = new Storage.ServerStorageAdapter();
+            this.reportQueue = new QueueClass({
+                send: events => reportStorage.writeEvents(events),
+                beaconUrl: reportStorage.endpoint,
+                storageKey: 'analyticsReportQueue'
+            });
+        }
+        
+        this.consent = options.consent || resolveConsentManager();
+        this.consent.onChange(state => this.handleConsentChange(state));
+        this.trackingStarted = false;
+        this.listenersAttached = false;
+        
+        const IdentityClass = resolveVisitorIdentity();
+        this.identity = options.identity || new IdentityClass();
+        this.identity.onSessionChange(session => this.handleSessionChange(session));
+        
+        // Document key for this visitor's records: the persistent visitor ID
+        this.userKey = null;
+        // Key of the visitor's record in the old IP-keyed layout, used for migration
+        this.legacyKey = null;
+        
+        // The session ID is the Flask session's, adopted during initialize()
         this.sessionStartTime = new Date();
-        this.sessionId = Math.random().toString(36).substring(2, 15);
+        this.sessionId = null;
         
         this.userProfile = {
             ip: null,
@@ -28,93 +149,214 @@ class UserAnalytics {
             startTime: this.sessionStartTime,
             searches: [],
             interactions: [],
+            // Venue the visitor last opened, shown on the dashboard's real-time map
+            currentVenue: null,
+            // Latest position from the location service, coarsened in toSessionLocation()
+            location: null,
             casinoPreferences: {
                 viewed: {},
                 clicked: {},
                 amenitiesSelected: {},
-                typePreference: null
+                typePreference: null,
+                ratingPreference: null,
+                distancePreference: null
             }
         };
         
+        // Preferences saved on earlier visits, loaded in checkReturningUser()
+        this.storedPreferences = {};
+        
         this.isAuthenticated = false;
         this.userId = null;
         this.userEmail = null;
         
-        console.log("Initializing user analytics...");
-        this.initialize();
+        const SchemaClass = resolveEventSchema();
+        this.eventSchema = options.eventSchema || (SchemaClass ? new SchemaClass() : null);
+        // Events dropped for not matching the schema, for debugging
+        this.rejectedEvents = 0;
+        
+        this.locationService = options.locationService || resolveLocationService();
+        if (this.locationService) {
+            this.locationService.subscribe(location => {
+                this.sessionData.location = this.toSessionLocation(location);
+            });
+        }
+        
+        // Started right away so load-time errors are caught; it holds its events
+        // until initialize() has a visitor to attach them to
+        const TelemetryClass = resolvePageTelemetry();
+        this.telemetry = options.telemetry ||
+            (TelemetryClass ? new TelemetryClass({ log: (eventType, details) => this.logEvent(eventType, details) }) : null);
+        if (this.telemetry) this.telemetry.start();
+        
+        if (options.autoInitialize !== false) {
+            console.log("Initializing user analytics...");
+            this.initialize();
+        }
     }
     
     async initialize() {
+        // Nothing is collected or sent until analytics consent is given;
+        // handleConsentChange() picks up from here once it is
+        if (!this.consent.isGranted('analytics')) {
+            console.log("Analytics consent not given, tracking paused");
+            return;
+        }
+        if (this.trackingStarted) return;
+        this.trackingStarted = true;
+        
         try {
-            // Get user IP and geolocation
-            const response = await fetch('/get_user_ip');
-            const data = await response.json();
+            // Get user IP and geolocation, shared with the location service when the page has one
+            const data = this.locationService
+                ? await this.locationService.lookupIp()
+                : await fetch('/get_user_ip').then(response => response.json());
+            
+            await this.applyPrivacyMode(data.ip, data.geo);
             
-            this.userProfile.ip = data.ip;
-            this.userProfile.location = data.geo;
+            // Persistent visitor ID and the server's session
+            this.userKey = this.identity.getVisitorId();
+            const session = this.identity.adoptSession(data.session_id);
+            this.sessionId = session.id;
+            this.sessionStartTime = new Date(session.startedAt);
+            this.sessionData.startTime = this.sessionStartTime;
+            
+            // Start flushing queued events, including any left from earlier visits
+            this.eventQueue.start();
+            if (this.reportQueue) this.reportQueue.start();
             
             // Check if this is a returning user
             await this.checkReturningUser();
             
-            // Set up event listeners
-            this.setupEventListeners();
+            if (!this.listenersAttached) {
+                this.listenersAttached = true;
+                
+                // Set up event listeners
+                this.setupEventListeners();
+                
+                // Check for auth state changes
+                document.addEventListener('auth_state_changed', this.handleAuthChange.bind(this));
+            }
             
             // Log initial page view
             this.logPageView();
-            
-            // Check for auth state changes
-            document.addEventListener('auth_state_changed', this.handleAuthChange.bind(this));
+            if (this.telemetry) this.telemetry.ready();
+            // Other page modules (experiments.js) hold their events until now
+            if (typeof CustomEvent === 'function') {
+                document.dispatchEvent(new CustomEvent('analytics_ready', { detail: { userKey: this.userKey } }));
+            }
             
             console.log("User profile initialized:", this.userProfile);
         } catch (error) {
+            this.trackingStarted = false;
             console.error("Failed to initialize analytics:", error);
         }
     }
     
-    async checkReturningUser() {
-        if (!firebase || !firebase.firestore) {
-            console.warn("Firebase not available for user check");
-            return;
+    // In strict mode the raw IP never leaves this method: events only carry the
+    // truncated form, and legacy records are looked up by the hashed key they
+    // were stored under. Activity logs recovered from the old localStorage
+    // fallback are re-keyed by that hash before they are sent.
+    async applyPrivacyMode(ip, geo) {
+        if (this.consent.isStrictMode()) {
+            this.legacyKey = await this.consent.anonymizeIp(ip);
+            await this.eventQueue.rekeyRawIps(rawIp => this.consent.anonymizeIp(rawIp));
+            this.userProfile.ip = resolveTruncateIp()(ip);
+            this.userProfile.location = geo ? {
+                country: geo.country,
+                region: geo.region,
+                city: null,
+                latitude: null,
+                longitude: null
+            } : this.userProfile.location;
+        } else {
+            this.legacyKey = ip;
+            this.userProfile.ip = ip;
+            this.userProfile.location = geo;
         }
+    }
+    
+    // Public API: window.userAnalytics.setConsent({ analytics: true, personalization: false })
+    setConsent(categories, options = {}) {
+        return this.consent.setConsent(categories, options);
+    }
+    
+    // Strict mode changes made mid-visit take effect on the next page load,
+    // since the raw IP is not kept around to re-key this session
+    handleConsentChange(state) {
+        if (state.categories.analytics) {
+            this.initialize();
+        } else {
+            // Consent withdrawn: stop sending, drop anything still queued and
+            // forget the visitor ID
+            this.trackingStarted = false;
+            this.eventQueue.stop();
+            this.eventQueue.clear();
+            if (this.reportQueue) {
+                this.reportQueue.stop();
+                this.reportQueue.clear();
+            }
+            this.identity.forget();
+            this.userKey = null;
+        }
+    }
+    
+    // The server rotated the session after inactivity: start counting afresh
+    handleSessionChange(session) {
+        this.sessionId = session.id;
+        this.sessionStartTime = new Date(session.startedAt);
+        this.sessionData.startTime = this.sessionStartTime;
+        this.sessionData.pageViews = 0;
+        this.sessionData.searches = [];
+        this.sessionData.interactions = [];
         
+        if (this.userKey) {
+            this.previousVisits = (this.previousVisits || 0) + 1;
+            this.userProfile.returning = true;
+            this.storage.recordVisit(this.userKey)
+                .catch(error => console.error("Error recording visit:", error));
+        }
+    }
+    
+    // A visit is a session, so the count only moves when the server started a
+    // new one; further page loads in the same session don't inflate it
+    async checkReturningUser() {
         try {
-            const db = firebase.firestore();
-            
-            if (this.userProfile.ip) {
-                const userDoc = await db.collection('users_by_ip')
-                    .doc(this.userProfile.ip)
-                    .get();
+            if (this.userKey) {
+                let userData = await this.storage.getUser(this.userKey);
                 
-                if (userDoc.exists) {
-                    const userData = userDoc.data();
-                    this.userProfile.returning = true;
-                    this.previousVisits = userData.visitCount || 0;
-                    
-                    // Update visit count
-                    await db.collection('users_by_ip').doc(this.userProfile.ip).update({
-                        visitCount: firebase.firestore.FieldValue.increment(1),
-                        lastVisit: firebase.firestore.FieldValue.serverTimestamp()
+                if (!userData) {
+                    // First time visitor - create record
+                    await this.storage.createUser(this.userKey, {
+                        userAgent: this.getUserAgent(),
+                        device: this.userProfile.device
                     });
                     
-                    // Load historical preferences
-                    if (userData.preferences) {
-                        this.sessionData.casinoPreferences.typePreference = 
-                            userData.preferences.mostViewedType || null;
+                    // Carry over history recorded under the old IP-keyed layout
+                    if (this.legacyKey && this.identity.isNewVisitor &&
+                        await this.storage.mergeLegacyUser(this.legacyKey, this.userKey)) {
+                        console.log("Migrated legacy user record into visitor record");
                     }
-                    
-                    console.log("Returning user detected:", {
+                    userData = await this.storage.getUser(this.userKey) || { visitCount: 1 };
+                } else if (this.identity.startedNewSession) {
+                    // Update visit count
+                    await this.storage.recordVisit(this.userKey);
+                    userData.visitCount = (userData.visitCount || 0) + 1;
+                }
+                
+                this.previousVisits = Math.max((userData.visitCount || 1) - 1, 0);
+                this.userProfile.returning = this.previousVisits > 0;
+                
+                // Load historical preferences
+                if (userData.preferences) {
+                    this.storedPreferences = userData.preferences;
+                    this.sessionData.casinoPreferences.typePreference = 
+                        userData.preferences.mostViewedType || null;
+                }
+                
+                if (this.userProfile.returning) {
+                    console.log("Returning visitor detected:", {
                         previousVisits: this.previousVisits,
-                        firstSeen: userData.firstSeen?.toDate()
-                    });
-                } else {
-                    // First time user - create record
-                    await db.collection('users_by_ip').doc(this.userProfile.ip).set({
-                        firstSeen: firebase.firestore.FieldValue.serverTimestamp(),
-                        lastVisit: firebase.firestore.FieldValue.serverTimestamp(),
-                        visitCount: 1,
-                        userAgent: navigator.userAgent,
-                        device: this.userProfile.device,
-                        preferences: {}
+                        firstSeen: userData.firstSeen?.toDate ? userData.firstSeen.toDate() : userData.firstSeen
                     });
                 }
             }
@@ -123,50 +365,47 @@ class UserAnalytics {
         }
     }
     
+    // auth_state_changed also fires for the session Firebase restores on every
+    // page load, so logins and logouts are only logged when the uid changed
     handleAuthChange(event) {
-        if (event.detail && event.detail.user) {
+        const user = event.detail && event.detail.user;
+        const changed = this.identity.recordSignedInUser(user ? user.uid : null);
+        
+        if (user) {
             this.isAuthenticated = true;
-            this.userId = event.detail.user.uid;
-            this.userEmail = event.detail.user.email;
+            this.userId = user.uid;
+            this.userEmail = user.email;
             
-            this.logEvent('user_login', {
-                user_id: this.userId,
-                user_email: this.userEmail
-            });
+            if (changed) {
+                this.logEvent('user_login', {
+                    user_id: this.userId,
+                    user_email: this.consent.isStrictMode() ? null : this.userEmail
+                });
+            }
             
-            // Link user auth with IP-based data
-            this.linkUserWithIP();
+            // Link user auth with the visitor record
+            this.linkUserWithVisitor();
         } else {
             this.isAuthenticated = false;
             this.userId = null;
             this.userEmail = null;
             
-            this.logEvent('user_logout');
+            if (changed) this.logEvent('user_logout');
         }
     }
     
-    async linkUserWithIP() {
-        if (!firebase || !firebase.firestore || !this.userId || !this.userProfile.ip) return;
+    async linkUserWithVisitor() {
+        if (!this.userId || !this.userKey) return;
         
         try {
-            const db = firebase.firestore();
-            
-            // Link IP with user ID
-            await db.collection('user_mappings').doc(this.userId).set({
-                linkedIPs: firebase.firestore.FieldValue.arrayUnion(this.userProfile.ip),
-                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-            }, { merge: true });
-            
-            // Update IP record with user ID
-            await db.collection('users_by_ip').doc(this.userProfile.ip).update({
-                linkedUsers: firebase.firestore.FieldValue.arrayUnion(this.userId),
-                lastUserId: this.userId,
-                lastUserEmail: this.userEmail
+            // Link visitor ID with user ID in both directions
+            await this.storage.linkUser(this.userId, this.userKey, {
+                email: this.consent.isStrictMode() ? null : this.userEmail
             });
             
-            console.log("Successfully linked user with IP");
+            console.log("Successfully linked user with visitor");
         } catch (error) {
-            console.error("Error linking user with IP:", error);
+            console.error("Error linking user with visitor:", error);
         }
     }
     
@@ -215,14 +454,22 @@ class UserAnalytics {
         this.sessionData.pageViews++;
         const page = window.location.pathname;
         
-        this.logEvent('page_view', {
-            page: page,
+        this.logEvent('pageview', {
+            path: page,
             title: document.title,
             referrer: document.referrer,
-            loadTime: performance.now()
+            loadTime: this.getPageLoadTime()
         });
     }
     
+    // Milliseconds until the load event, or as far as the page has got
+    getPageLoadTime() {
+        const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+        if (navigation && navigation.loadEventEnd > 0) return Math.round(navigation.loadEventEnd);
+        if (navigation && navigation.domContentLoadedEventEnd > 0) return Math.round(navigation.domContentLoadedEventEnd);
+        return Math.round(performance.now());
+    }
+    
     logSearch(query, filters = {}) {
         // Add to searches array
         this.sessionData.searches.push({
@@ -259,6 +506,12 @@ class UserAnalytics {
                 }
                 this.sessionData.casinoPreferences.amenitiesSelected[value]++;
                 break;
+            case 'rating':
+                this.sessionData.casinoPreferences.ratingPreference = value;
+                break;
+            case 'distance':
+                this.sessionData.casinoPreferences.distancePreference = value;
+                break;
         }
         
         this.logEvent('casino_preference', {
@@ -272,47 +525,27 @@ class UserAnalytics {
     }
     
     async updatePreferencesInFirebase(type, value) {
-        if (!firebase || !firebase.firestore || !this.userProfile.ip) return;
+        // Stored preferences are only kept with personalization consent
+        if (!this.userKey || !this.consent.isGranted('personalization')) return;
         
         try {
-            const db = firebase.firestore();
-            const userDocRef = db.collection('users_by_ip').doc(this.userProfile.ip);
-            
-            // Build update object based on preference type
-            let updateObj = {};
-            
-            switch (type) {
-                case 'category':
-                    updateObj[`preferences.categories.${value}`] = firebase.firestore.FieldValue.increment(1);
-                    updateObj[`preferences.mostViewedType`] = this.sessionData.casinoPreferences.typePreference;
-                    break;
-                case 'amenity':
-                    updateObj[`preferences.amenities.${value}`] = firebase.firestore.FieldValue.increment(1);
-                    break;
-                case 'rating':
-                    updateObj[`preferences.ratingPreference`] = value;
-                    break;
-                case 'distance':
-                    updateObj[`preferences.distancePreference`] = value;
-                    break;
-                case 'click':
-                    updateObj[`preferences.clicked.${value}`] = firebase.firestore.FieldValue.increment(1);
-                    break;
-            }
-            
-            await userDocRef.update(updateObj);
+            await this.storage.updatePreference(
+                this.userKey,
+                type,
+                value,
+                this.sessionData.casinoPreferences.typePreference
+            );
             
             // Also log detailed event in user_events subcollection
-            await userDocRef.collection('user_events').add({
+            await this.storage.addUserEvent(this.userKey, {
                 eventType: 'preference',
                 preferenceType: type,
                 value: value,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp(),
                 sessionId: this.sessionId
             });
             
         } catch (error) {
-            console.error("Error updating preferences in Firebase:", error);
+            console.error("Error updating stored preferences:", error);
         }
     }
     
@@ -331,17 +564,36 @@ class UserAnalytics {
     }
     
     logEvent(event_type, details = {}) {
+        if (!this.consent.isGranted('analytics')) return;
+        
+        // Events are stored in the schema's current shape; ones that don't fit
+        // are dropped here rather than quarantined by the server later
+        if (this.eventSchema) {
+            const checked = this.eventSchema.check(event_type, details);
+            if (checked.errors.length) {
+                this.rejectedEvents++;
+                console.warn(`Analytics event ${event_type} rejected:`, checked.errors.join('; '));
+                return;
+            }
+            event_type = checked.eventType;
+            details = checked.details;
+        }
+        
+        // Keeps the server session alive; after 30 idle minutes a new one is started
+        this.identity.recordActivity();
+        
         // Add user and session info
         const eventData = {
             timestamp: new Date(),
-            sessionId: this.sessionId,
+            session_id: this.sessionId,
+            visitor_id: this.userKey,
             sessionDuration: Math.floor((new Date() - this.sessionStartTime) / 1000),
             ip: this.userProfile.ip,
             location: this.userProfile.location,
             device: this.userProfile.device,
             browser: this.userProfile.browser,
             user_id: this.userId,
-            user_email: this.userEmail,
+            user_email: this.consent.isStrictMode() ? null : this.userEmail,
             isAuthenticated: this.isAuthenticated,
             returning: this.userProfile.returning,
             previousVisits: this.previousVisits || 0,
@@ -357,46 +609,49 @@ class UserAnalytics {
         
         console.log(`Analytics event: ${event_type}`, eventData);
         
-        // Send to Firebase if available
-        if (firebase && firebase.firestore && this.userProfile.ip) {
-            try {
-                const db = firebase.firestore();
-                
-                // Log in users_by_ip collection
-                db.collection('users_by_ip')
-                  .doc(this.userProfile.ip)
-                  .collection('sessions')
-                  .doc(this.sessionId)
-                  .collection('events')
-                  .add({
-                      eventType: event_type,
-                      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-                      ...details
-                  });
-                
-                // Update session summary
-                db.collection('users_by_ip')
-                  .doc(this.userProfile.ip)
-                  .collection('sessions')
-                  .doc(this.sessionId)
-                  .set({
-                      startTime: firebase.firestore.Timestamp.fromDate(this.sessionStartTime),
-                      lastActivity: firebase.firestore.FieldValue.serverTimestamp(),
-                      pageViews: this.sessionData.pageViews,
-                      duration: Math.floor((new Date() - this.sessionStartTime) / 1000),
-                      userAgent: navigator.userAgent,
-                      device: this.userProfile.device,
-                      searches: this.sessionData.searches.length,
-                      interactions: this.sessionData.interactions.length
-                  }, { merge: true });
-                
-            } catch (e) {
-                console.warn("Firebase logging error:", e);
+        if (details.venueId) {
+            this.sessionData.currentVenue = { placeId: details.venueId, name: details.venueName || null };
+        }
+        
+        // Queue for the storage backend along with the latest session summary.
+        // Signed-in events carry the uid so the server can count registered users.
+        if (this.userKey) {
+            const queuedDetails = this.isAuthenticated && this.userId
+                ? { user_id: this.userId, ...details }
+                : details;
+            this.eventQueue.enqueue({
+                target: 'session',
+                eventType: event_type,
+                userKey: this.userKey,
+                sessionId: this.sessionId,
+                details: queuedDetails,
+                summary: {
+                    startTime: this.sessionStartTime.toISOString(),
+                    pageViews: this.sessionData.pageViews,
+                    duration: Math.floor((new Date() - this.sessionStartTime) / 1000),
+                    userAgent: this.getUserAgent(),
+                    device: this.userProfile.device,
+                    searches: this.sessionData.searches.length,
+                    interactions: this.sessionData.interactions.length,
+                    lastEventType: event_type,
+                    currentPage: typeof window !== 'undefined' ? window.location.pathname : null,
+                    currentVenue: this.sessionData.currentVenue,
+                    location: this.getSessionLocation()
+                }
+            });
+            
+            if (this.reportQueue && this.reportedEventTypes.has(event_type)) {
+                this.reportQueue.enqueue({
+                    eventType: event_type,
+                    userKey: this.userKey,
+                    sessionId: this.sessionId,
+                    details: queuedDetails
+                });
             }
         }
         
         // If Firebase Analytics is available, log there too
-        if (firebase && firebase.analytics) {
+        if (typeof firebase !== 'undefined' && firebase.analytics) {
             try {
                 firebase.analytics().logEvent(event_type, eventData);
             } catch (e) {
@@ -405,8 +660,41 @@ class UserAnalytics {
         }
     }
     
+    // Where the real-time view places this session; coordinates are already
+    // dropped in strict mode (see applyPrivacyMode)
+    getSessionLocation() {
+        if (this.sessionData.location) return this.sessionData.location;
+        const location = this.userProfile.location;
+        if (!location) return null;
+        return {
+            latitude: location.latitude || null,
+            longitude: location.longitude || null,
+            city: location.city || null,
+            country: location.country || null
+        };
+    }
+    
+    // Analytics never needs more than ~1 km, and strict mode keeps only the country
+    toSessionLocation(location) {
+        if (this.consent.isStrictMode()) {
+            return { latitude: null, longitude: null, city: null, country: location.country, precision: location.precision };
+        }
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            latitude: round(location.lat),
+            longitude: round(location.lng),
+            city: location.city,
+            country: location.country,
+            precision: location.precision
+        };
+    }
+    
+    getUserAgent() {
+        return typeof navigator !== 'undefined' ? navigator.userAgent : 'Unknown';
+    }
+    
     getDeviceInfo() {
-        const ua = navigator.userAgent;
+        const ua = this.getUserAgent();
         if (/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(ua)) {
             return 'mobile';
         } else if (/iPad|Tablet|PlayBook/i.test(ua)) {
@@ -416,7 +704,7 @@ class UserAnalytics {
     }
     
     getBrowserInfo() {
-        const ua = navigator.userAgent;
+        const ua = this.getUserAgent();
         if (ua.indexOf("Chrome") > -1) return "Chrome";
         if (ua.indexOf("Safari") > -1) return "Safari";
         if (ua.indexOf("Firefox") > -1) return "Firefox";
@@ -447,6 +735,30 @@ class UserAnalytics {
         };
     }
     
+    /**
+     * Stored preferences plus this session's, in the shape VenueRecommender
+     * expects. Counters are added up; the latest rating and distance choice win.
+     */
+    getPreferenceProfile() {
+        const stored = this.storedPreferences || {};
+        const session = this.sessionData.casinoPreferences;
+        const addCounts = (a = {}, b = {}) => {
+            const sum = { ...a };
+            Object.entries(b).forEach(([key, count]) => {
+                sum[key] = (sum[key] || 0) + count;
+            });
+            return sum;
+        };
+        
+        return {
+            categories: addCounts(stored.categories, session.viewed),
+            amenities: addCounts(stored.amenities, session.amenitiesSelected),
+            clicked: addCounts(stored.clicked, session.clicked),
+            ratingPreference: session.ratingPreference || stored.ratingPreference || null,
+            distancePreference: session.distancePreference || stored.distancePreference || null
+        };
+    }
+    
     getTopInterests() {
         // Extract interests from interactions
         const interests = {};
@@ -462,115 +774,14 @@ class UserAnalytics {
             .slice(0, 3)
             .map(entry => entry[0]);
     }
-
-    async createPost(text, videoFile) {
-        if (!firebase || !firebase.firestore || !firebase.storage) {
-            console.error("Firebase not initialized.");
-            return;
-        }
-
-        try {
-            const db = firebase.firestore();
-            const storage = firebase.storage();
-            const userId = this.userId || "anonymous";
-
-            // Upload video if provided
-            let videoUrl = null;
-            if (videoFile) {
-                const videoRef = storage.ref(`posts/${userId}/${Date.now()}_${videoFile.name}`);
-                const snapshot = await videoRef.put(videoFile);
-                videoUrl = await snapshot.ref.getDownloadURL();
-            }
-
-            // Save post to Firestore
-            const post = {
-                userId,
-                username: this.userProfile.username || "Anonymous",
-                text,
-                videoUrl,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            };
-
-            await db.collection("posts").add(post);
-            console.log("Post created:", post);
-
-            // Reload posts
-            this.loadPosts();
-        } catch (error) {
-            console.error("Error creating post:", error);
-        }
-    }
-
-    async loadPosts() {
-        if (!firebase || !firebase.firestore) {
-            console.error("Firebase not initialized.");
-            return;
-        }
-
-        try {
-            const db = firebase.firestore();
-            const postsContainer = document.getElementById("postsContainer");
-            postsContainer.innerHTML = ""; // Clear existing posts
-
-            const querySnapshot = await db.collection("posts").orderBy("timestamp", "desc").get();
-            querySnapshot.forEach((doc, index) => {
-                const post = doc.data();
-                const postElement = this.createPostElement(post);
-
-                // Insert ad after every 5 posts
-                if (index > 0 && index % 5 === 0) {
-                    const adElement = this.createAdElement();
-                    postsContainer.appendChild(adElement);
-                }
-
-                postsContainer.appendChild(postElement);
-            });
-        } catch (error) {
-            console.error("Error loading posts:", error);
-        }
-    }
-
-    createPostElement(post) {
-        const postDiv = document.createElement("div");
-        postDiv.className = "post";
-
-        const usernameDiv = document.createElement("div");
-        usernameDiv.className = "post-username";
-        usernameDiv.textContent = post.username;
-
-        const textDiv = document.createElement("div");
-        textDiv.className = "post-text";
-        textDiv.textContent = post.text;
-
-        postDiv.appendChild(usernameDiv);
-        postDiv.appendChild(textDiv);
-
-        if (post.videoUrl) {
-            const video = document.createElement("video");
-            video.src = post.videoUrl;
-            video.controls = true;
-            video.style.maxWidth = "100%";
-            postDiv.appendChild(video);
-        }
-
-        return postDiv;
-    }
-
-    createAdElement() {
-        const adDiv = document.createElement("div");
-        adDiv.className = "ad";
-        adDiv.textContent = "Your Ad Here!";
-        adDiv.style.background = "#f0f0f0";
-        adDiv.style.padding = "10px";
-        adDiv.style.textAlign = "center";
-        return adDiv;
-    }
 }
 
 // Initialize analytics when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.userAnalytics = new UserAnalytics();
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.userAnalytics = new UserAnalytics();
+    });
+}
 
 // Helper function for tracking events globally
 function trackEvent(eventName, details = {}) {
@@ -583,20 +794,3 @@ function trackEvent(eventName, details = {}) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { UserAnalytics, trackEvent };
 }
-
-// Initialize analytics and set up post functionality
-document.addEventListener("DOMContentLoaded", () => {
-    const analytics = new UserAnalytics();
-
-    const submitPostBtn = document.getElementById("submitPostBtn");
-    if (submitPostBtn) {
-        submitPostBtn.addEventListener("click", async () => {
-            const postText = document.getElementById("postText").value;
-            const postVideo = document.getElementById("postVideo").files[0];
-            await analytics.createPost(postText, postVideo);
-        });
-    }
-
-    // Load posts on page load
-    analytics.loadPosts();
-});
@@ -0,0 +1,683 @@
+/**
+ * User Library
+ * Favorite venues, saved searches and named venue lists. Anonymous visitors
+ * keep their library in localStorage; signed-in users keep it in Firestore
+ * (user_libraries/{uid} plus one venue_lists doc per list, which is what makes
+ * lists shareable by link). Whatever was collected anonymously is merged into
+ * the account when auth_state_changed reports a sign-in.
+ */
+
+// Search form fields worth keeping in a saved search
+const SAVED_SEARCH_FIELDS = ['query', 'category', 'rating', 'amenities', 'radius', 'lat', 'lng', 'place_id'];
+
+function createLibraryId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+function emptyLibrary() {
+    return { favorites: {}, searches: [], lists: {} };
+}
+
+// The parts of a venue worth storing; works for Places results and local venues
+function toVenueSummary(venue) {
+    const location = venue.location || (venue.geometry && venue.geometry.location) || null;
+    return {
+        place_id: venue.place_id,
+        name: venue.name || '',
+        vicinity: venue.vicinity || venue.formatted_address || '',
+        rating: venue.rating || null,
+        venueType: venue.venueType || null,
+        location: location ? {
+            lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+            lng: typeof location.lng === 'function' ? location.lng() : location.lng
+        } : null
+    };
+}
+
+// Identical searches saved twice are kept once
+function searchKey(params) {
+    return JSON.stringify(SAVED_SEARCH_FIELDS.map(field => params[field] || ''));
+}
+
+/**
+ * Merges an anonymous library into an account's. Account entries win on
+ * conflicts; anonymous lists are returned separately since they still need
+ * uploading as new venue_lists documents.
+ */
+function mergeLibraries(account, anonymous) {
+    const merged = {
+        favorites: { ...anonymous.favorites, ...account.favorites },
+        searches: [...account.searches],
+        lists: { ...account.lists }
+    };
+
+    const known = new Set(merged.searches.map(search => searchKey(search.params)));
+    anonymous.searches.forEach(search => {
+        if (!known.has(searchKey(search.params))) {
+            merged.searches.push(search);
+            known.add(searchKey(search.params));
+        }
+    });
+
+    return { merged, pendingLists: Object.values(anonymous.lists) };
+}
+
+class UserLibrary {
+    /**
+     * @param {Object} options
+     * @param {string} [options.storageKey='userLibrary'] - localStorage key for the anonymous library
+     * @param {string} [options.searchUrl='/mw'] - Page saved searches are re-run on
+     * @param {Function} [options.resolveVenue] - (placeId) => venue, for favorite buttons
+     * @param {Function} [options.onShowVenue] - Called with a stored venue summary to show it on the map
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'userLibrary';
+        this.searchUrl = options.searchUrl || '/mw';
+        this.resolveVenue = options.resolveVenue || (() => null);
+        this.onShowVenue = options.onShowVenue || null;
+        this.onEvent = options.onEvent || (() => {});
+
+        this.userId = null;
+        this.library = this.loadLocal();
+        this.listeners = [];
+        this.syncing = null;
+    }
+
+    get db() {
+        return firebase.firestore();
+    }
+
+    get hasFirestore() {
+        return typeof firebase !== 'undefined' && !!firebase.firestore;
+    }
+
+    // The page initializes the Firebase app after its own startup work, so
+    // anything running at page load waits for it
+    whenFirebaseReady(timeout = 10000) {
+        const started = Date.now();
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (this.hasFirestore && firebase.apps.length > 0) {
+                    resolve();
+                } else if (Date.now() - started > timeout) {
+                    reject(new Error("Firebase was not initialized"));
+                } else {
+                    setTimeout(check, 200);
+                }
+            };
+            check();
+        });
+    }
+
+    loadLocal() {
+        if (typeof localStorage === 'undefined') return emptyLibrary();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return saved ? { ...emptyLibrary(), ...saved } : emptyLibrary();
+        } catch (e) {
+            console.warn("Discarding unreadable user library:", e);
+            return emptyLibrary();
+        }
+    }
+
+    saveLocal() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.library));
+        } catch (e) {
+            console.warn("Failed to save user library:", e);
+        }
+    }
+
+    clearLocal() {
+        if (typeof localStorage !== 'undefined') localStorage.removeItem(this.storageKey);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.library);
+            } catch (e) {
+                console.error("User library listener failed:", e);
+            }
+        });
+    }
+
+    // --- Persistence --------------------------------------------------------
+
+    async loadRemote(userId) {
+        const libraryDoc = await this.db.collection('user_libraries').doc(userId).get();
+        const data = libraryDoc.exists ? libraryDoc.data() : {};
+
+        const listsSnapshot = await this.db.collection('venue_lists').where('ownerId', '==', userId).get();
+        const lists = {};
+        listsSnapshot.forEach(doc => {
+            lists[doc.id] = { id: doc.id, ...doc.data() };
+        });
+
+        return {
+            favorites: data.favorites || {},
+            searches: data.searches || [],
+            lists
+        };
+    }
+
+    // Favorites and searches live together; each list is its own document
+    async persist() {
+        if (!this.userId) {
+            this.saveLocal();
+            return;
+        }
+
+        await this.db.collection('user_libraries').doc(this.userId).set({
+            favorites: this.library.favorites,
+            searches: this.library.searches,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    async persistList(list) {
+        if (!this.userId) {
+            this.saveLocal();
+            return;
+        }
+
+        await this.db.collection('venue_lists').doc(list.id).set({
+            ownerId: this.userId,
+            name: list.name,
+            venues: list.venues,
+            createdAt: list.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    async deleteListDoc(listId) {
+        if (this.userId) {
+            await this.db.collection('venue_lists').doc(listId).delete();
+        } else {
+            this.saveLocal();
+        }
+    }
+
+    // --- Auth -----------------------------------------------------------------
+
+    handleAuthChange(event) {
+        const user = event.detail && event.detail.user;
+        if (user && user.uid !== this.userId) {
+            this.syncing = this.signIn(user.uid);
+        } else if (!user && this.userId) {
+            this.signOut();
+        }
+    }
+
+    // Switches to the account's library, folding in anything collected anonymously
+    async signIn(userId) {
+        if (!this.hasFirestore) return;
+
+        try {
+            const account = await this.loadRemote(userId);
+            const anonymous = this.loadLocal();
+            const { merged, pendingLists } = mergeLibraries(account, anonymous);
+
+            this.userId = userId;
+            this.library = merged;
+
+            for (const list of pendingLists) {
+                const uploaded = { ...list, id: this.db.collection('venue_lists').doc().id };
+                this.library.lists[uploaded.id] = uploaded;
+                await this.persistList(uploaded);
+            }
+
+            const hadAnonymousData = Object.keys(anonymous.favorites).length > 0 ||
+                anonymous.searches.length > 0 || pendingLists.length > 0;
+            if (hadAnonymousData) {
+                await this.persist();
+                console.log("Merged anonymous favorites, searches and lists into the account");
+            }
+
+            // The anonymous copy now lives in the account
+            this.clearLocal();
+            this.notify();
+        } catch (error) {
+            console.error("Error loading user library:", error);
+        }
+    }
+
+    signOut() {
+        this.userId = null;
+        this.library = this.loadLocal();
+        this.notify();
+    }
+
+    // --- Favorites ------------------------------------------------------------
+
+    isFavorite(placeId) {
+        return !!this.library.favorites[placeId];
+    }
+
+    getFavorites() {
+        return Object.values(this.library.favorites)
+            .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    }
+
+    async toggleFavorite(venue) {
+        const placeId = venue.place_id;
+        const adding = !this.isFavorite(placeId);
+
+        if (adding) {
+            this.library.favorites[placeId] = { ...toVenueSummary(venue), savedAt: new Date().toISOString() };
+        } else {
+            delete this.library.favorites[placeId];
+        }
+
+        this.notify();
+        this.onEvent(adding ? 'favorite_added' : 'favorite_removed', { venueId: placeId, venueName: venue.name });
+        await this.persist();
+        return adding;
+    }
+
+    // --- Saved searches -------------------------------------------------------
+
+    // Reads the saveable fields out of a search form
+    getSearchParams(form) {
+        const data = new FormData(form);
+        const params = {};
+        SAVED_SEARCH_FIELDS.forEach(field => {
+            const value = data.get(field);
+            if (value) params[field] = value;
+        });
+        return params;
+    }
+
+    async saveSearch(name, params) {
+        const key = searchKey(params);
+        const existing = this.library.searches.find(search => searchKey(search.params) === key);
+        if (existing) {
+            existing.name = name || existing.name;
+        } else {
+            this.library.searches.unshift({
+                id: createLibraryId('search'),
+                name: name || params.query || 'Saved search',
+                params,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        this.notify();
+        this.onEvent('search_saved', { query: params.query || '' });
+        await this.persist();
+    }
+
+    async removeSearch(searchId) {
+        this.library.searches = this.library.searches.filter(search => search.id !== searchId);
+        this.notify();
+        await this.persist();
+    }
+
+    getSearchUrl(search) {
+        return `${this.searchUrl}?${new URLSearchParams(search.params).toString()}`;
+    }
+
+    // --- Lists ----------------------------------------------------------------
+
+    getLists() {
+        return Object.values(this.library.lists)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    }
+
+    async createList(name) {
+        const id = this.userId ? this.db.collection('venue_lists').doc().id : createLibraryId('list');
+        const list = { id, name, venues: [], createdAt: new Date().toISOString() };
+        this.library.lists[id] = list;
+        this.notify();
+        await this.persistList(list);
+        return list;
+    }
+
+    async deleteList(listId) {
+        delete this.library.lists[listId];
+        this.notify();
+        await this.deleteListDoc(listId);
+    }
+
+    async addToList(listId, venue) {
+        const list = this.library.lists[listId];
+        if (!list || list.venues.some(v => v.place_id === venue.place_id)) return;
+
+        list.venues.push(toVenueSummary(venue));
+        this.notify();
+        await this.persistList(list);
+    }
+
+    async removeFromList(listId, placeId) {
+        const list = this.library.lists[listId];
+        if (!list) return;
+
+        list.venues = list.venues.filter(v => v.place_id !== placeId);
+        this.notify();
+        await this.persistList(list);
+    }
+
+    // Only lists stored in Firestore can be opened by someone else
+    getShareUrl(listId) {
+        if (!this.userId || !this.library.lists[listId]) return null;
+        const base = typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : '/';
+        return `${base}?list=${encodeURIComponent(listId)}`;
+    }
+
+    async loadSharedList(listId) {
+        await this.whenFirebaseReady();
+        const doc = await this.db.collection('venue_lists').doc(listId).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    }
+
+    // --- UI -------------------------------------------------------------------
+
+    favoriteButtonHtml(placeId) {
+        const active = this.isFavorite(placeId);
+        return `<button type="button" class="favorite-btn${active ? ' active' : ''}" data-place-id="${escapeHtml(placeId)}"
+            title="${active ? 'Remove from favorites' : 'Add to favorites'}"><i class="${active ? 'fas' : 'far'} fa-heart"></i></button>`;
+    }
+
+    // Keeps every favorite button on the page in step with the library
+    refreshFavoriteButtons() {
+        document.querySelectorAll('.favorite-btn[data-place-id]').forEach(button => {
+            const active = this.isFavorite(button.getAttribute('data-place-id'));
+            button.classList.toggle('active', active);
+            button.title = active ? 'Remove from favorites' : 'Add to favorites';
+            const icon = button.querySelector('i');
+            if (icon) icon.className = `${active ? 'fas' : 'far'} fa-heart`;
+        });
+    }
+
+    // Favorite buttons are rendered in info windows and cards that come and go,
+    // so clicks are handled once at the document level
+    bindFavoriteButtons() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.favorite-btn[data-place-id]');
+            if (!button) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const placeId = button.getAttribute('data-place-id');
+            const venue = this.resolveVenue(placeId) || this.library.favorites[placeId];
+            if (venue) this.toggleFavorite(venue);
+        });
+        this.onChange(() => this.refreshFavoriteButtons());
+    }
+
+    bindSaveSearchButton(button, form) {
+        button.addEventListener('click', () => {
+            const params = this.getSearchParams(form);
+            if (Object.keys(params).length === 0) {
+                alert("Enter a search or pick some filters first.");
+                return;
+            }
+
+            const name = prompt("Name this search:", params.query || '');
+            if (name === null) return;
+            this.saveSearch(name.trim(), params);
+        });
+    }
+
+    getPanel() {
+        let panel = document.getElementById('libraryPanel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'libraryPanel';
+            panel.className = 'library-panel';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', 'Saved venues and searches');
+            document.body.appendChild(panel);
+            panel.addEventListener('click', (e) => this.handlePanelClick(e));
+            this.onChange(() => {
+                if (panel.style.display === 'block' && !panel.dataset.sharedList) this.renderPanel();
+            });
+        }
+        return panel;
+    }
+
+    showPanel() {
+        const panel = this.getPanel();
+        delete panel.dataset.sharedList;
+        this.renderPanel();
+        panel.style.display = 'block';
+    }
+
+    hidePanel() {
+        const panel = document.getElementById('libraryPanel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    renderVenueRow(venue, actions) {
+        return `
+            <li class="library-venue">
+                <div>
+                    <a href="#" data-library-action="show" data-place-id="${escapeHtml(venue.place_id)}">${escapeHtml(venue.name)}</a>
+                    <div class="library-meta">${escapeHtml(venue.vicinity)}</div>
+                </div>
+                <div class="library-actions">${actions}</div>
+            </li>
+        `;
+    }
+
+    renderPanel() {
+        const panel = this.getPanel();
+        const lists = this.getLists();
+        const listOptions = lists.map(list =>
+            `<option value="${escapeHtml(list.id)}">${escapeHtml(list.name)}</option>`).join('');
+
+        const favorites = this.getFavorites().map(venue => this.renderVenueRow(venue, `
+            ${lists.length > 0 ? `<select data-library-action="add-to-list" data-place-id="${escapeHtml(venue.place_id)}">
+                <option value="">Add to list...</option>${listOptions}</select>` : ''}
+            ${this.favoriteButtonHtml(venue.place_id)}
+        `)).join('');
+
+        const searches = this.library.searches.map(search => `
+            <li class="library-venue">
+                <div>
+                    <a href="${escapeHtml(this.getSearchUrl(search))}">${escapeHtml(search.name)}</a>
+                    <div class="library-meta">${escapeHtml(Object.entries(search.params)
+                        .filter(([field]) => !['lat', 'lng', 'place_id'].includes(field))
+                        .map(([field, value]) => `${field}: ${value}`).join(', '))}</div>
+                </div>
+                <div class="library-actions">
+                    <button type="button" data-library-action="remove-search" data-search-id="${escapeHtml(search.id)}">Delete</button>
+                </div>
+            </li>
+        `).join('');
+
+        const listsHtml = lists.map(list => `
+            <li class="library-list">
+                <div class="library-list-header">
+                    <strong>${escapeHtml(list.name)}</strong> (${list.venues.length})
+                    <span class="library-actions">
+                        <button type="button" data-library-action="share-list" data-list-id="${escapeHtml(list.id)}">Share</button>
+                        <button type="button" data-library-action="delete-list" data-list-id="${escapeHtml(list.id)}">Delete</button>
+                    </span>
+                </div>
+                <ul>${list.venues.map(venue => this.renderVenueRow(venue, `
+                    <button type="button" data-library-action="remove-from-list" data-list-id="${escapeHtml(list.id)}"
+                        data-place-id="${escapeHtml(venue.place_id)}">Remove</button>
+                `)).join('')}</ul>
+            </li>
+        `).join('');
+
+        panel.innerHTML = `
+            <button type="button" class="library-close" data-library-action="close" aria-label="Close">&times;</button>
+            <h2>Saved</h2>
+            ${this.userId ? '' : '<p class="library-meta">Sign in to keep these on every device and to share lists.</p>'}
+            <h3>Favorite venues</h3>
+            <ul>${favorites || '<li class="library-meta">Tap the heart on a venue to save it here.</li>'}</ul>
+            <h3>Saved searches</h3>
+            <ul>${searches || '<li class="library-meta">Use "Save search" next to the search box.</li>'}</ul>
+            <h3>Lists <button type="button" data-library-action="create-list">New list</button></h3>
+            <ul>${listsHtml || '<li class="library-meta">No lists yet.</li>'}</ul>
+        `;
+        this.refreshFavoriteButtons();
+    }
+
+    // Read-only view of a list opened from a share link
+    async showSharedList(listId) {
+        const panel = this.getPanel();
+        panel.dataset.sharedList = listId;
+        panel.innerHTML = '<p class="library-meta">Loading shared list...</p>';
+        panel.style.display = 'block';
+
+        try {
+            const list = await this.loadSharedList(listId);
+            if (!list) {
+                panel.innerHTML = `
+                    <button type="button" class="library-close" data-library-action="close" aria-label="Close">&times;</button>
+                    <p>This list doesn't exist or is no longer shared.</p>
+                `;
+                return;
+            }
+
+            this.sharedList = list;
+            panel.innerHTML = `
+                <button type="button" class="library-close" data-library-action="close" aria-label="Close">&times;</button>
+                <h2>${escapeHtml(list.name)}</h2>
+                <ul>${(list.venues || []).map(venue => this.renderVenueRow(venue, this.favoriteButtonHtml(venue.place_id))).join('')}</ul>
+            `;
+            this.onEvent('shared_list_opened', { listId });
+        } catch (error) {
+            console.error("Error loading shared list:", error);
+            panel.innerHTML = `
+                <button type="button" class="library-close" data-library-action="close" aria-label="Close">&times;</button>
+                <p>Couldn't load this list. Please try again later.</p>
+            `;
+        }
+    }
+
+    findStoredVenue(placeId) {
+        if (this.library.favorites[placeId]) return this.library.favorites[placeId];
+        const lists = [...Object.values(this.library.lists), ...(this.sharedList ? [this.sharedList] : [])];
+        for (const list of lists) {
+            const venue = (list.venues || []).find(v => v.place_id === placeId);
+            if (venue) return venue;
+        }
+        return null;
+    }
+
+    async handlePanelClick(e) {
+        const target = e.target.closest('[data-library-action]');
+        if (!target || target.tagName === 'SELECT') return;
+
+        const action = target.getAttribute('data-library-action');
+        const listId = target.getAttribute('data-list-id');
+        const placeId = target.getAttribute('data-place-id');
+
+        switch (action) {
+            case 'close':
+                this.hidePanel();
+                break;
+            case 'show': {
+                e.preventDefault();
+                const venue = this.findStoredVenue(placeId);
+                if (venue && this.onShowVenue) {
+                    this.hidePanel();
+                    this.onShowVenue(venue);
+                }
+                break;
+            }
+            case 'remove-search':
+                await this.removeSearch(target.getAttribute('data-search-id'));
+                break;
+            case 'create-list': {
+                const name = prompt("List name:");
+                if (name && name.trim()) await this.createList(name.trim());
+                break;
+            }
+            case 'delete-list':
+                if (confirm("Delete this list?")) await this.deleteList(listId);
+                break;
+            case 'remove-from-list':
+                await this.removeFromList(listId, placeId);
+                break;
+            case 'share-list': {
+                const url = this.getShareUrl(listId);
+                if (!url) {
+                    alert("Sign in to share lists.");
+                    break;
+                }
+                try {
+                    await navigator.clipboard.writeText(url);
+                    alert("Share link copied to clipboard.");
+                } catch (err) {
+                    prompt("Copy this link to share the list:", url);
+                }
+                this.onEvent('list_shared', { listId });
+                break;
+            }
+        }
+    }
+
+    bindPanel() {
+        this.getPanel().addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-library-action="add-to-list"]');
+            if (!select || !select.value) return;
+
+            const venue = this.findStoredVenue(select.getAttribute('data-place-id'));
+            if (venue) this.addToList(select.value, venue);
+            select.value = '';
+        });
+    }
+}
+
+// One library per page
+if (typeof window !== 'undefined') {
+    window.userLibrary = new UserLibrary({
+        resolveVenue: placeId => window.venueResults ? window.venueResults.getVenue(placeId) : null,
+        onShowVenue: venue => {
+            if (window.mapProvider && venue.location) {
+                window.mapProvider.setView(venue.location, 15);
+                document.getElementById('mapContainer')?.scrollIntoView({ behavior: 'smooth' });
+            }
+        },
+        onEvent: logAnalyticsEvent
+    });
+
+    document.addEventListener('auth_state_changed', (e) => window.userLibrary.handleAuthChange(e));
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const library = window.userLibrary;
+        library.bindFavoriteButtons();
+        library.bindPanel();
+
+        const openLink = document.getElementById('openLibrary');
+        if (openLink) {
+            openLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                library.showPanel();
+            });
+        }
+
+        const saveSearchButton = document.getElementById('saveSearchBtn');
+        const searchForm = document.getElementById('searchForm');
+        if (saveSearchButton && searchForm) {
+            library.bindSaveSearchButton(saveSearchButton, searchForm);
+        }
+
+        // Shared list links look like /?list=<id>
+        const sharedListId = new URLSearchParams(window.location.search).get('list');
+        if (sharedListId) {
+            library.showSharedList(sharedListId);
+        }
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    // The browser gets escapeHtml() from event-schema.js as a page global
+    var { escapeHtml } = require('./event-schema.js');
+
+    module.exports = { UserLibrary, mergeLibraries, toVenueSummary, SAVED_SEARCH_FIELDS };
+}
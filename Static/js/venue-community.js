@@ -0,0 +1,490 @@
+/**
+ * Venue Community
+ * First-party reviews and "I'm here" check-ins keyed by Places place_id, with
+ * an aggregated community score shown next to Google's rating.
+ *
+ * Data layout:
+ *   venues/{placeId}                        name, reviewCount, ratingTotal, checkInCount
+ *   venues/{placeId}/reviews/{uid}          one review per member: rating, text, mediaUrl, mediaType
+ *   venues/{placeId}/checkins/{uid_date}    one check-in per member per day, with the verified distance
+ *
+ * Check-ins are verified against the position captured into the search form's
+ * lat/lng inputs when the page located the visitor.
+ */
+
+// How close the visitor must be to a venue to check in
+const CHECK_IN_RADIUS_METERS = 250;
+const REVIEWS_SHOWN = 20;
+
+function resolveDistanceInMeters() {
+    if (typeof distanceInMeters === 'function') return distanceInMeters;
+    if (typeof require === 'function') return require('./map-providers.js').distanceInMeters;
+    return null;
+}
+
+function communityScore(summary) {
+    if (!summary || !summary.reviewCount) return null;
+    return Math.round((summary.ratingTotal / summary.reviewCount) * 10) / 10;
+}
+
+// Local date, so "once per day" follows the visitor's calendar
+function checkInDateKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+class VenueCommunity {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.resolveVenue] - (placeId) => venue with name and geometry.location
+     * @param {Function} [options.getVisitorPosition] - () => {lat, lng} or null
+     * @param {Function} [options.uploadMedia] - (path, file) => Promise of a download URL
+     * @param {Function} [options.onTagVenue] - Called with a venue to write a feed post about it
+     * @param {Function} [options.onEvent] - (eventType, details) for analytics
+     */
+    constructor(options = {}) {
+        this.resolveVenue = options.resolveVenue || (() => null);
+        this.getVisitorPosition = options.getVisitorPosition || (() => null);
+        this.uploadMedia = options.uploadMedia || ((path, file) => this.uploadToStorage(path, file));
+        this.onTagVenue = options.onTagVenue || null;
+        this.onEvent = options.onEvent || (() => {});
+
+        this.user = null;
+        this.summaries = new Map();
+        this.pending = new Map();
+        this.currentVenue = null;
+    }
+
+    get db() {
+        return firebase.firestore();
+    }
+
+    get hasFirestore() {
+        return typeof firebase !== 'undefined' && !!firebase.firestore && firebase.apps.length > 0;
+    }
+
+    venueRef(placeId) {
+        return this.db.collection('venues').doc(placeId);
+    }
+
+    setUser(user) {
+        this.user = user || null;
+    }
+
+    getDisplayName() {
+        if (!this.user) return 'Anonymous';
+        return this.user.displayName || (this.user.email ? this.user.email.split('@')[0] : 'Member');
+    }
+
+    // --- Summaries --------------------------------------------------------------
+
+    loadSummary(placeId) {
+        if (this.summaries.has(placeId)) return Promise.resolve(this.summaries.get(placeId));
+        if (this.pending.has(placeId)) return this.pending.get(placeId);
+        if (!this.hasFirestore) return Promise.resolve(null);
+
+        const request = this.venueRef(placeId).get()
+            .then(doc => {
+                const summary = doc.exists ? doc.data() : { reviewCount: 0, ratingTotal: 0, checkInCount: 0 };
+                this.summaries.set(placeId, summary);
+                return summary;
+            })
+            .catch(error => {
+                console.warn("Failed to load community score:", error);
+                return null;
+            })
+            .finally(() => this.pending.delete(placeId));
+
+        this.pending.set(placeId, request);
+        return request;
+    }
+
+    invalidate(placeId) {
+        this.summaries.delete(placeId);
+        return this.loadSummary(placeId).then(() => this.refreshScores(placeId));
+    }
+
+    scoreText(summary) {
+        const score = communityScore(summary);
+        const checkIns = summary && summary.checkInCount ? ` · ${summary.checkInCount} check-ins` : '';
+        if (score === null) return `No community reviews yet${checkIns}`;
+        return `Community ${score}★ (${summary.reviewCount})${checkIns}`;
+    }
+
+    /**
+     * Badge showing the community score; rendered empty and filled in once the
+     * venue's summary has loaded.
+     */
+    communityScoreHtml(placeId) {
+        const summary = this.summaries.get(placeId);
+        this.loadSummary(placeId).then(() => this.refreshScores(placeId));
+        return `<span class="community-score" data-place-id="${escapeHtml(placeId)}">${summary ? escapeHtml(this.scoreText(summary)) : ''}</span>`;
+    }
+
+    refreshScores(placeId) {
+        const summary = this.summaries.get(placeId);
+        if (!summary || typeof document === 'undefined') return;
+
+        document.querySelectorAll('.community-score[data-place-id]').forEach(badge => {
+            if (badge.getAttribute('data-place-id') === placeId) badge.textContent = this.scoreText(summary);
+        });
+    }
+
+    // Review and check-in buttons for info windows and cards
+    venueActionsHtml(placeId) {
+        const id = escapeHtml(placeId);
+        return `
+            <button type="button" class="venue-community-btn" data-venue-action="reviews" data-place-id="${id}">Reviews</button>
+            <button type="button" class="venue-community-btn" data-venue-action="check-in" data-place-id="${id}">I'm here</button>
+        `;
+    }
+
+    // --- Reviews ----------------------------------------------------------------
+
+    async getReviews(placeId) {
+        const snapshot = await this.venueRef(placeId).collection('reviews')
+            .orderBy('timestamp', 'desc')
+            .limit(REVIEWS_SHOWN)
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * Saves the member's review, replacing their earlier one, and keeps the
+     * venue's rating total in step in the same transaction.
+     */
+    async saveReview(venue, { rating, text, mediaFile }) {
+        if (!this.user) throw new Error("Sign in to review venues");
+
+        rating = parseInt(rating, 10);
+        if (!(rating >= 1 && rating <= 5)) throw new Error("Pick a rating from 1 to 5 stars");
+
+        const placeId = venue.place_id;
+        let media = {};
+        if (mediaFile) {
+            const mediaUrl = await this.uploadMedia(`reviews/${placeId}/${this.user.uid}_${Date.now()}_${mediaFile.name}`, mediaFile);
+            media = { mediaUrl, mediaType: mediaFile.type.startsWith('video/') ? 'video' : 'image' };
+        }
+
+        const summaryRef = this.venueRef(placeId);
+        const reviewRef = summaryRef.collection('reviews').doc(this.user.uid);
+        const increment = firebase.firestore.FieldValue.increment;
+
+        await this.db.runTransaction(async transaction => {
+            const previous = await transaction.get(reviewRef);
+            const previousRating = previous.exists ? previous.data().rating : null;
+
+            transaction.set(reviewRef, {
+                authorId: this.user.uid,
+                authorName: this.getDisplayName(),
+                rating,
+                text: (text || '').trim().substring(0, 1000),
+                ...(previous.exists ? {} : { mediaUrl: null, mediaType: null }),
+                ...media,
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            transaction.set(summaryRef, {
+                name: venue.name || '',
+                reviewCount: increment(previousRating === null ? 1 : 0),
+                ratingTotal: increment(rating - (previousRating || 0))
+            }, { merge: true });
+        });
+
+        this.onEvent('venue_review', { venueId: placeId, rating, hasMedia: !!mediaFile });
+        await this.invalidate(placeId);
+    }
+
+    async deleteReview(placeId) {
+        if (!this.user) return;
+
+        const summaryRef = this.venueRef(placeId);
+        const reviewRef = summaryRef.collection('reviews').doc(this.user.uid);
+        const increment = firebase.firestore.FieldValue.increment;
+
+        await this.db.runTransaction(async transaction => {
+            const review = await transaction.get(reviewRef);
+            if (!review.exists) return;
+
+            transaction.delete(reviewRef);
+            transaction.set(summaryRef, {
+                reviewCount: increment(-1),
+                ratingTotal: increment(-review.data().rating)
+            }, { merge: true });
+        });
+
+        await this.invalidate(placeId);
+    }
+
+    // --- Check-ins --------------------------------------------------------------
+
+    /**
+     * Checks the member in when their captured position is within
+     * CHECK_IN_RADIUS_METERS of the venue. Returns the verified distance.
+     */
+    async checkIn(venue) {
+        if (!this.user) throw new Error("Sign in to check in");
+
+        const position = this.getVisitorPosition();
+        if (!position) {
+            throw new Error("We need your location to verify check-ins. Allow location access and reload the page.");
+        }
+
+        const venueLocation = venue.geometry ? venue.geometry.location : venue.location;
+        if (!venueLocation) throw new Error("Find this venue on the map to check in.");
+        const distance = resolveDistanceInMeters()(position, {
+            lat: typeof venueLocation.lat === 'function' ? venueLocation.lat() : venueLocation.lat,
+            lng: typeof venueLocation.lng === 'function' ? venueLocation.lng() : venueLocation.lng
+        });
+        if (distance > CHECK_IN_RADIUS_METERS) {
+            throw new Error(`You need to be at ${venue.name} to check in (you're about ${(distance / 1609.34).toFixed(1)} mi away).`);
+        }
+
+        const summaryRef = this.venueRef(venue.place_id);
+        const checkInRef = summaryRef.collection('checkins').doc(`${this.user.uid}_${checkInDateKey()}`);
+
+        await this.db.runTransaction(async transaction => {
+            const existing = await transaction.get(checkInRef);
+            if (existing.exists) throw new Error(`You've already checked in at ${venue.name} today.`);
+
+            transaction.set(checkInRef, {
+                userId: this.user.uid,
+                authorName: this.getDisplayName(),
+                distanceMeters: Math.round(distance),
+                timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(summaryRef, {
+                name: venue.name || '',
+                checkInCount: firebase.firestore.FieldValue.increment(1),
+                lastCheckInAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+
+        this.onEvent('venue_check_in', { venueId: venue.place_id, distanceMeters: Math.round(distance) });
+        await this.invalidate(venue.place_id);
+        return distance;
+    }
+
+    // Feed posts tagged with the venue, newest first
+    async getTaggedPosts(placeId) {
+        const snapshot = await this.db.collection('posts')
+            .where('venue.placeId', '==', placeId)
+            .limit(10)
+            .get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (b.timestamp ? b.timestamp.toMillis() : 0) - (a.timestamp ? a.timestamp.toMillis() : 0));
+    }
+
+    // --- UI -----------------------------------------------------------------------
+
+    getPanel() {
+        let panel = document.getElementById('venuePanel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'venuePanel';
+            panel.className = 'venue-panel';
+            panel.setAttribute('role', 'dialog');
+            document.body.appendChild(panel);
+        }
+        return panel;
+    }
+
+    hidePanel() {
+        const panel = document.getElementById('venuePanel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    async showVenue(venue) {
+        const panel = this.getPanel();
+        this.currentVenue = venue;
+        panel.dataset.placeId = venue.place_id;
+        panel.setAttribute('aria-label', `Reviews for ${venue.name}`);
+        panel.innerHTML = '<p class="library-meta">Loading reviews...</p>';
+        panel.style.display = 'block';
+
+        try {
+            const [summary, reviews, posts] = await Promise.all([
+                this.loadSummary(venue.place_id),
+                this.getReviews(venue.place_id),
+                this.getTaggedPosts(venue.place_id).catch(() => [])
+            ]);
+            if (panel.dataset.placeId !== venue.place_id) return;
+            this.renderPanel(venue, summary, reviews, posts);
+        } catch (error) {
+            console.error("Error loading venue reviews:", error);
+            panel.innerHTML = `
+                <button type="button" class="library-close" data-venue-action="close" aria-label="Close">&times;</button>
+                <p>Couldn't load reviews. Please try again later.</p>
+            `;
+        }
+    }
+
+    renderPanel(venue, summary, reviews, posts) {
+        const panel = this.getPanel();
+        const ownReview = this.user ? reviews.find(review => review.id === this.user.uid) : null;
+        const stars = rating => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+        const reviewsHtml = reviews.map(review => `
+            <li class="venue-review">
+                <div><strong>${escapeHtml(review.authorName)}</strong>
+                    <span class="venue-review-stars">${stars(review.rating)}</span></div>
+                ${review.text ? `<div>${escapeHtml(review.text)}</div>` : ''}
+                ${review.mediaUrl ? (review.mediaType === 'video'
+                    ? `<video src="${escapeHtml(review.mediaUrl)}" controls class="venue-review-media"></video>`
+                    : `<img src="${escapeHtml(review.mediaUrl)}" alt="Photo from ${escapeHtml(review.authorName)}" class="venue-review-media">`) : ''}
+            </li>
+        `).join('');
+
+        const postsHtml = posts.map(post => `
+            <li class="venue-review">
+                <strong>${escapeHtml(post.authorName)}</strong>
+                <div>${escapeHtml(post.text)}</div>
+            </li>
+        `).join('');
+
+        const form = this.user ? `
+            <form class="venue-review-form" data-place-id="${escapeHtml(venue.place_id)}">
+                <label>Your rating
+                    <select name="rating" required>
+                        <option value="">Choose...</option>
+                        ${[5, 4, 3, 2, 1].map(n => `<option value="${n}"${ownReview && ownReview.rating === n ? ' selected' : ''}>${stars(n)}</option>`).join('')}
+                    </select>
+                </label>
+                <textarea name="text" maxlength="1000" placeholder="What was it like?">${ownReview ? escapeHtml(ownReview.text) : ''}</textarea>
+                <input type="file" name="media" accept="image/*,video/*">
+                <button type="submit">${ownReview ? 'Update review' : 'Post review'}</button>
+                ${ownReview ? '<button type="button" data-venue-action="delete-review">Delete my review</button>' : ''}
+            </form>
+        ` : '<p class="library-meta">Sign in to review this venue or check in.</p>';
+
+        panel.innerHTML = `
+            <button type="button" class="library-close" data-venue-action="close" aria-label="Close">&times;</button>
+            <h2>${escapeHtml(venue.name)}</h2>
+            <div class="library-meta">
+                Google ${venue.rating ? `${venue.rating}★` : 'N/A'} · ${escapeHtml(this.scoreText(summary))}
+            </div>
+            <div class="library-actions">
+                <button type="button" data-venue-action="check-in" data-place-id="${escapeHtml(venue.place_id)}">I'm here</button>
+                ${this.onTagVenue ? `<button type="button" data-venue-action="tag" data-place-id="${escapeHtml(venue.place_id)}">Post about this venue</button>` : ''}
+            </div>
+            <h3>Your review</h3>
+            ${form}
+            <h3>Community reviews</h3>
+            <ul>${reviewsHtml || '<li class="library-meta">No reviews yet.</li>'}</ul>
+            ${postsHtml ? `<h3>Posts from here</h3><ul>${postsHtml}</ul>` : ''}
+        `;
+    }
+
+    // Venues opened from a feed tag may not be among the loaded results
+    findVenue(placeId) {
+        return this.resolveVenue(placeId) ||
+            (this.currentVenue && this.currentVenue.place_id === placeId ? this.currentVenue : null);
+    }
+
+    // Actions are delegated so buttons in info windows and cards work too
+    bind() {
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-venue-action]');
+            if (!target) return;
+
+            const action = target.getAttribute('data-venue-action');
+            const placeId = target.getAttribute('data-place-id') || this.getPanel().dataset.placeId;
+            const venue = placeId ? this.findVenue(placeId) : null;
+
+            switch (action) {
+                case 'close':
+                    this.hidePanel();
+                    break;
+                case 'reviews':
+                    if (venue) this.showVenue(venue);
+                    break;
+                case 'check-in':
+                    if (venue) {
+                        this.runAction(async () => {
+                            const distance = await this.checkIn(venue);
+                            alert(`Checked in at ${venue.name} (${Math.round(distance)} m away).`);
+                        });
+                    }
+                    break;
+                case 'tag':
+                    if (venue && this.onTagVenue) {
+                        this.hidePanel();
+                        this.onTagVenue(venue);
+                    }
+                    break;
+                case 'delete-review':
+                    if (venue && confirm("Delete your review?")) {
+                        this.runAction(async () => {
+                            await this.deleteReview(venue.place_id);
+                            await this.showVenue(venue);
+                        });
+                    }
+                    break;
+            }
+        });
+
+        document.addEventListener('submit', (e) => {
+            const form = e.target.closest('.venue-review-form');
+            if (!form) return;
+            e.preventDefault();
+
+            const venue = this.findVenue(form.getAttribute('data-place-id'));
+            if (!venue) return;
+
+            const submit = form.querySelector('button[type="submit"]');
+            submit.disabled = true;
+            this.runAction(async () => {
+                await this.saveReview(venue, {
+                    rating: form.elements.rating.value,
+                    text: form.elements.text.value,
+                    mediaFile: form.elements.media.files[0] || null
+                });
+                await this.showVenue(venue);
+            }).finally(() => {
+                submit.disabled = false;
+            });
+        });
+    }
+
+    async runAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error("Venue community action failed:", error);
+            alert(error.message || "Something went wrong. Please try again.");
+        }
+    }
+
+    async uploadToStorage(path, file) {
+        const snapshot = await firebase.storage().ref(path).put(file);
+        return snapshot.ref.getDownloadURL();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.venueCommunity = new VenueCommunity({
+        resolveVenue: placeId => window.venueResults ? window.venueResults.getVenue(placeId) : null,
+        // Filled in by the page once the browser shares its location
+        getVisitorPosition: () => {
+            const lat = parseFloat(document.getElementById('lat')?.value);
+            const lng = parseFloat(document.getElementById('lng')?.value);
+            return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+        },
+        onTagVenue: venue => {
+            if (window.socialFeed) window.socialFeed.tagVenue(venue);
+        },
+        onEvent: logAnalyticsEvent
+    });
+
+    document.addEventListener('auth_state_changed', (e) => window.venueCommunity.setUser(e.detail && e.detail.user));
+    document.addEventListener('DOMContentLoaded', () => window.venueCommunity.bind());
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    // Outside the browser there is no page global, so take escapeHtml() from its module
+    var { escapeHtml } = require('./event-schema.js');
+
+    module.exports = { VenueCommunity, communityScore, checkInDateKey, CHECK_IN_RADIUS_METERS };
+}
@@ -0,0 +1,335 @@
+/**
+ * Venue Hours
+ * Opening hours for venues, read from Places-shaped details:
+ *
+ *   opening_hours: { periods: [{ open: { day, time }, close: { day, time } }], weekday_text }
+ *   utc_offset_minutes
+ *
+ * Days run from 0 (Sunday) and times are "HHMM" on the venue's own clock. A
+ * single period opening Sunday 0000 with no close means open 24 hours.
+ *
+ * Everything is worked out in the venue's time zone, from its UTC offset, so a
+ * visitor planning a trip sees "closes in 45 min" as it is at the venue, not
+ * where they are. VenueHoursCache looks hours up once per place_id and keeps
+ * them in localStorage, since nearby search results don't include them.
+ */
+
+// Place Details fields the hours need
+const HOURS_DETAIL_FIELDS = ['opening_hours', 'utc_offset_minutes'];
+
+const HOURS_STORAGE_KEY = 'venueHours';
+
+// Hours rarely change, but the UTC offset does with daylight saving
+const HOURS_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Entries kept in storage; the oldest lookups go first
+const HOURS_CACHE_LIMIT = 500;
+
+// Badges count down once closing or opening is this close
+const HOURS_COUNTDOWN_MINUTES = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const HOURS_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// The Google library also gives hours and minutes; "time" is what the local venue file has
+function toHoursPoint(point) {
+    if (!point || typeof point.day !== 'number') return null;
+    const pad = value => String(value || 0).padStart(2, '0');
+    return { day: point.day, time: point.time || `${pad(point.hours)}${pad(point.minutes)}` };
+}
+
+/**
+ * The hours of a Places result or details, or null when it has none.
+ * @returns {{ periods: Object[], weekdayText: string[], utcOffsetMinutes: number|null }|null}
+ */
+function toVenueHours(place) {
+    const openingHours = place && place.opening_hours;
+    if (!openingHours || !Array.isArray(openingHours.periods) || openingHours.periods.length === 0) return null;
+
+    const periods = openingHours.periods
+        .map(period => ({ open: toHoursPoint(period.open), close: toHoursPoint(period.close) }))
+        .filter(period => period.open);
+    if (periods.length === 0) return null;
+
+    const offset = place.utc_offset_minutes ?? place.utc_offset;
+    return {
+        periods,
+        weekdayText: openingHours.weekday_text || [],
+        utcOffsetMinutes: typeof offset === 'number' ? offset : null
+    };
+}
+
+// "HHMM" on a day -> minutes since Sunday 00:00
+function toWeekMinute(point) {
+    return point.day * MINUTES_PER_DAY + parseInt(point.time.slice(0, 2), 10) * 60 + parseInt(point.time.slice(2), 10);
+}
+
+/**
+ * Minutes since Sunday 00:00 on the venue's clock. Without a known UTC offset
+ * the browser's own is used.
+ */
+function getVenueWeekMinute(date, utcOffsetMinutes) {
+    const offset = typeof utcOffsetMinutes === 'number' ? utcOffsetMinutes : -date.getTimezoneOffset();
+    const local = new Date(date.getTime() + offset * 60000);
+    return local.getUTCDay() * MINUTES_PER_DAY + local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+/**
+ * Open periods as [start, end) week minutes, sorted and merged where one runs
+ * into the next, so a bar open 10 AM - midnight and midnight - 2 AM closes at 2.
+ * Ends past Saturday night run over into the next week.
+ */
+function getOpenIntervals(hours) {
+    if (!hours) return [];
+    if (hours.periods.some(period => !period.close)) return [[0, MINUTES_PER_WEEK]];
+
+    const intervals = hours.periods
+        .map(period => {
+            const start = toWeekMinute(period.open);
+            let end = toWeekMinute(period.close);
+            if (end <= start) end += MINUTES_PER_WEEK;
+            return [start, end];
+        })
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    intervals.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    // Saturday night running into Sunday's first period
+    const first = merged[0];
+    const last = merged[merged.length - 1];
+    if (merged.length > 1 && last[1] >= MINUTES_PER_WEEK + first[0]) {
+        last[1] = Math.max(last[1], MINUTES_PER_WEEK + first[1]);
+    }
+    return merged;
+}
+
+function isOpen24Hours(hours) {
+    return getOpenIntervals(hours).some(([start, end]) => end - start >= MINUTES_PER_WEEK);
+}
+
+// The open interval a week minute falls in, if any
+function findOpenInterval(intervals, minute) {
+    return intervals.find(([start, end]) =>
+        (minute >= start && minute < end) || (minute + MINUTES_PER_WEEK >= start && minute + MINUTES_PER_WEEK < end)) || null;
+}
+
+/**
+ * Whether the venue is open at a moment, and for how long.
+ * @returns {Object|null} { open, alwaysOpen, minutesUntilClose, closesAt } while open,
+ *     { open: false, minutesUntilOpen, opensAt } while closed; closesAt and opensAt
+ *     are week minutes on the venue's clock. Null when the hours aren't known.
+ */
+function getHoursStatus(hours, now = new Date()) {
+    const intervals = getOpenIntervals(hours);
+    if (intervals.length === 0) return null;
+    if (isOpen24Hours(hours)) return { open: true, alwaysOpen: true };
+
+    const minute = getVenueWeekMinute(now, hours.utcOffsetMinutes);
+    const current = findOpenInterval(intervals, minute);
+    if (current) {
+        const elapsed = minute >= current[0] ? minute : minute + MINUTES_PER_WEEK;
+        return {
+            open: true,
+            alwaysOpen: false,
+            minutesUntilClose: current[1] - elapsed,
+            closesAt: current[1] % MINUTES_PER_WEEK
+        };
+    }
+
+    const minutesUntilOpen = Math.min(...intervals.map(([start]) =>
+        ((start - minute) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK));
+    return {
+        open: false,
+        alwaysOpen: false,
+        minutesUntilOpen,
+        opensAt: (minute + minutesUntilOpen) % MINUTES_PER_WEEK
+    };
+}
+
+// "HH:MM" -> minutes since midnight, or null
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Minutes since midnight (or a week minute) -> "2 AM", "10:30 PM"
+function formatTimeOfDay(minutes) {
+    const dayMinute = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const hours = Math.floor(dayMinute / 60);
+    const mins = dayMinute % 60;
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return mins ? `${hour12}:${String(mins).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+/**
+ * Whether the venue is open the next time its clock shows timeOfDay ("HH:MM"),
+ * later today or else tomorrow, e.g. "open at 2 AM" means tonight.
+ */
+function isOpenAt(hours, timeOfDay, now = new Date()) {
+    const time = parseTimeOfDay(timeOfDay);
+    const intervals = getOpenIntervals(hours);
+    if (time === null || intervals.length === 0) return false;
+
+    const minute = getVenueWeekMinute(now, hours.utcOffsetMinutes);
+    let target = minute - minute % MINUTES_PER_DAY + time;
+    if (target < minute) target += MINUTES_PER_DAY;
+    return !!findOpenInterval(intervals, target % MINUTES_PER_WEEK);
+}
+
+/**
+ * Whether a venue's hours pass an hours filter. Venues whose hours aren't
+ * known yet (or aren't published) never do.
+ * @param {Object|null|undefined} hours - From toVenueHours()
+ * @param {string} filter - 'open_now', 'open_24_hours' or 'open_at'
+ * @param {string} [openAt] - "HH:MM" for 'open_at'
+ */
+function matchesHoursFilter(hours, filter, openAt = null, now = new Date()) {
+    if (!filter) return true;
+    if (!hours) return false;
+
+    switch (filter) {
+        case 'open_now': {
+            const status = getHoursStatus(hours, now);
+            return !!status && status.open;
+        }
+        case 'open_24_hours':
+            return isOpen24Hours(hours);
+        case 'open_at':
+            return isOpenAt(hours, openAt, now);
+        default:
+            return true;
+    }
+}
+
+/**
+ * A short badge for a status: { label, state } with state 'open', 'closing',
+ * 'opening' or 'closed', e.g. "Closes in 45 min" or "Closed · opens Fri 10 AM".
+ */
+function describeHoursStatus(status) {
+    if (!status) return null;
+    if (status.alwaysOpen) return { label: 'Open 24 hours', state: 'open' };
+
+    if (status.open) {
+        return status.minutesUntilClose <= HOURS_COUNTDOWN_MINUTES
+            ? { label: `Closes in ${status.minutesUntilClose} min`, state: 'closing' }
+            : { label: `Open until ${formatTimeOfDay(status.closesAt)}`, state: 'open' };
+    }
+
+    if (status.minutesUntilOpen <= HOURS_COUNTDOWN_MINUTES) {
+        return { label: `Opens in ${status.minutesUntilOpen} min`, state: 'opening' };
+    }
+    const day = status.minutesUntilOpen < MINUTES_PER_DAY
+        ? ''
+        : `${HOURS_DAY_NAMES[Math.floor(status.opensAt / MINUTES_PER_DAY)].slice(0, 3)} `;
+    return { label: `Closed · opens ${day}${formatTimeOfDay(status.opensAt)}`, state: 'closed' };
+}
+
+class VenueHoursCache {
+    /**
+     * @param {Object} options
+     * @param {Function} options.fetchHours - (placeId) => Promise of Place Details with
+     *     opening_hours and utc_offset_minutes (see HOURS_DETAIL_FIELDS)
+     * @param {Storage} [options.storage] - Where hours are kept between visits (localStorage)
+     * @param {number} [options.maxAge] - How long looked up hours are trusted, in ms
+     */
+    constructor(options = {}) {
+        this.fetchHours = options.fetchHours || (() => Promise.resolve(null));
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.maxAge = options.maxAge || HOURS_MAX_AGE;
+
+        // place_id -> { hours, fetchedAt }
+        this.entries = this.readCache();
+        this.pending = new Map();
+    }
+
+    // The venue's hours, null when it publishes none, undefined until looked up
+    get(placeId, now = Date.now()) {
+        const entry = this.entries[placeId];
+        if (!entry || now - entry.fetchedAt > this.maxAge) return undefined;
+        return entry.hours;
+    }
+
+    set(placeId, hours) {
+        this.entries[placeId] = { hours, fetchedAt: Date.now() };
+        this.writeCache();
+    }
+
+    // Resolves to the venue's hours, looking them up once however often it is asked
+    load(placeId) {
+        const known = this.get(placeId);
+        if (known !== undefined) return Promise.resolve(known);
+
+        if (!this.pending.has(placeId)) {
+            const lookup = Promise.resolve()
+                .then(() => this.fetchHours(placeId))
+                .then(place => {
+                    // A failed lookup isn't remembered, so it is tried again next time
+                    if (!place) return null;
+                    const hours = toVenueHours(place);
+                    this.set(placeId, hours);
+                    return hours;
+                })
+                .finally(() => this.pending.delete(placeId));
+            this.pending.set(placeId, lookup);
+        }
+        return this.pending.get(placeId);
+    }
+
+    readCache() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(HOURS_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeCache() {
+        if (!this.storage) return;
+
+        const now = Date.now();
+        const kept = Object.entries(this.entries)
+            .filter(([, entry]) => now - entry.fetchedAt <= this.maxAge)
+            .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+            .slice(0, HOURS_CACHE_LIMIT);
+        this.entries = Object.fromEntries(kept);
+
+        try {
+            this.storage.setItem(HOURS_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn("Failed to save venue hours:", error);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VenueHoursCache,
+        HOURS_DETAIL_FIELDS,
+        toVenueHours,
+        getVenueWeekMinute,
+        getOpenIntervals,
+        isOpen24Hours,
+        getHoursStatus,
+        isOpenAt,
+        matchesHoursFilter,
+        describeHoursStatus,
+        parseTimeOfDay,
+        formatTimeOfDay
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * Venue Recommender
+ * Scores venues against the preferences UserAnalytics collects (category views,
+ * amenity filters, rating and distance choices, venues clicked) together with
+ * each venue's rating and distance, and explains every score in plain words.
+ * Personalization can be switched off by the visitor; it is also off without
+ * personalization consent.
+ */
+
+// How much each signal contributes to a venue's score
+const RECOMMENDATION_WEIGHTS = {
+    rating: 0.3,
+    distance: 0.2,
+    category: 0.3,
+    amenity: 0.15,
+    visited: 0.05
+};
+
+const DEFAULT_DISTANCE_PREFERENCE = 10;
+
+const VENUE_TYPE_LABELS = {
+    casino: 'casinos',
+    poker: 'poker rooms',
+    bingo: 'bingo halls',
+    sports_book: 'sports books',
+    arcade: 'arcades',
+    entertainment: 'entertainment venues'
+};
+
+const AMENITY_LABELS = {
+    restaurant: 'a restaurant',
+    bar: 'a bar',
+    hotel: 'a hotel',
+    pool: 'a pool',
+    entertainment: 'live entertainment',
+    parking: 'free parking',
+    wheelchair: 'accessible entry'
+};
+
+// Turns a map of counters into shares of the total, e.g. {poker: 3, bingo: 1} => {poker: 0.75, bingo: 0.25}
+function toShares(counts = {}) {
+    const total = Object.values(counts).reduce((sum, count) => sum + (Number(count) || 0), 0);
+    const shares = {};
+    if (total === 0) return shares;
+
+    Object.entries(counts).forEach(([key, count]) => {
+        shares[key] = (Number(count) || 0) / total;
+    });
+    return shares;
+}
+
+class VenueRecommender {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.getProfile] - () => preference profile, see UserAnalytics.getPreferenceProfile()
+     * @param {Function} [options.matchesAmenity] - (venue, amenity) => boolean
+     * @param {Function} [options.confirmsAmenity] - (venue, amenity) => whether the venue's listing
+     *     confirms the amenity; matches that aren't confirmed are explained as a guess
+     * @param {Function} [options.hasConsent] - () => whether personalization consent is granted
+     * @param {string} [options.storageKey='personalization'] - localStorage key for the visitor's on/off choice
+     * @param {Object} [options.weights] - Overrides for RECOMMENDATION_WEIGHTS
+     */
+    constructor(options = {}) {
+        this.getProfile = options.getProfile || (() => ({}));
+        this.matchesAmenity = options.matchesAmenity || (() => false);
+        this.confirmsAmenity = options.confirmsAmenity || (() => false);
+        this.hasConsent = options.hasConsent || (() => true);
+        this.storageKey = options.storageKey || 'personalization';
+        this.weights = { ...RECOMMENDATION_WEIGHTS, ...options.weights };
+        this.listeners = [];
+    }
+
+    // On unless the visitor switched it off or declined personalization
+    isEnabled() {
+        let choice = null;
+        try {
+            choice = typeof localStorage !== 'undefined' ? localStorage.getItem(this.storageKey) : null;
+        } catch (e) {
+            choice = null;
+        }
+        return choice !== 'off' && this.hasConsent();
+    }
+
+    setEnabled(enabled) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+            }
+        } catch (e) {
+            console.warn("Failed to save personalization choice:", e);
+        }
+        this.listeners.forEach(listener => listener(this.isEnabled()));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Normalizes the raw profile so scoring only deals with shares and numbers
+    getSignals() {
+        const profile = this.getProfile() || {};
+        return {
+            categories: toShares(profile.categories),
+            amenities: toShares(profile.amenities),
+            clicked: profile.clicked || {},
+            ratingPreference: parseFloat(profile.ratingPreference) || null,
+            distancePreference: parseFloat(profile.distancePreference) || null
+        };
+    }
+
+    // True once the visitor has done anything we can personalize on
+    hasPreferences(signals = this.getSignals()) {
+        return Object.keys(signals.categories).length > 0 ||
+            Object.keys(signals.amenities).length > 0 ||
+            Object.keys(signals.clicked).length > 0 ||
+            signals.ratingPreference !== null ||
+            signals.distancePreference !== null;
+    }
+
+    /**
+     * Scores a venue between 0 and 1 and lists the reasons behind it,
+     * strongest first.
+     */
+    score(venue, signals = this.getSignals()) {
+        const reasons = [];
+        let score = 0;
+
+        const rating = venue.rating || 0;
+        score += this.weights.rating * (rating / 5);
+        if (signals.ratingPreference && rating >= signals.ratingPreference) {
+            reasons.push({ weight: 0.5, text: `Rated ${rating}★, meets your ${signals.ratingPreference}★ minimum` });
+        } else if (signals.ratingPreference && rating < signals.ratingPreference) {
+            score -= this.weights.rating / 2;
+        } else if (rating >= 4.5) {
+            reasons.push({ weight: 0.3, text: `Highly rated (${rating}★)` });
+        }
+
+        const maxDistance = signals.distancePreference || DEFAULT_DISTANCE_PREFERENCE;
+        if (venue.distance !== null && venue.distance !== undefined) {
+            score += this.weights.distance * Math.max(0, 1 - venue.distance / (maxDistance * 2));
+            if (venue.distance <= maxDistance) {
+                reasons.push({
+                    weight: signals.distancePreference ? 0.4 : 0.2,
+                    text: signals.distancePreference
+                        ? `${venue.distance.toFixed(1)} mi away, within your ${maxDistance} mile range`
+                        : `Close by (${venue.distance.toFixed(1)} mi)`
+                });
+            }
+        } else {
+            score += this.weights.distance / 2;
+        }
+
+        const venueTypes = venue.venueTypes || (venue.venueType ? [venue.venueType] : []);
+        const bestType = venueTypes
+            .map(type => ({ type, share: signals.categories[type] || 0 }))
+            .sort((a, b) => b.share - a.share)[0];
+        if (bestType && bestType.share > 0) {
+            score += this.weights.category * bestType.share;
+            reasons.push({
+                weight: bestType.share,
+                text: `You often browse ${VENUE_TYPE_LABELS[bestType.type] || bestType.type}`
+            });
+        }
+
+        const matchedAmenities = Object.entries(signals.amenities)
+            .filter(([amenity]) => this.matchesAmenity(venue, amenity))
+            .sort((a, b) => b[1] - a[1]);
+        if (matchedAmenities.length > 0) {
+            score += this.weights.amenity * matchedAmenities.reduce((sum, [, share]) => sum + share, 0);
+            // Matches going only by the venue's name are worded as the guess they are
+            const confirmed = matchedAmenities.filter(([amenity]) => this.confirmsAmenity(venue, amenity));
+            const explained = confirmed.length > 0 ? confirmed : matchedAmenities;
+            const names = explained.slice(0, 2).map(([amenity]) => AMENITY_LABELS[amenity] || amenity).join(' and ');
+            reasons.push(confirmed.length > 0
+                ? { weight: confirmed[0][1], text: `Has ${names}, which you filter for` }
+                : { weight: matchedAmenities[0][1] / 2, text: `Its name suggests ${names}, which you filter for` });
+        }
+
+        // Clicks are keyed by venue name, see logVenueInteraction()
+        if (signals.clicked[venue.name]) {
+            score += this.weights.visited;
+            reasons.push({ weight: 0.35, text: "You've looked at this venue before" });
+        }
+
+        return {
+            score: Math.max(0, Math.min(1, score)),
+            reasons: reasons.sort((a, b) => b.weight - a.weight).map(reason => reason.text)
+        };
+    }
+
+    /**
+     * Returns [{venue, score, reasons}] best first. Rating breaks ties so the
+     * order stays stable for visitors without preferences.
+     */
+    rank(venues) {
+        const signals = this.getSignals();
+        return venues
+            .map(venue => ({ venue, ...this.score(venue, signals) }))
+            .sort((a, b) => b.score - a.score || (b.venue.rating || 0) - (a.venue.rating || 0));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VenueRecommender, RECOMMENDATION_WEIGHTS, toShares };
+}
@@ -0,0 +1,532 @@
+/**
+ * Venue Results
+ * Keeps the venues found by the map searches, deduplicated by place_id, and
+ * renders them as a sortable, paged results list. Rating, radius, amenity,
+ * venue type and opening hours filters apply to the list and the map markers
+ * alike, so both always show the same venues.
+ */
+
+const MILES_TO_METERS = 1609.34;
+
+// Hours badges count down, and "open now" changes, with the clock
+const HOURS_REFRESH_MS = 60 * 1000;
+
+// Opening hours looked up at once; the list re-renders after each batch
+const HOURS_BATCH_SIZE = 5;
+
+// How each amenity filter is recognised on a Places result. Nearby search
+// results only carry types, name and vicinity; amenities listed under
+// detailField need a Place Details lookup.
+const AMENITY_MATCHERS = {
+    restaurant: { types: ['restaurant', 'food', 'meal_takeaway'], keywords: ['restaurant', 'buffet', 'grill', 'dining', 'steakhouse'] },
+    bar: { types: ['bar', 'night_club'], keywords: ['bar', 'lounge', 'pub', 'saloon'] },
+    hotel: { types: ['lodging'], keywords: ['hotel', 'resort', 'inn', 'suites'] },
+    pool: { types: [], keywords: ['pool', 'resort', 'spa'] },
+    entertainment: { types: ['night_club', 'movie_theater', 'bowling_alley', 'amusement_park'], keywords: ['live', 'theater', 'theatre', 'show', 'music', 'entertainment'] },
+    parking: { types: ['parking'], keywords: ['parking'] },
+    wheelchair: { detailField: 'wheelchair_accessible_entrance' }
+};
+
+// One nearby search per venue type; results remember which searches found them
+const VENUE_TYPE_SEARCHES = [
+    { type: 'casino', keyword: 'casino' },
+    { type: 'poker', keyword: 'poker room' },
+    { type: 'bingo', keyword: 'bingo hall' },
+    { type: 'sports_book', keyword: 'sports book' },
+    { type: 'arcade', keyword: 'arcade gaming' },
+    { type: 'entertainment', keyword: 'entertainment venue' }
+];
+
+// Marker colour per venue type; the map provider draws them as circles
+const VENUE_MARKER_STYLES = {
+    casino: { fillColor: '#e8c547', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 },
+    poker: { fillColor: '#4caf50', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 },
+    bingo: { fillColor: '#2196f3', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 },
+    arcade: { fillColor: '#ff9800', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 },
+    entertainment: { fillColor: '#9c27b0', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 },
+    sports_book: { fillColor: '#f44336', fillOpacity: 0.8, strokeWeight: 1, strokeColor: '#FFFFFF', scale: 8 }
+};
+
+// Reads lat/lng from a google.maps.LatLng or a plain { lat, lng } object
+function toLatLng(location) {
+    if (!location) return null;
+    return {
+        lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+        lng: typeof location.lng === 'function' ? location.lng() : location.lng
+    };
+}
+
+// Great-circle distance in miles
+function distanceInMiles(from, to) {
+    if (!from || !to) return null;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function resolveVenueHoursModule() {
+    if (typeof VenueHoursCache !== 'undefined') {
+        return {
+            VenueHoursCache, HOURS_DETAIL_FIELDS, toVenueHours, getHoursStatus, describeHoursStatus,
+            matchesHoursFilter, parseTimeOfDay, formatTimeOfDay
+        };
+    }
+    return require('./venue-hours.js');
+}
+
+const VENUE_SORTERS = {
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0) ||
+        (b.user_ratings_total || 0) - (a.user_ratings_total || 0),
+    distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+    name: (a, b) => (a.name || '').localeCompare(b.name || '')
+};
+
+class VenueResults {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} [options.listElement] - Container the result rows are rendered into
+     * @param {HTMLElement} [options.countElement] - Shows "Showing x of y venues"
+     * @param {HTMLSelectElement} [options.sortElement] - Sort selector (recommended, rating, distance, name)
+     * @param {HTMLElement} [options.loadMoreButton] - Shows the next page of results
+     * @param {number} [options.pageSize=10] - Rows added per page
+     * @param {Function} [options.createMarker] - (venue) => map provider marker (setVisible(), remove())
+     * @param {Function} [options.fetchDetails] - (placeId) => Promise of Place Details
+     * @param {VenueHoursCache} [options.hoursCache] - Opening hours per place_id, for the hours filters and badges
+     * @param {Function} [options.onSelect] - Called with the venue when a row is clicked
+     * @param {Function} [options.onChange] - Called with the visible venues after every update
+     * @param {Function} [options.onMarkersChange] - Called with the visible markers, e.g. to recluster
+     * @param {Function} [options.scoreVenue] - (venue) => number, enables the 'recommended' sort
+     * @param {boolean} [options.showPhotos=false] - Render a venue's photo in its row, as a card
+     */
+    constructor(options = {}) {
+        this.listElement = options.listElement || null;
+        this.countElement = options.countElement || null;
+        this.sortElement = options.sortElement || null;
+        this.loadMoreButton = options.loadMoreButton || null;
+        this.pageSize = options.pageSize || 10;
+        this.createMarker = options.createMarker || null;
+        this.fetchDetails = options.fetchDetails || null;
+        this.hoursCache = options.hoursCache || null;
+        this.onSelect = options.onSelect || null;
+        this.onChange = options.onChange || null;
+        this.onMarkersChange = options.onMarkersChange || null;
+        this.scoreVenue = options.scoreVenue || null;
+        this.showPhotos = !!options.showPhotos;
+
+        this.venues = new Map();
+        this.markers = new Map();
+        this.paginations = new Map();
+        this.origin = null;
+        this.sortBy = this.sortElement ? this.sortElement.value : 'rating';
+        // hours is 'open_now', 'open_24_hours' or 'open_at' (with openAt as "HH:MM")
+        this.filters = { minRating: 0, amenities: [], radiusMiles: null, venueType: 'all', hours: null, openAt: null };
+        this.visibleCount = this.pageSize;
+        this.selectedId = null;
+        this.loadingDetails = false;
+        this.loadingHours = false;
+        this.hoursTimer = null;
+        // Until setSearching(false), an empty list means the searches haven't answered yet
+        this.searching = true;
+
+        if (this.sortElement) {
+            this.sortElement.addEventListener('change', () => this.setSort(this.sortElement.value));
+        }
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => this.loadMore());
+        }
+        if (this.hoursCache && typeof window !== 'undefined') {
+            this.hoursTimer = setInterval(() => this.refreshHours(), HOURS_REFRESH_MS);
+        }
+    }
+
+    // Stops refreshing the hours badges, e.g. before the list is thrown away
+    stop() {
+        clearInterval(this.hoursTimer);
+        this.hoursTimer = null;
+    }
+
+    // Starts a new search around origin, removing the previous venues and markers
+    reset(origin) {
+        this.markers.forEach(marker => marker.remove());
+        this.markers.clear();
+        this.venues.clear();
+        this.paginations.clear();
+        this.origin = toLatLng(origin);
+        this.visibleCount = this.pageSize;
+        this.selectedId = null;
+        this.searching = true;
+        this.update();
+    }
+
+    // Called once every search for the current origin has answered
+    setSearching(searching) {
+        this.searching = searching;
+        this.render();
+    }
+
+    /**
+     * Adds one page of Places results for a venue type. A venue found by several
+     * venue type searches is kept once and remembers every type it matched.
+     */
+    addResults(places, venueType, pagination = null) {
+        this.paginations.set(venueType, pagination);
+
+        places.forEach(place => {
+            if (!place.place_id) return;
+
+            const existing = this.venues.get(place.place_id);
+            if (existing) {
+                if (!existing.venueTypes.includes(venueType)) existing.venueTypes.push(venueType);
+                return;
+            }
+
+            const location = toLatLng(place.geometry && place.geometry.location);
+            const { toVenueHours: readHours } = resolveVenueHoursModule();
+            const venue = {
+                ...place,
+                venueType: venueType,
+                venueTypes: [venueType],
+                location: location,
+                distance: distanceInMiles(this.origin, location),
+                details: null,
+                // undefined until looked up, null when the venue publishes none
+                hours: readHours(place) || (this.hoursCache ? this.hoursCache.get(place.place_id) : undefined)
+            };
+            this.venues.set(place.place_id, venue);
+
+            if (this.createMarker) {
+                this.markers.set(place.place_id, this.createMarker(venue));
+            }
+        });
+
+        this.update();
+    }
+
+    getVenue(placeId) {
+        return this.venues.get(placeId) || null;
+    }
+
+    getMarker(placeId) {
+        return this.markers.get(placeId) || null;
+    }
+
+    setFilters(filters = {}) {
+        this.filters = { ...this.filters, ...filters };
+        this.visibleCount = this.pageSize;
+        this.update();
+
+        if (this.needsDetails()) this.loadMissingDetails();
+    }
+
+    setSort(sortBy) {
+        if (!this.getSorter(sortBy)) return;
+        this.sortBy = sortBy;
+        if (this.sortElement && this.sortElement.value !== sortBy) this.sortElement.value = sortBy;
+        this.render();
+    }
+
+    // True when the venue's Places types or details list the amenity, rather
+    // than its name or address merely hinting at it
+    confirmsAmenity(venue, amenity) {
+        const matcher = AMENITY_MATCHERS[amenity];
+        if (!matcher) return false;
+
+        if (matcher.detailField) {
+            return !!(venue.details && venue.details[matcher.detailField]);
+        }
+
+        const types = venue.types || [];
+        return matcher.types.some(type => types.includes(type));
+    }
+
+    matchesAmenity(venue, amenity) {
+        const matcher = AMENITY_MATCHERS[amenity];
+        if (!matcher) return true;
+        if (this.confirmsAmenity(venue, amenity)) return true;
+        if (!matcher.keywords) return false;
+
+        const text = `${venue.name || ''} ${venue.vicinity || ''}`.toLowerCase();
+        return matcher.keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(text));
+    }
+
+    matchesFilters(venue, ignoreHours = false) {
+        const { minRating, amenities, radiusMiles, venueType, hours, openAt } = this.filters;
+        const { matchesHoursFilter: matchesHours } = resolveVenueHoursModule();
+
+        if (venueType && venueType !== 'all' && !venue.venueTypes.includes(venueType)) return false;
+        if (minRating && (venue.rating || 0) < minRating) return false;
+        if (radiusMiles && (venue.distance === null || venue.distance > radiusMiles)) return false;
+        if (hours && !ignoreHours && !matchesHours(venue.hours, hours, openAt)) return false;
+        return amenities.every(amenity => this.matchesAmenity(venue, amenity));
+    }
+
+    // The recommended order is only available when a scoreVenue option was given
+    getSorter(sortBy) {
+        if (sortBy === 'recommended') {
+            if (!this.scoreVenue) return null;
+            // Scored once per sort rather than on every comparison
+            const scores = new Map();
+            const scoreOf = venue => {
+                if (!scores.has(venue.place_id)) scores.set(venue.place_id, this.scoreVenue(venue));
+                return scores.get(venue.place_id);
+            };
+            return (a, b) => scoreOf(b) - scoreOf(a) || VENUE_SORTERS.rating(a, b);
+        }
+        return VENUE_SORTERS[sortBy] || null;
+    }
+
+    // Every venue passing the filters, in the current sort order
+    getFilteredVenues() {
+        return Array.from(this.venues.values())
+            .filter(venue => this.matchesFilters(venue))
+            .sort(this.getSorter(this.sortBy) || VENUE_SORTERS.rating);
+    }
+
+    // Shows the markers of filtered venues only, then re-renders the list
+    update() {
+        const visibleMarkers = [];
+        this.venues.forEach((venue, placeId) => {
+            const marker = this.markers.get(placeId);
+            if (!marker) return;
+            const visible = this.matchesFilters(venue);
+            marker.setVisible(visible);
+            if (visible) visibleMarkers.push(marker);
+        });
+
+        if (this.onMarkersChange) this.onMarkersChange(visibleMarkers);
+        this.render();
+    }
+
+    hasMorePages() {
+        return Array.from(this.paginations.values()).some(pagination => pagination && pagination.hasNextPage);
+    }
+
+    // Reveals the next page of rows, fetching further Places pages when the
+    // loaded venues run out
+    loadMore() {
+        this.visibleCount += this.pageSize;
+
+        if (this.getFilteredVenues().length < this.visibleCount) {
+            this.paginations.forEach((pagination, venueType) => {
+                if (pagination && pagination.hasNextPage) {
+                    // The next page arrives through the original search callback
+                    this.paginations.set(venueType, null);
+                    pagination.nextPage();
+                }
+            });
+        }
+
+        this.render();
+    }
+
+    needsDetails() {
+        return this.filters.amenities.some(amenity => AMENITY_MATCHERS[amenity] && AMENITY_MATCHERS[amenity].detailField);
+    }
+
+    // Looks up Place Details one venue at a time for amenities that need them
+    async loadMissingDetails() {
+        if (!this.fetchDetails || this.loadingDetails) return;
+        this.loadingDetails = true;
+
+        try {
+            for (const venue of this.venues.values()) {
+                if (!this.needsDetails()) break;
+                if (venue.details) continue;
+
+                try {
+                    venue.details = await this.fetchDetails(venue.place_id) || {};
+                } catch (error) {
+                    console.warn("Failed to load details for", venue.name, error);
+                    venue.details = {};
+                }
+                this.update();
+            }
+        } finally {
+            this.loadingDetails = false;
+        }
+    }
+
+    // Venues whose unknown hours are wanted now, in sort order: the rows on screen,
+    // for their badges. While an hours filter is on only venues with known hours
+    // can be shown, so the other candidates are checked until the page is full.
+    venuesWithoutHours() {
+        const missing = venue => venue.hours === undefined;
+        if (!this.filters.hours) {
+            return this.getFilteredVenues().slice(0, this.visibleCount).filter(missing);
+        }
+        if (this.getFilteredVenues().length >= this.visibleCount) return [];
+
+        return Array.from(this.venues.values())
+            .filter(venue => missing(venue) && this.matchesFilters(venue, true))
+            .sort(this.getSorter(this.sortBy) || VENUE_SORTERS.rating);
+    }
+
+    // Looks up opening hours through the cache a batch at a time, until the
+    // visible page has what it needs
+    async loadMissingHours() {
+        if (!this.hoursCache || this.loadingHours) return;
+        this.loadingHours = true;
+
+        try {
+            let batch;
+            while ((batch = this.venuesWithoutHours().slice(0, HOURS_BATCH_SIZE)).length > 0) {
+                await Promise.all(batch.map(async venue => {
+                    try {
+                        venue.hours = await this.hoursCache.load(venue.place_id);
+                    } catch (error) {
+                        console.warn("Failed to load hours for", venue.name, error);
+                        venue.hours = null;
+                    }
+                }));
+                this.update();
+            }
+        } finally {
+            this.loadingHours = false;
+        }
+    }
+
+    // Whether an hours filter is on and some venues haven't been checked yet
+    hasUncheckedHours() {
+        return !!this.filters.hours &&
+            Array.from(this.venues.values()).some(venue => venue.hours === undefined && this.matchesFilters(venue, true));
+    }
+
+    // The hours badge for a venue, e.g. { label: 'Closes in 45 min', state: 'closing' }
+    describeHours(venue) {
+        if (!venue.hours) return null;
+        const { getHoursStatus: statusOf, describeHoursStatus: describe } = resolveVenueHoursModule();
+        return describe(statusOf(venue.hours));
+    }
+
+    // Re-filters while an hours filter is on; otherwise only the badges change
+    refreshHours() {
+        if (this.venues.size === 0) return;
+        if (this.filters.hours) {
+            this.update();
+            return;
+        }
+        if (!this.listElement) return;
+
+        this.listElement.querySelectorAll('.venue-result').forEach(row => {
+            const venue = this.getVenue(row.getAttribute('data-place-id'));
+            const badge = row.querySelector('.venue-result-hours');
+            const hours = venue ? this.describeHours(venue) : null;
+            if (!badge || !hours) return;
+            badge.className = `venue-result-hours ${hours.state}`;
+            badge.textContent = hours.label;
+        });
+    }
+
+    // Highlights a venue's row, e.g. when its marker was clicked
+    highlight(placeId) {
+        this.selectedId = placeId;
+
+        const filtered = this.getFilteredVenues();
+        const index = filtered.findIndex(venue => venue.place_id === placeId);
+        if (index >= this.visibleCount) {
+            this.visibleCount = Math.ceil((index + 1) / this.pageSize) * this.pageSize;
+        }
+        this.render();
+
+        if (this.listElement) {
+            const row = this.listElement.querySelector(`[data-place-id="${placeId}"]`);
+            if (row && row.scrollIntoView) row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    renderRow(venue) {
+        const rating = venue.rating
+            ? `${'★'.repeat(Math.round(venue.rating))} ${venue.rating}`
+            : 'No rating';
+        const distance = venue.distance !== null ? `${venue.distance.toFixed(1)} mi` : '';
+
+        const hours = this.describeHours(venue);
+        const hoursBadge = hours
+            ? `<div class="venue-result-hours ${hours.state}">${escapeHtml(hours.label)}</div>`
+            : '';
+
+        const photo = this.showPhotos && venue.photoUrl
+            ? `<img class="venue-result-photo" src="${escapeHtml(venue.photoUrl)}" alt="" loading="lazy">`
+            : '';
+
+        return `
+            <div class="venue-result${venue.place_id === this.selectedId ? ' selected' : ''}" data-place-id="${escapeHtml(venue.place_id)}">
+                ${photo}
+                <div class="venue-result-main">
+                    <div class="venue-result-name">${escapeHtml(venue.name)}</div>
+                    <div class="venue-result-rating">${rating}</div>
+                    ${hoursBadge}
+                    <div class="venue-result-address">${escapeHtml(venue.vicinity || '')}</div>
+                </div>
+                <div class="venue-result-meta">
+                    <span class="venue-result-distance">${distance}</span>
+                    <span class="venue-result-types">${venue.venueTypes.map(escapeHtml).join(', ')}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        const filtered = this.getFilteredVenues();
+        const shown = filtered.slice(0, this.visibleCount);
+
+        if (this.listElement) {
+            if (this.venues.size === 0) {
+                this.listElement.innerHTML = this.searching
+                    ? '<div class="venue-results-empty">Searching for venues...</div>'
+                    : '<div class="venue-results-empty">No venues found around here.</div>';
+            } else if (filtered.length === 0 && this.hasUncheckedHours()) {
+                this.listElement.innerHTML = '<div class="venue-results-empty">Checking opening hours...</div>';
+            } else if (filtered.length === 0) {
+                this.listElement.innerHTML = this.filters.hours
+                    ? '<div class="venue-results-empty">No venues match these filters. Try other opening hours, a lower rating or fewer amenities.</div>'
+                    : '<div class="venue-results-empty">No venues match these filters. Try a lower rating, a larger radius or fewer amenities.</div>';
+            } else {
+                this.listElement.innerHTML = shown.map(venue => this.renderRow(venue)).join('');
+                this.listElement.querySelectorAll('.venue-result').forEach(row => {
+                    row.addEventListener('click', () => {
+                        const venue = this.getVenue(row.getAttribute('data-place-id'));
+                        if (!venue) return;
+                        this.highlight(venue.place_id);
+                        if (this.onSelect) this.onSelect(venue);
+                    });
+                });
+            }
+        }
+
+        if (this.countElement) {
+            this.countElement.textContent = filtered.length > 0
+                ? `Showing ${shown.length} of ${filtered.length} venues`
+                : '';
+        }
+
+        if (this.loadMoreButton) {
+            this.loadMoreButton.style.display =
+                filtered.length > shown.length || this.hasMorePages() || this.hasUncheckedHours() ? '' : 'none';
+        }
+
+        if (this.onChange) this.onChange(filtered);
+
+        if (this.hoursCache && !this.loadingHours && this.venuesWithoutHours().length > 0) this.loadMissingHours();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    // renderRow() uses the escapeHtml() global from event-schema.js; declared
+    // with var so it is in scope for the whole file under Node too
+    var { escapeHtml } = require('./event-schema.js');
+
+    module.exports = {
+        VenueResults,
+        AMENITY_MATCHERS,
+        VENUE_TYPE_SEARCHES,
+        VENUE_MARKER_STYLES,
+        MILES_TO_METERS,
+        distanceInMiles,
+        toLatLng
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * Visitor Identity
+ * Persistent first-party visitor ID plus a session model that follows the Flask
+ * session (session['session_id']). The server owns the session ID and rotates
+ * it after 30 minutes of inactivity; this class mirrors the same timeout
+ * locally, keeps the server session alive while the visitor is active and
+ * adopts whatever ID the server hands back.
+ */
+
+function generateVisitorId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    // RFC 4122 v4 layout from Math.random() for older browsers
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+class VisitorIdentity {
+    /**
+     * @param {Object} options
+     * @param {string} [options.storageKey='visitorId'] - localStorage key for the visitor ID
+     * @param {string} [options.cookieName='visitor_id'] - Cookie the server reads the visitor ID from
+     * @param {string} [options.sessionKey='analyticsSession'] - localStorage key for the session record
+     * @param {string} [options.signedInUserKey='analyticsSignedInUser'] - localStorage key for the last signed-in uid
+     * @param {string} [options.sessionEndpoint='/session'] - Returns the current Flask session
+     * @param {number} [options.sessionTimeout=1800000] - Inactivity timeout, must match the server
+     * @param {number} [options.keepAliveInterval=300000] - How often activity is reported to the server
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'visitorId';
+        this.cookieName = options.cookieName || 'visitor_id';
+        this.sessionKey = options.sessionKey || 'analyticsSession';
+        this.signedInUserKey = options.signedInUserKey || 'analyticsSignedInUser';
+        this.sessionEndpoint = options.sessionEndpoint || '/session';
+        this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000;
+        this.keepAliveInterval = options.keepAliveInterval || 5 * 60 * 1000;
+
+        this.visitorId = null;
+        this.isNewVisitor = false;
+        this.session = null;
+        // True when the adopted session began with this page load
+        this.startedNewSession = false;
+        this.lastKeepAlive = 0;
+        this.renewing = null;
+        this.listeners = [];
+    }
+
+    readStorage(key) {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    writeStorage(key, value) {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (e) {
+            console.warn("Failed to persist visitor identity:", e);
+        }
+    }
+
+    readCookie(name) {
+        if (typeof document === 'undefined') return null;
+        const match = document.cookie.split('; ').find(part => part.startsWith(`${name}=`));
+        return match ? decodeURIComponent(match.split('=')[1]) : null;
+    }
+
+    writeCookie(name, value, maxAge) {
+        if (typeof document === 'undefined') return;
+        document.cookie = `${name}=${encodeURIComponent(value)}; path=/; max-age=${maxAge}; SameSite=Lax`;
+    }
+
+    // Returns the persistent visitor ID, creating it on the first visit.
+    // localStorage and the cookie back each other up if one gets cleared.
+    getVisitorId() {
+        if (this.visitorId) return this.visitorId;
+
+        let visitorId = this.readStorage(this.storageKey) || this.readCookie(this.cookieName);
+        if (!visitorId) {
+            visitorId = generateVisitorId();
+            this.isNewVisitor = true;
+        }
+
+        this.visitorId = visitorId;
+        this.writeStorage(this.storageKey, visitorId);
+        this.writeCookie(this.cookieName, visitorId, 60 * 60 * 24 * 365 * 2);
+        return visitorId;
+    }
+
+    // Removes every trace of the identity, e.g. when analytics consent is withdrawn
+    forget() {
+        this.visitorId = null;
+        this.session = null;
+        this.writeStorage(this.storageKey, null);
+        this.writeStorage(this.sessionKey, null);
+        this.writeStorage(this.signedInUserKey, null);
+        this.writeCookie(this.cookieName, '', 0);
+    }
+
+    /**
+     * Remembers the signed-in uid across page loads. Returns true when it changed:
+     * a sign-in, sign-out or switch of account, but not a session Firebase
+     * restored on page load.
+     */
+    recordSignedInUser(userId) {
+        const previous = this.readStorage(this.signedInUserKey);
+        this.writeStorage(this.signedInUserKey, userId || null);
+        return (userId || null) !== previous;
+    }
+
+    loadSession() {
+        try {
+            return JSON.parse(this.readStorage(this.sessionKey) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveSession() {
+        this.writeStorage(this.sessionKey, JSON.stringify(this.session));
+    }
+
+    /**
+     * Adopts the server's session ID. Page loads within the same session keep
+     * their original start time, so durations span the whole session.
+     */
+    adoptSession(serverSessionId) {
+        const now = Date.now();
+        const saved = this.loadSession();
+        const previousId = this.session ? this.session.id : null;
+
+        if (saved && saved.id === serverSessionId) {
+            this.session = { ...saved, lastActivity: now };
+            this.startedNewSession = false;
+        } else {
+            this.session = { id: serverSessionId, startedAt: now, lastActivity: now };
+            this.startedNewSession = true;
+        }
+        this.saveSession();
+
+        if (previousId && previousId !== serverSessionId) {
+            this.listeners.forEach(listener => listener(this.session, previousId));
+        }
+        return this.session;
+    }
+
+    isExpired() {
+        return !this.session || Date.now() - this.session.lastActivity > this.sessionTimeout;
+    }
+
+    /**
+     * Records activity. Returns true when the session had already timed out,
+     * in which case a fresh session is requested from the server.
+     */
+    recordActivity() {
+        if (!this.session) return false;
+
+        const expired = this.isExpired();
+        this.session.lastActivity = Date.now();
+        this.saveSession();
+
+        if (expired || Date.now() - this.lastKeepAlive > this.keepAliveInterval) {
+            this.syncSession();
+        }
+        return expired;
+    }
+
+    // Touches the Flask session and adopts its ID, which changes if it timed out
+    syncSession() {
+        if (this.renewing) return this.renewing;
+        this.lastKeepAlive = Date.now();
+
+        this.renewing = fetch(this.sessionEndpoint, { credentials: 'same-origin' })
+            .then(response => response.json())
+            .then(data => {
+                if (data.session_id) this.adoptSession(data.session_id);
+                return this.session;
+            })
+            .catch(error => {
+                console.warn("Failed to sync session with server:", error);
+                return this.session;
+            })
+            .finally(() => {
+                this.renewing = null;
+            });
+
+        return this.renewing;
+    }
+
+    // Called with (newSession, previousSessionId) whenever the session rotates
+    onSessionChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VisitorIdentity, generateVisitorId };
+}
@@ -0,0 +1,156 @@
+/**
+ * MemoryStorageAdapter and LocalStorageAdapter tests.
+ * Run with: node --test tests/
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorageAdapter, LocalStorageAdapter } = require('../Static/js/analytics-storage.js');
+
+function createLocalStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+describe('MemoryStorageAdapter', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorageAdapter();
+    });
+
+    it('returns null for unknown users', async () => {
+        assert.equal(await storage.getUser('nobody'), null);
+    });
+
+    it('creates users and counts their visits', async () => {
+        await storage.createUser('v1', { device: 'mobile' });
+        await storage.recordVisit('v1');
+
+        const user = await storage.getUser('v1');
+        assert.equal(user.device, 'mobile');
+        assert.equal(user.visitCount, 2);
+        assert.ok(user.firstSeen);
+        assert.ok(user.lastVisit);
+    });
+
+    it('hands out copies without sessions or user events', async () => {
+        await storage.createUser('v1', {});
+        await storage.addUserEvent('v1', { eventType: 'login' });
+
+        const user = await storage.getUser('v1');
+        assert.equal(user.sessions, undefined);
+        assert.equal(user.user_events, undefined);
+
+        user.preferences.categories = { poker: 99 };
+        assert.deepEqual(storage.state.users.v1.preferences, {});
+    });
+
+    it('folds preference updates into counters and settings', async () => {
+        await storage.updatePreference('v1', 'category', 'poker', 'poker');
+        await storage.updatePreference('v1', 'category', 'poker', 'poker');
+        await storage.updatePreference('v1', 'amenity', 'pool');
+        await storage.updatePreference('v1', 'rating', 4);
+        await storage.updatePreference('v1', 'click', 'Lucky Star');
+
+        const { preferences } = await storage.getUser('v1');
+        assert.deepEqual(preferences, {
+            categories: { poker: 2 },
+            mostViewedType: 'poker',
+            amenities: { pool: 1 },
+            ratingPreference: 4,
+            clicked: { 'Lucky Star': 1 }
+        });
+    });
+
+    it('links signed-in users to visitors once', async () => {
+        await storage.linkUser('uid-1', 'v1', { email: 'a@example.com' });
+        await storage.linkUser('uid-1', 'v1', { email: 'a@example.com' });
+
+        assert.deepEqual(storage.state.userMappings['uid-1'].linkedVisitors, ['v1']);
+        const user = await storage.getUser('v1');
+        assert.deepEqual(user.linkedUsers, ['uid-1']);
+        assert.equal(user.lastUserId, 'uid-1');
+        assert.equal(user.lastUserEmail, 'a@example.com');
+    });
+
+    it('merges a legacy record into a visitor only once', async () => {
+        storage = new MemoryStorageAdapter({
+            legacyUsers: {
+                '1.2.3.4': {
+                    visitCount: 3,
+                    firstSeen: '2024-01-01T00:00:00.000Z',
+                    preferences: { categories: { bingo: 2 } },
+                    linkedUsers: ['uid-old']
+                }
+            }
+        });
+        await storage.createUser('v1', { preferences: { categories: { bingo: 1, poker: 1 } } });
+
+        assert.equal(await storage.mergeLegacyUser('1.2.3.4', 'v1'), true);
+        assert.equal(await storage.mergeLegacyUser('1.2.3.4', 'v1'), false);
+        assert.equal(await storage.mergeLegacyUser('5.6.7.8', 'v1'), false);
+
+        const user = await storage.getUser('v1');
+        assert.equal(user.visitCount, 4);
+        assert.equal(user.firstSeen, '2024-01-01T00:00:00.000Z');
+        assert.deepEqual(user.preferences.categories, { bingo: 3, poker: 1 });
+        assert.deepEqual(user.linkedUsers, ['uid-old']);
+        assert.deepEqual(user.migratedFrom, ['1.2.3.4']);
+        assert.equal(storage.state.legacyUsers['1.2.3.4'].migratedTo, 'v1');
+    });
+
+    it('writes queued batches to sessions and the activity log', async () => {
+        await storage.writeEvents([
+            {
+                target: 'session',
+                eventType: 'search',
+                userKey: 'v1',
+                sessionId: 's1',
+                clientTimestamp: '2026-01-01T00:00:00.000Z',
+                details: { query: 'poker' },
+                summary: { pageViews: 2, startTime: new Date('2026-01-01T00:00:00.000Z') }
+            },
+            { target: 'session', eventType: 'search', userKey: null, sessionId: 's1', details: {} },
+            { target: 'activity_log', eventType: 'legacy', userKey: null, sessionId: 's0', details: { page: '/' } }
+        ]);
+
+        const session = storage.state.users.v1.sessions.s1;
+        assert.equal(session.events.length, 1);
+        assert.equal(session.events[0].eventType, 'search');
+        assert.equal(session.events[0].query, 'poker');
+        assert.equal(session.pageViews, 2);
+        assert.equal(session.startTime, '2026-01-01T00:00:00.000Z');
+
+        assert.equal(storage.state.activityLogs.length, 1);
+        assert.equal(storage.state.activityLogs[0].event_type, 'legacy');
+        assert.equal(storage.state.activityLogs[0].ip, 'unknown');
+        assert.equal(storage.state.activityLogs[0].page, '/');
+    });
+});
+
+describe('LocalStorageAdapter', () => {
+    beforeEach(() => {
+        global.localStorage = createLocalStorage();
+    });
+
+    it('survives a reload', async () => {
+        const storage = new LocalStorageAdapter({ storageKey: 'store' });
+        await storage.createUser('v1', { device: 'tablet' });
+
+        const reloaded = new LocalStorageAdapter({ storageKey: 'store' });
+        assert.equal((await reloaded.getUser('v1')).device, 'tablet');
+    });
+
+    it('starts empty when the saved state is unreadable', async t => {
+        t.mock.method(console, 'warn', () => {});
+        localStorage.setItem('store', '{not json');
+        const storage = new LocalStorageAdapter({ storageKey: 'store' });
+        assert.equal(await storage.getUser('v1'), null);
+    });
+});
@@ -0,0 +1,285 @@
+/**
+ * EventQueue tests: persistence, batching, retry backoff and the unload beacon.
+ * Run with: node --test tests/
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EventQueue } = require('../Static/js/event-queue.js');
+
+function createLocalStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+// Records every sendBeacon call as [url, events in the payload]
+function installBeacon(accept = () => true) {
+    const beacons = [];
+    global.navigator = {
+        userAgent: 'node',
+        sendBeacon: (url, body) => {
+            const events = JSON.parse(body).events;
+            const accepted = accept(events);
+            if (accepted) beacons.push([url, events]);
+            return accepted;
+        }
+    };
+    return beacons;
+}
+
+function searchEvent(n) {
+    return { eventType: 'search', userKey: 'v1', sessionId: 's1', details: { query: `q${n}` } };
+}
+
+beforeEach(() => {
+    global.localStorage = createLocalStorage();
+    delete global.navigator;
+});
+
+describe('EventQueue persistence', () => {
+    it('keeps queued events across page loads', () => {
+        const queue = new EventQueue({ send: async () => {} });
+        queue.enqueue(searchEvent(1));
+
+        const reloaded = new EventQueue({ send: async () => {} });
+        assert.equal(reloaded.queue.length, 1);
+        assert.equal(reloaded.queue[0].details.query, 'q1');
+        assert.equal(reloaded.queue[0].attempts, 0);
+    });
+
+    it('drops the oldest events beyond maxQueueSize', t => {
+        t.mock.method(console, 'warn', () => {});
+        const queue = new EventQueue({ send: async () => {}, maxQueueSize: 3, batchSize: 10 });
+        for (let n = 1; n <= 5; n++) queue.enqueue(searchEvent(n));
+
+        assert.deepEqual(queue.queue.map(event => event.details.query), ['q3', 'q4', 'q5']);
+    });
+
+    it('recovers legacy activity logs into the queue', t => {
+        t.mock.method(console, 'log', () => {});
+        localStorage.setItem('activityLogs', JSON.stringify([
+            { action: 'search', sessionId: 's0', ipAddress: '1.2.3.4', timestamp: '2024-01-01T00:00:00.000Z', query: 'old' }
+        ]));
+
+        const queue = new EventQueue({ send: async () => {} });
+        assert.equal(localStorage.getItem('activityLogs'), null);
+        assert.equal(queue.queue.length, 1);
+        assert.equal(queue.queue[0].target, 'activity_log');
+        assert.equal(queue.queue[0].userKey, '1.2.3.4');
+        assert.equal(queue.queue[0].clientTimestamp, '2024-01-01T00:00:00.000Z');
+        assert.deepEqual(queue.queue[0].details, { query: 'old' });
+    });
+});
+
+describe('EventQueue flushing', () => {
+    it('sends the queue in batches and empties it', async () => {
+        const batches = [];
+        const queue = new EventQueue({ send: async batch => { batches.push(batch.length); }, batchSize: 2 });
+        for (let n = 1; n <= 5; n++) queue.enqueue(searchEvent(n), { flush: false });
+
+        await queue.flush();
+        assert.deepEqual(batches, [2, 2, 1]);
+        assert.equal(queue.queue.length, 0);
+        assert.equal(localStorage.getItem('analyticsEventQueue'), '[]');
+    });
+
+    it('flushes on its own once a batch fills up', async () => {
+        let sent = 0;
+        const queue = new EventQueue({ send: async batch => { sent += batch.length; }, batchSize: 2 });
+        queue.enqueue(searchEvent(1));
+        assert.equal(sent, 0);
+
+        queue.enqueue(searchEvent(2));
+        await queue.flushing;
+        assert.equal(sent, 2);
+    });
+
+    it('shares one flush between concurrent callers', async () => {
+        let calls = 0;
+        const queue = new EventQueue({ send: async () => { calls++; } });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        await Promise.all([queue.flush(), queue.flush()]);
+        assert.equal(calls, 1);
+    });
+});
+
+describe('EventQueue retries', () => {
+    it('keeps a failed batch and backs off before retrying', async t => {
+        t.mock.method(console, 'warn', () => {});
+        let fail = true;
+        let calls = 0;
+        const queue = new EventQueue({
+            send: async () => {
+                calls++;
+                if (fail) throw new Error('offline');
+            }
+        });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        await queue.flush();
+        assert.equal(calls, 1);
+        assert.equal(queue.queue.length, 1);
+        assert.equal(queue.queue[0].attempts, 1);
+        assert.equal(queue.failedFlushes, 1);
+        assert.ok(queue.nextAttemptAt > Date.now());
+
+        // Still backing off, so nothing is sent
+        await queue.flush();
+        assert.equal(calls, 1);
+
+        fail = false;
+        queue.nextAttemptAt = 0;
+        await queue.flush();
+        assert.equal(calls, 2);
+        assert.equal(queue.queue.length, 0);
+        assert.equal(queue.failedFlushes, 0);
+    });
+
+    it('doubles the delay after each failure up to maxRetryDelay', t => {
+        t.mock.method(Math, 'random', () => 1);
+        const queue = new EventQueue({ send: async () => {}, baseRetryDelay: 1000, maxRetryDelay: 5000 });
+
+        const delays = [1, 2, 3, 4, 5].map(failures => {
+            queue.failedFlushes = failures;
+            return queue.getRetryDelay();
+        });
+        assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+    });
+
+    it('jitters the delay between half and the full backoff', t => {
+        t.mock.method(Math, 'random', () => 0);
+        const queue = new EventQueue({ send: async () => {}, baseRetryDelay: 1000 });
+        queue.failedFlushes = 2;
+        assert.equal(queue.getRetryDelay(), 1000);
+    });
+
+    it('drops events after maxAttempts failed sends', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const queue = new EventQueue({ send: async () => { throw new Error('rejected'); }, maxAttempts: 2 });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        await queue.flush();
+        assert.equal(queue.queue.length, 1);
+
+        queue.nextAttemptAt = 0;
+        await queue.flush();
+        assert.equal(queue.queue.length, 0);
+    });
+
+    it('skips the pending backoff when the browser comes back online', async t => {
+        t.mock.method(console, 'warn', () => {});
+        let fail = true;
+        const queue = new EventQueue({ send: async () => { if (fail) throw new Error('offline'); } });
+        queue.enqueue(searchEvent(1), { flush: false });
+        await queue.flush();
+
+        fail = false;
+        queue.handleOnline();
+        await queue.flushing;
+        assert.equal(queue.queue.length, 0);
+    });
+});
+
+describe('EventQueue beacon', () => {
+    it('leaves events for the next load without a beaconUrl', () => {
+        const beacons = installBeacon();
+        const queue = new EventQueue({ send: async () => {} });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        queue.flushWithBeacon();
+        assert.equal(beacons.length, 0);
+        assert.equal(queue.queue.length, 1);
+    });
+
+    it('beacons the queue in the server log format and forgets what was sent', () => {
+        const beacons = installBeacon();
+        const queue = new EventQueue({ send: async () => {}, beaconUrl: '/log-event' });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        queue.flushWithBeacon();
+        assert.equal(beacons.length, 1);
+        const [url, events] = beacons[0];
+        assert.equal(url, '/log-event');
+        assert.equal(events[0].event_type, 'search');
+        assert.equal(events[0].user_key, 'v1');
+        assert.equal(events[0].client_session_id, 's1');
+        assert.equal(events[0].query, 'q1');
+        assert.equal(queue.queue.length, 0);
+    });
+
+    it('splits large queues into beacon-sized chunks', () => {
+        const beacons = installBeacon();
+        const queue = new EventQueue({ send: async () => {}, beaconUrl: '/log-event', batchSize: 100 });
+        const padding = 'x'.repeat(20000);
+        for (let n = 1; n <= 4; n++) {
+            queue.enqueue({ ...searchEvent(n), details: { query: `q${n}`, padding } }, { flush: false });
+        }
+
+        queue.flushWithBeacon();
+        assert.deepEqual(beacons.map(([, events]) => events.length), [2, 2]);
+        assert.equal(queue.queue.length, 0);
+    });
+
+    it('leaves the batch a flush is still sending out of the beacon', async () => {
+        const beacons = installBeacon();
+        let finishSend;
+        const queue = new EventQueue({
+            send: () => new Promise(resolve => { finishSend = resolve; }),
+            beaconUrl: '/log-event',
+            batchSize: 2
+        });
+        for (let n = 1; n <= 3; n++) queue.enqueue(searchEvent(n), { flush: false });
+
+        const flushing = queue.flush();
+        queue.flushWithBeacon();
+        assert.equal(beacons.length, 1);
+        assert.deepEqual(beacons[0][1].map(event => event.query), ['q3']);
+        assert.equal(queue.queue.length, 2);
+
+        finishSend();
+        await flushing;
+        assert.equal(queue.queue.length, 0);
+    });
+
+    it('keeps events the browser refused to beacon', () => {
+        const beacons = installBeacon(() => false);
+        const queue = new EventQueue({ send: async () => {}, beaconUrl: '/log-event' });
+        queue.enqueue(searchEvent(1), { flush: false });
+
+        queue.flushWithBeacon();
+        assert.equal(beacons.length, 0);
+        assert.equal(queue.queue.length, 1);
+    });
+});
+
+describe('UserAnalytics queues', () => {
+    it('beacons a reported event to the server log once', t => {
+        t.mock.method(console, 'log', () => {});
+        const beacons = installBeacon();
+        const { MemoryStorageAdapter } = require('../Static/js/analytics-storage.js');
+        const { UserAnalytics } = require('../Static/js/user-analytics.js');
+
+        const analytics = new UserAnalytics({ storage: new MemoryStorageAdapter(), autoInitialize: false });
+        analytics.consent.isGranted = () => true;
+        analytics.userKey = 'v1';
+        analytics.sessionId = 's1';
+        analytics.logEvent('venue_interaction', { interactionType: 'details_view', venueId: 'p1' });
+
+        // Both queues see the page going away, as they would on pagehide
+        analytics.eventQueue.flushWithBeacon();
+        analytics.reportQueue.flushWithBeacon();
+
+        assert.equal(beacons.length, 1);
+        assert.equal(beacons[0][0], '/log-event');
+        assert.equal(beacons[0][1].length, 1);
+        // The storage-bound copy waits in localStorage for the next load
+        assert.equal(analytics.eventQueue.queue.length, 1);
+        assert.equal(analytics.reportQueue.queue.length, 0);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * UserAnalytics tests against the in-memory storage adapter.
+ * Run with: node --test tests/
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorageAdapter } = require('../Static/js/analytics-storage.js');
+const { UserAnalytics } = require('../Static/js/user-analytics.js');
+const { ConsentManager } = require('../Static/js/consent-manager.js');
+
+// Lets the un-awaited storage writes settle
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function createLocalStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+describe('UserAnalytics', () => {
+    let storage;
+    let consent;
+    let analytics;
+
+    beforeEach(t => {
+        t.mock.method(console, 'log', () => {});
+        // Consent changes start tracking, whose /get_user_ip fetch fails under Node
+        t.mock.method(console, 'error', () => {});
+        global.localStorage = createLocalStorage();
+        storage = new MemoryStorageAdapter();
+        consent = new ConsentManager();
+        consent.setConsent({ analytics: true, personalization: true });
+        analytics = new UserAnalytics({ storage, consent, autoInitialize: false });
+        analytics.userKey = 'v1';
+        analytics.sessionId = 's1';
+    });
+
+    it('creates a record for first visits and counts one visit per session', async () => {
+        analytics.identity.adoptSession('s1');
+        await analytics.checkReturningUser();
+        assert.equal(analytics.userProfile.returning, false);
+        assert.equal((await storage.getUser('v1')).visitCount, 1);
+
+        // Another page load in the same server session
+        const reload = new UserAnalytics({ storage, consent, autoInitialize: false });
+        reload.userKey = 'v1';
+        reload.identity.adoptSession('s1');
+        await reload.checkReturningUser();
+        assert.equal((await storage.getUser('v1')).visitCount, 1);
+
+        const returning = new UserAnalytics({ storage, consent, autoInitialize: false });
+        returning.userKey = 'v1';
+        returning.identity.adoptSession('s2');
+        await returning.checkReturningUser();
+        assert.equal(returning.userProfile.returning, true);
+        assert.equal(returning.previousVisits, 1);
+        assert.equal((await storage.getUser('v1')).visitCount, 2);
+    });
+
+    it('queues events and writes them into the current session', async () => {
+        analytics.logSearch('poker', { city: 'Reno' });
+        assert.equal(analytics.eventQueue.queue.length, 1);
+        await analytics.eventQueue.flush();
+
+        const session = storage.state.users.v1.sessions.s1;
+        assert.equal(session.events.length, 1);
+        assert.equal(session.events[0].eventType, 'search');
+        assert.equal(session.events[0].query, 'poker');
+        assert.equal(session.events[0].city, 'Reno');
+        assert.equal(session.searches, 1);
+    });
+
+    it('stores category preferences with the most viewed type', async () => {
+        analytics.logCasinoPreference('category', 'poker');
+        analytics.logCasinoPreference('category', 'poker');
+        analytics.logCasinoPreference('category', 'bingo');
+        await settle();
+
+        const { preferences } = await storage.getUser('v1');
+        assert.deepEqual(preferences.categories, { poker: 2, bingo: 1 });
+        assert.equal(preferences.mostViewedType, 'poker');
+    });
+
+    it('links a signed-in user to the visitor record', async () => {
+        analytics.userId = 'uid-1';
+        analytics.userEmail = 'a@example.com';
+        await analytics.linkUserWithVisitor();
+
+        const user = await storage.getUser('v1');
+        assert.deepEqual(user.linkedUsers, ['uid-1']);
+        assert.equal(user.lastUserEmail, 'a@example.com');
+    });
+
+    it('logs logins and logouts only when the signed-in uid changes', () => {
+        const signIn = user => ({ detail: { user } });
+        const loggedTypes = tracker => tracker.eventQueue.queue
+            .map(event => event.eventType)
+            .filter(type => type === 'user_login' || type === 'user_logout');
+
+        analytics.handleAuthChange(signIn({ uid: 'uid-1', email: 'a@example.com' }));
+        assert.deepEqual(loggedTypes(analytics), ['user_login']);
+
+        // The next page load restores the same Firebase session
+        const reload = new UserAnalytics({ storage, consent, autoInitialize: false });
+        reload.userKey = 'v1';
+        reload.sessionId = 's1';
+        reload.handleAuthChange(signIn({ uid: 'uid-1', email: 'a@example.com' }));
+        assert.equal(reload.userId, 'uid-1');
+        // Still just the first load's login, which waits in the persisted queue
+        assert.deepEqual(loggedTypes(reload), ['user_login']);
+
+        reload.handleAuthChange(signIn({ uid: 'uid-2', email: 'b@example.com' }));
+        reload.handleAuthChange(signIn(null));
+        reload.handleAuthChange(signIn(null));
+        assert.deepEqual(loggedTypes(reload), ['user_login', 'user_login', 'user_logout']);
+    });
+
+    it('queues nothing without analytics consent', () => {
+        consent.setConsent({ analytics: false });
+        analytics.logSearch('poker');
+        assert.equal(analytics.eventQueue.queue.length, 0);
+    });
+
+    it('looks up legacy records by the anonymized IP in strict mode', async () => {
+        consent.setConsent({}, { strictMode: true });
+        await analytics.applyPrivacyMode('1.2.3.4', { country: 'US', region: 'NV', city: 'Reno' });
+
+        assert.equal(analytics.legacyKey, await consent.anonymizeIp('1.2.3.4'));
+        assert.notEqual(analytics.legacyKey, '1.2.3.4');
+        assert.equal(analytics.userProfile.ip, '1.2.3.0');
+        assert.equal(analytics.userProfile.location.city, null);
+    });
+
+    it('re-keys recovered legacy activity logs by the anonymized IP in strict mode', async () => {
+        localStorage.setItem('activityLogs', JSON.stringify([{ action: 'search', sessionId: 's0', ipAddress: '5.6.7.8' }]));
+        consent.setConsent({}, { strictMode: true });
+        const recovering = new UserAnalytics({ storage, consent, autoInitialize: false });
+        assert.equal(recovering.eventQueue.queue[0].userKey, '5.6.7.8');
+
+        await recovering.applyPrivacyMode('5.6.7.8', null);
+        assert.equal(recovering.eventQueue.queue[0].userKey, await consent.anonymizeIp('5.6.7.8'));
+        assert.ok(!localStorage.getItem('analyticsEventQueue').includes('5.6.7.8'));
+    });
+});